@@ -1,14 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
-import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip as RechartsTooltip, // Renamed to avoid conflict
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import {
   Home,
   DollarSign,
@@ -25,290 +15,289 @@ import {
   HelpCircle,
   Target,
   UserCheck,
+  Link,
+  ArrowRightLeft,
+  FileSpreadsheet,
+  Flag,
+  ChevronsUp,
 } from "lucide-react";
+import {
+  analyzeScenario,
+  rulesForYear,
+  DEFAULT_INPUTS,
+  RETURN_PRESETS,
+  DAY_COUNT_CONVENTIONS,
+  resolveLoan,
+  valueStrategies,
+  analyzeOverdraft,
+  validateInputs,
+  CASH_STRATEGIES,
+} from "./engine";
+import { useMonteCarlo } from "./hooks/useMonteCarlo";
+import { useScenarios } from "./hooks/useScenarios";
+import ScenarioManager from "./components/ScenarioManager";
+import ScenarioComparison from "./components/ScenarioComparison";
+import ExportMenu from "./components/ExportMenu";
+import AmortizationTable from "./components/AmortizationTable";
+import SplitOptimizer from "./components/SplitOptimizer";
+import GoalSolver from "./components/GoalSolver";
+import StepUpComparison from "./components/StepUpComparison";
+import SensitivityPanel from "./components/SensitivityPanel";
+import ValuationTable from "./components/ValuationTable";
+import StrategyComparison from "./components/StrategyComparison";
+import CashFlowLedger from "./components/CashFlowLedger";
+import TrajectoryChart, {
+  TRAJECTORY_VIEWS,
+  X_AXES,
+} from "./components/TrajectoryChart";
+import PlanField from "./components/PlanField";
+import LoanPortfolio from "./components/LoanPortfolio";
+import RefinanceEvaluator from "./components/RefinanceEvaluator";
+import StatementImport from "./components/StatementImport";
+import { formatCurrency, formatMonthYear, readNumber } from "./format";
+import { decodeInputs, buildShareUrl } from "./shareLink";
 
-// Main Simplified App Component
-function App() {
+// Main Simplified App Component. The loan is dated from `today`, taken
+// once when the page opens unless given.
+function App({ today: givenToday }) {
   // --- STATE MANAGEMENT ---
 
-  // --- Core Loan & Investment Inputs ---
-  const [loanAmount, setLoanAmount] = useState(5000000); // ₹50 Lakhs
-  const [interestRate, setInterestRate] = useState(9.0); // 9.0%
-  const [tenureYears, setTenureYears] = useState(20); // 20 years
-  const [extraCash, setExtraCash] = useState(500000); // ₹5 Lakhs
-  const [investmentReturn, setInvestmentReturn] = useState(12); // 12%
-  const [investmentType, setInvestmentType] = useState("equity"); // 'equity' or 'fd'
-
-  // --- Tax Inputs ---
-  const [taxRegime, setTaxRegime] = useState("old"); // 'old' or 'new'
-  const [taxSlab, setTaxSlab] = useState(30); // User's tax slab in percentage
-  const [used80C, setUsed80C] = useState(150000); // How much of 80C is already used
-
-  // --- Strategy Inputs ---
-  const [prepaymentMethod, setPrepaymentMethod] = useState("reduceTenure"); // 'reduceEmi' or 'reduceTenure'
-
-  // --- Calculation Results ---
-  const [results, setResults] = useState(null);
-
-  // --- CONSTANTS ---
-  const SECTION_24B_SOP_LIMIT = 200000;
-  const SECTION_80C_LIMIT = 150000;
-  const EQUITY_LTCG_TAX_RATE = 0.1; // 10%
-  const EQUITY_LTCG_EXEMPTION = 100000;
-
-  // --- HELPER FUNCTIONS ---
-
-  const calculateEMI = useCallback((p, r, n) => {
-    if (p <= 0 || r <= 0 || n <= 0) return 0;
-    const monthlyRate = r / 100 / 12;
-    return (
-      (p * monthlyRate * Math.pow(1 + monthlyRate, n)) /
-      (Math.pow(1 + monthlyRate, n) - 1)
-    );
-  }, []);
-
-  const calculateNewTenure = useCallback(
-    (newPrincipal, originalEmi, annualRate) => {
-      if (newPrincipal <= 0 || originalEmi <= 0 || annualRate <= 0) return 0;
-      const monthlyRate = annualRate / 100 / 12;
-      if (originalEmi <= newPrincipal * monthlyRate) return Infinity;
-      const numerator = Math.log(
-        1 - (newPrincipal * monthlyRate) / originalEmi
-      );
-      const denominator = Math.log(1 + monthlyRate);
-      return Math.ceil(-numerator / denominator);
-    },
-    []
-  );
-
-  const generateFullAmortization = useCallback(
-    (principal, annualRate, months, emi) => {
-      if (principal <= 0 || emi <= 0) return [];
-      const schedule = [];
-      let balance = principal;
-      const monthlyRate = annualRate / 100 / 12;
-      for (let i = 1; i <= months; i++) {
-        const interestForMonth = balance * monthlyRate;
-        const principalForMonth = Math.max(0, emi - interestForMonth);
-        balance -= principalForMonth;
-        if (balance < 0) balance = 0;
-        schedule.push({
-          month: i,
-          interest: interestForMonth,
-          principal: principalForMonth,
-          totalPayment: emi,
-          endingBalance: balance,
-        });
-        if (balance === 0) break;
-      }
-      return schedule;
-    },
-    []
-  );
-
-  // --- MAIN CALCULATION LOGIC ---
-  const analyzeLoan = useCallback(() => {
-    // Parse inputs
-    const p = parseFloat(loanAmount);
-    const r = parseFloat(interestRate);
-    const n = parseFloat(tenureYears) * 12;
-    const cash = parseFloat(extraCash);
-    const invReturn = parseFloat(investmentReturn);
-    const slab = parseFloat(taxSlab) / 100;
-    const available80C = Math.max(0, SECTION_80C_LIMIT - parseFloat(used80C));
-
-    // --- Scenario 1: Continue Loan & Invest Extra Cash ---
-    const originalEmi = calculateEMI(p, r, n);
-    const originalAmortization = generateFullAmortization(p, r, n, originalEmi);
-    const totalInterestOriginal = originalAmortization.reduce(
-      (acc, row) => acc + row.interest,
-      0
-    );
+  const [today] = useState(() => givenToday || new Date());
 
-    // Calculate post-tax investment gain
-    const futureValue = cash * Math.pow(1 + invReturn / 100, tenureYears);
-    const investmentGain = futureValue - cash;
-    let postTaxInvestmentGain = 0;
-    let investmentTax = 0;
-    if (investmentType === "equity") {
-      const taxableGain = Math.max(0, investmentGain - EQUITY_LTCG_EXEMPTION);
-      investmentTax = taxableGain * EQUITY_LTCG_TAX_RATE;
-      postTaxInvestmentGain = investmentGain - investmentTax;
-    } else {
-      // 'fd'
-      investmentTax = investmentGain * slab;
-      postTaxInvestmentGain = investmentGain - investmentTax;
-    }
-
-    // Calculate tax benefits for original loan (SOP only)
-    let originalLoanTaxBenefit = 0;
-    if (taxRegime === "old") {
-      let yearlyData = [];
-      let currentYear = 1;
-      originalAmortization.forEach((monthData, i) => {
-        if (!yearlyData[currentYear - 1])
-          yearlyData[currentYear - 1] = {
-            year: currentYear,
-            interest: 0,
-            principal: 0,
-          };
-        yearlyData[currentYear - 1].interest += monthData.interest;
-        yearlyData[currentYear - 1].principal += monthData.principal;
-        if ((i + 1) % 12 === 0) currentYear++;
-      });
-      yearlyData.forEach((year) => {
-        const principalDeduction = Math.min(year.principal, available80C);
-        const interestDeduction = Math.min(
-          year.interest,
-          SECTION_24B_SOP_LIMIT
-        );
-        const totalDeduction = principalDeduction + interestDeduction;
-        originalLoanTaxBenefit += totalDeduction * slab;
-      });
-    }
-
-    const netBenefitInvesting = postTaxInvestmentGain + originalLoanTaxBenefit;
-
-    // --- Scenario 2: Prepay Loan ---
-    const newLoanAmount = p - cash;
-    let newEmi = originalEmi;
-    let newTenureMonths = n;
-    let interestSaved = 0;
-    let prepaidAmortization = [];
-    let prepaidLoanTaxBenefit = 0;
-
-    if (newLoanAmount > 0) {
-      if (prepaymentMethod === "reduceEmi") {
-        newEmi = calculateEMI(newLoanAmount, r, n);
-        newTenureMonths = n;
-      } else {
-        // 'reduceTenure'
-        newEmi = originalEmi;
-        newTenureMonths = calculateNewTenure(newLoanAmount, originalEmi, r);
-      }
-      prepaidAmortization = generateFullAmortization(
-        newLoanAmount,
-        r,
-        newTenureMonths,
-        newEmi
-      );
-      const totalInterestAfterPrepay = prepaidAmortization.reduce(
-        (acc, row) => acc + row.interest,
-        0
-      );
-      interestSaved = totalInterestOriginal - totalInterestAfterPrepay;
-
-      // Calculate tax benefit for prepaid loan (SOP only)
-      if (taxRegime === "old") {
-        let yearlyData = [];
-        let currentYear = 1;
-        prepaidAmortization.forEach((monthData, i) => {
-          if (!yearlyData[currentYear - 1])
-            yearlyData[currentYear - 1] = {
-              year: currentYear,
-              interest: 0,
-              principal: 0,
-            };
-          yearlyData[currentYear - 1].interest += monthData.interest;
-          yearlyData[currentYear - 1].principal += monthData.principal;
-          if ((i + 1) % 12 === 0) currentYear++;
-        });
-        yearlyData.forEach((year) => {
-          const principalDeduction = Math.min(year.principal, available80C);
-          const interestDeduction = Math.min(
-            year.interest,
-            SECTION_24B_SOP_LIMIT
-          );
-          const totalDeduction = principalDeduction + interestDeduction;
-          prepaidLoanTaxBenefit += totalDeduction * slab;
-        });
-      }
-    } else {
-      // Loan fully paid off
-      newEmi = 0;
-      newTenureMonths = 0;
-      interestSaved = totalInterestOriginal;
-      prepaidLoanTaxBenefit = 0;
-    }
-    const netBenefitPrepaying = interestSaved + prepaidLoanTaxBenefit;
-
-    // --- Final Decision ---
-    const betterOption =
-      netBenefitInvesting > netBenefitPrepaying ? "Invest" : "Prepay";
-    const effectiveLoanRate = r * (1 - slab);
-
-    // --- Graph Data ---
-    const graphData = [];
-    const maxYears = Math.ceil(
-      Math.max(originalAmortization.length, prepaidAmortization.length) / 12
-    );
-    let cumulativeOriginalInterest = 0;
-    let cumulativePrepaidInterest = 0;
-    for (let year = 1; year <= maxYears; year++) {
-      if (year <= tenureYears) {
-        cumulativeOriginalInterest = originalAmortization
-          .slice(0, year * 12)
-          .reduce((acc, row) => acc + row.interest, 0);
-      }
-      if (year <= newTenureMonths / 12) {
-        cumulativePrepaidInterest = prepaidAmortization
-          .slice(0, year * 12)
-          .reduce((acc, row) => acc + row.interest, 0);
-      }
-      const investmentValueAtYear = cash * Math.pow(1 + invReturn / 100, year);
-      graphData.push({
-        year,
-        "Investment Value": parseFloat(investmentValueAtYear.toFixed(0)),
-        "Interest (Original)": parseFloat(
-          cumulativeOriginalInterest.toFixed(0)
-        ),
-        "Interest (Prepaid)": parseFloat(cumulativePrepaidInterest.toFixed(0)),
-      });
-    }
-
-    // --- SET RESULTS ---
-    setResults({
-      originalEmi,
-      newEmi,
-      interestSaved,
-      investmentGain,
-      postTaxInvestmentGain,
-      originalLoanTaxBenefit,
-      prepaidLoanTaxBenefit,
-      netBenefitInvesting,
-      netBenefitPrepaying,
-      betterOption,
-      originalTenureMonths: n,
-      newTenureMonths,
-      effectiveLoanRate,
-      graphData,
-      originalAmortization,
-      prepaidAmortization,
-      investmentTax,
-      taxSlab,
-      investmentType,
-    });
-  }, [
+  // Every input lives in one object shaped like DEFAULT_INPUTS, so whole
+  // scenarios can be saved, loaded, compared and shared at once. A shared
+  // link's query string seeds it on load.
+  const [sharedLink] = useState(() => decodeInputs(window.location.search));
+  const [inputs, setInputs] = useState(sharedLink.inputs);
+  const [linkWarnings, setLinkWarnings] = useState(sharedLink.warnings);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const setInput = (key) => (value) =>
+    setInputs((prev) => ({ ...prev, [key]: value }));
+  const {
+    loanDetailsMode,
     loanAmount,
     interestRate,
     tenureYears,
+    sanctionAmount,
+    originalTenureYears,
+    disbursementDate,
+    emisPaid,
+    statementOutstanding,
     extraCash,
     investmentReturn,
+    investmentType,
+    simulationMode,
+    returnVolatility,
+    inflationRate,
+    discountRate,
     taxRegime,
     taxSlab,
-    investmentType,
     used80C,
+    annualIncome,
+    propertyUse,
+    annualRent,
+    coBorrowers,
     prepaymentMethod,
-    calculateEMI,
-    calculateNewTenure,
-    generateFullAmortization,
-  ]);
+    prepaymentPlan,
+    emiStepUps,
+    prepaymentChargeRate,
+    prepaymentChargeFlat,
+    prepaymentFreeAfterMonths,
+    prepaymentFreeAnnualLimit,
+    overdraftMonthlyDeposit,
+    overdraftMonthlyWithdrawal,
+    rateChanges,
+    rateResetMode,
+    dayCount,
+    portfolioLoans,
+  } = inputs;
 
+  // Keep the address bar in sync so the page can be bookmarked or shared
   useEffect(() => {
-    analyzeLoan();
-  }, [analyzeLoan]);
-  const formatCurrency = (value) =>
-    value.toLocaleString("en-IN", { maximumFractionDigits: 0 });
+    window.history.replaceState(null, "", buildShareUrl(inputs));
+  }, [inputs]);
+
+  const copyLink = () => {
+    const url = buildShareUrl(inputs);
+    const copied = () => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    };
+    const fallback = () => window.prompt("Copy this link:", url);
+    if (navigator.clipboard)
+      navigator.clipboard.writeText(url).then(copied, fallback);
+    else fallback();
+  };
+
+  // --- Saved Scenarios ---
+  const {
+    scenarios,
+    saveScenario,
+    updateScenario,
+    duplicateScenario,
+    deleteScenario,
+  } = useScenarios();
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const activeScenario = scenarios.find(
+    (scenario) => scenario.id === activeScenarioId
+  );
+  const isDirty =
+    !!activeScenario &&
+    JSON.stringify(activeScenario.inputs) !== JSON.stringify(inputs);
+  const comparedScenarios = scenarios.filter((scenario) =>
+    compareIds.includes(scenario.id)
+  );
+
+  const loadScenario = (scenario) => {
+    setInputs({ ...DEFAULT_INPUTS, ...scenario.inputs });
+    setActiveScenarioId(scenario.id);
+  };
+  const removeScenario = (id) => {
+    deleteScenario(id);
+    setCompareIds((prev) => prev.filter((compareId) => compareId !== id));
+    if (id === activeScenarioId) setActiveScenarioId(null);
+  };
+  const toggleCompare = (id) =>
+    setCompareIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((compareId) => compareId !== id)
+        : [...prev, id]
+    );
+
+  // --- Calculation Results ---
+  // Nothing is analyzed while any input is invalid: its errors show next to
+  // the fields and in place of the results
+  const validation = useMemo(
+    () => validateInputs(inputs, today),
+    [inputs, today]
+  );
+  const { errors } = validation;
+  // Everything below works on the loan as it stands today, dated from its
+  // next EMI (see resolveLoan)
+  const { inputs: loanInputs, details: loanDetails } = useMemo(
+    () => resolveLoan(inputs, today),
+    [inputs, today]
+  );
+  const results = useMemo(
+    () => (validation.valid ? analyzeScenario(loanInputs) : null),
+    [validation, loanInputs]
+  );
+  const overdraft = useMemo(
+    () => (results ? analyzeOverdraft(loanInputs, results) : null),
+    [results, loanInputs]
+  );
+
+  // --- Monte Carlo Simulation (in a Web Worker) ---
+  const simulationParams = useMemo(
+    () =>
+      simulationMode === "monteCarlo" && results
+        ? {
+            outflows: results.ledger.invest.contributions,
+            horizonMonths: results.horizonMonths,
+            mean: parseFloat(investmentReturn),
+            volatility: parseFloat(returnVolatility),
+            // Effective tax rate of the fixed-return analysis
+            taxRate:
+              results.investmentGain > 0
+                ? results.investmentTax / results.investmentGain
+                : 0,
+            originalLoanTaxBenefit: results.originalLoanTaxBenefit,
+            // The reinvested savings of prepaying vary with the market too
+            netBenefitPrepaying:
+              results.netBenefitPrepaying - results.reinvestedSavingsGain,
+            prepayOutflows: results.ledger.prepay.contributions,
+            paths: 5000,
+          }
+        : null,
+    [simulationMode, results, investmentReturn, returnVolatility]
+  );
+  const {
+    simulation,
+    running,
+    error: simulationError,
+  } = useMonteCarlo(simulationParams);
+  // Simulated investment values become net worth bands of investing
+  const graphData = useMemo(
+    () =>
+      !results
+        ? []
+        : simulation
+        ? results.graphData.map((point, i) => {
+            const owed = point["Balance (Original)"];
+            return {
+              ...point,
+              "Invest P10–P90": simulation.yearly[i]
+                ? [
+                    Math.round(simulation.yearly[i].p10 - owed),
+                    Math.round(simulation.yearly[i].p90 - owed),
+                  ]
+                : undefined,
+              "Invest P50": simulation.yearly[i]
+                ? Math.round(simulation.yearly[i].p50 - owed)
+                : undefined,
+            };
+          })
+        : results.graphData,
+    [results, simulation]
+  );
+
+  const valuation = useMemo(
+    () =>
+      results &&
+      valueStrategies(results, {
+        inflationRate: parseFloat(inflationRate),
+        discountRate: parseFloat(discountRate),
+      }),
+    [results, inflationRate, discountRate]
+  );
+  // The trajectory in nominal rupees or deflated to today's
+  const [chartBasis, setChartBasis] = useState("nominal");
+  const chartData = useMemo(() => {
+    if (chartBasis === "nominal") return graphData;
+    const deflate = (value, year) =>
+      Math.round(value / Math.pow(1 + parseFloat(inflationRate) / 100, year));
+    return graphData.map((point) =>
+      Object.fromEntries(
+        Object.entries(point).map(([key, value]) => [
+          key,
+          key === "year" || key === "calendarYear" || value === undefined
+            ? value
+            : Array.isArray(value)
+            ? value.map((v) => deflate(v, point.year))
+            : deflate(value, point.year),
+        ])
+      )
+    );
+  }, [graphData, chartBasis, inflationRate]);
+
+  const chartRef = useRef(null); // Financial Trajectory chart, for the PDF
+  const [chartView, setChartView] = useState("netWorth");
+  const [chartXAxis, setChartXAxis] = useState("year");
+  // Loan year whose EMIs the schedules show, picked on the chart
+  const [focusYear, setFocusYear] = useState(null);
+  const schedulesRef = useRef(null);
+  const showYear = (year) => {
+    setFocusYear(year);
+    if (schedulesRef.current && schedulesRef.current.scrollIntoView)
+      schedulesRef.current.scrollIntoView({ behavior: "smooth" });
+  };
+
+  // Equity tax rates of the first financial year, for the tooltips
+  const startRules = rulesForYear(loanInputs.startFinancialYear);
+
+  // Per-borrower split of a tax benefit, only worth showing for joint loans
+  const borrowerBreakdown = (key) =>
+    results.borrowerTaxBenefits.length > 1
+      ? `\n${results.borrowerTaxBenefits
+          .map(
+            (borrower, i) =>
+              `${i === 0 ? "You" : `Co-borrower ${i}`} (${
+                borrower.share
+              }%): ₹${formatCurrency(borrower[key])}`
+          )
+          .join("\n")}`
+      : "";
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black p-4 sm:p-8 font-inter text-gray-200">
@@ -318,8 +307,47 @@ function App() {
             <Home className="w-8 h-8 sm:w-10 sm:h-10 text-yellow-500" /> Loan
             Prepayment Advisor
           </h1>
+          <button
+            type="button"
+            onClick={copyLink}
+            className="mt-3 px-3 py-1 rounded-md bg-gray-800 hover:bg-gray-700 text-sm text-gray-200 inline-flex items-center gap-2"
+          >
+            <Link className="w-4 h-4 text-yellow-500" />
+            {linkCopied ? "Link Copied!" : "Copy Link"}
+          </button>
+          {inputs.importedSchedule.length > 0 && (
+            <p className="mt-2 text-xs text-yellow-300">
+              The link leaves out the imported schedule: whoever opens it sees
+              the computed one.
+            </p>
+          )}
         </header>
 
+        {linkWarnings.length > 0 && (
+          <div
+            role="alert"
+            className="p-4 bg-yellow-900/40 border-b border-yellow-500/40 text-sm text-yellow-200 flex items-start justify-between gap-4"
+          >
+            <div>
+              <p className="font-semibold">
+                Some settings in this link could not be used:
+              </p>
+              <ul className="list-disc list-inside">
+                {linkWarnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+            <button
+              type="button"
+              onClick={() => setLinkWarnings([])}
+              aria-label="Dismiss link warnings"
+            >
+              <XCircle className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
         <Introduction />
 
         <div className="p-6 sm:p-8 grid grid-cols-1 lg:grid-cols-5 gap-8">
@@ -327,44 +355,201 @@ function App() {
             <h2 className="text-2xl font-bold mb-6 text-yellow-400">
               Your Financial Scenario
             </h2>
+            <ScenarioManager
+              scenarios={scenarios}
+              activeId={activeScenarioId}
+              isDirty={isDirty}
+              compareIds={compareIds}
+              onSaveNew={(name) =>
+                setActiveScenarioId(saveScenario(name, inputs))
+              }
+              onSave={(id) => updateScenario(id, { inputs })}
+              onLoad={loadScenario}
+              onRename={(id, name) => updateScenario(id, { name })}
+              onDuplicate={duplicateScenario}
+              onDelete={removeScenario}
+              onToggleCompare={toggleCompare}
+            />
             <div className="space-y-4">
-              <InputGroup
-                icon={DollarSign}
-                label="Loan Amount (₹)"
-                value={loanAmount}
-                onChange={setLoanAmount}
-              />
-              <InputGroup
-                icon={Percent}
-                label="Interest Rate (%)"
-                value={interestRate}
-                onChange={setInterestRate}
-                step="0.05"
-              />
-              <InputGroup
-                icon={Calendar}
-                label="Remaining Tenure (Yrs)"
-                value={tenureYears}
-                onChange={setTenureYears}
+              <RadioGroup
+                label="Loan Details"
+                name="loanDetailsMode"
+                value={loanDetailsMode}
+                onChange={setInput("loanDetailsMode")}
+                options={[
+                  { value: "remaining", label: "Remaining Loan" },
+                  { value: "sanction", label: "From Sanction" },
+                ]}
               />
+              {loanDetailsMode === "sanction" ? (
+                <>
+                  <InputGroup
+                    icon={DollarSign}
+                    label="Sanctioned Amount (₹)"
+                    value={sanctionAmount}
+                    onChange={setInput("sanctionAmount")}
+                    error={errors.sanctionAmount}
+                  />
+                  <InputGroup
+                    icon={Percent}
+                    label="Interest Rate (%)"
+                    value={interestRate}
+                    onChange={setInput("interestRate")}
+                    error={errors.interestRate}
+                    step="0.05"
+                  />
+                  <InputGroup
+                    icon={Calendar}
+                    label="Original Tenure (Yrs)"
+                    value={originalTenureYears}
+                    onChange={setInput("originalTenureYears")}
+                    error={errors.originalTenureYears}
+                  />
+                  <MonthInput
+                    label="Disbursement Month"
+                    value={disbursementDate}
+                    onChange={setInput("disbursementDate")}
+                    error={errors.disbursementDate}
+                  />
+                  <InputGroup
+                    icon={Repeat}
+                    label="EMIs Paid So Far"
+                    value={emisPaid}
+                    onChange={setInput("emisPaid")}
+                    error={errors.emisPaid}
+                  />
+                  <InputGroup
+                    icon={DollarSign}
+                    label="Outstanding per Statement (₹, 0 = derive)"
+                    value={statementOutstanding}
+                    onChange={setInput("statementOutstanding")}
+                    error={errors.statementOutstanding}
+                  />
+                  {validation.valid && (
+                    <div className="p-3 rounded-md bg-gray-800 border border-gray-700 text-sm text-gray-300 space-y-1">
+                      <p>
+                        Outstanding today:{" "}
+                        <span className="font-semibold text-yellow-400">
+                          ₹{formatCurrency(loanDetails.outstanding)}
+                        </span>
+                        {loanDetails.fromStatement && " (per statement)"}
+                      </p>
+                      <p>
+                        Principal repaid: ₹
+                        {formatCurrency(loanDetails.principalRepaid)} over{" "}
+                        {loanDetails.emisPaid} EMIs of ₹
+                        {formatCurrency(loanDetails.emi)}
+                      </p>
+                      <p>
+                        {loanDetails.remainingMonths} EMIs left, from{" "}
+                        {formatMonthYear(loanDetails.nextEmiDate)} to{" "}
+                        {formatMonthYear(loanDetails.lastEmiDate)}
+                      </p>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <InputGroup
+                    icon={DollarSign}
+                    label="Loan Amount (₹)"
+                    value={loanAmount}
+                    onChange={setInput("loanAmount")}
+                    error={errors.loanAmount}
+                  />
+                  <InputGroup
+                    icon={Percent}
+                    label="Interest Rate (%)"
+                    value={interestRate}
+                    onChange={setInput("interestRate")}
+                    error={errors.interestRate}
+                    step="0.05"
+                  />
+                  <InputGroup
+                    icon={Calendar}
+                    label="Remaining Tenure (Yrs)"
+                    value={tenureYears}
+                    onChange={setInput("tenureYears")}
+                    error={errors.tenureYears}
+                  />
+                </>
+              )}
               <InputGroup
                 icon={Wallet}
                 label="Extra Cash to Deploy (₹)"
                 value={extraCash}
-                onChange={setExtraCash}
+                onChange={setInput("extraCash")}
+                error={errors.extraCash}
               />
               <InputGroup
                 icon={TrendingUp}
                 label="Expected Return (%)"
                 value={investmentReturn}
-                onChange={setInvestmentReturn}
+                onChange={setInput("investmentReturn")}
+                error={errors.investmentReturn}
+                step="0.5"
+              />
+              <InputGroup
+                icon={Percent}
+                label="Inflation Rate (%)"
+                value={inflationRate}
+                onChange={setInput("inflationRate")}
+                error={errors.inflationRate}
                 step="0.5"
               />
+              <InputGroup
+                icon={Percent}
+                label="Discount Rate (%)"
+                value={discountRate}
+                onChange={setInput("discountRate")}
+                error={errors.discountRate}
+                step="0.5"
+              />
+              <RadioGroup
+                label="Return Model"
+                name="simulationMode"
+                value={simulationMode}
+                onChange={setInput("simulationMode")}
+                options={[
+                  { value: "fixed", label: "Fixed Return" },
+                  { value: "monteCarlo", label: "Monte Carlo" },
+                ]}
+              />
+              {simulationMode === "monteCarlo" && (
+                <>
+                  <InputGroup
+                    icon={BarChart}
+                    label="Return Volatility (%)"
+                    value={returnVolatility}
+                    onChange={setInput("returnVolatility")}
+                    error={errors.returnVolatility}
+                    step="0.5"
+                  />
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(RETURN_PRESETS).map(([key, preset]) => (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() =>
+                          setInputs((prev) => ({
+                            ...prev,
+                            investmentReturn: preset.mean,
+                            returnVolatility: preset.volatility,
+                          }))
+                        }
+                        className="p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-xs font-medium"
+                      >
+                        {preset.label} ({preset.mean}% ± {preset.volatility}%)
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
               <RadioGroup
                 label="Investment Type"
                 name="investmentType"
                 value={investmentType}
-                onChange={setInvestmentType}
+                onChange={setInput("investmentType")}
                 options={[
                   { value: "equity", label: "Equity (Stocks/MF)" },
                   { value: "fd", label: "Fixed Deposit" },
@@ -374,18 +559,19 @@ function App() {
                 label="Tax Regime"
                 name="taxRegime"
                 value={taxRegime}
-                onChange={setTaxRegime}
+                onChange={setInput("taxRegime")}
                 options={[
                   { value: "old", label: "Old Regime" },
                   { value: "new", label: "New Regime" },
                 ]}
               />
-              {taxRegime === "old" && (
+              {(taxRegime === "old" || propertyUse === "letOut") && (
                 <InputGroup
                   icon={Percent}
                   label="Your Tax Slab (%)"
                   value={taxSlab}
-                  onChange={setTaxSlab}
+                  onChange={setInput("taxSlab")}
+                  error={errors.taxSlab}
                 />
               )}
               {taxRegime === "old" && (
@@ -393,19 +579,145 @@ function App() {
                   icon={BarChart}
                   label="Used 80C Limit (₹)"
                   value={used80C}
-                  onChange={setUsed80C}
+                  onChange={setInput("used80C")}
+                  error={errors.used80C}
+                />
+              )}
+              <RadioGroup
+                label="Property Use"
+                name="propertyUse"
+                value={propertyUse}
+                onChange={setInput("propertyUse")}
+                options={[
+                  { value: "selfOccupied", label: "Self-Occupied" },
+                  { value: "letOut", label: "Let-Out" },
+                ]}
+              />
+              {propertyUse === "letOut" && (
+                <InputGroup
+                  icon={Home}
+                  label="Annual Rent Received (₹)"
+                  value={annualRent}
+                  onChange={setInput("annualRent")}
+                  error={errors.annualRent}
+                />
+              )}
+              <CoBorrowerEditor
+                coBorrowers={coBorrowers}
+                onChange={setInput("coBorrowers")}
+                errors={errors}
+                showSlab={taxRegime === "old" || propertyUse === "letOut"}
+                show80C={taxRegime === "old"}
+              />
+              {investmentType === "fd" && (
+                <InputGroup
+                  icon={Wallet}
+                  label="Annual Taxable Income (₹)"
+                  value={annualIncome}
+                  onChange={setInput("annualIncome")}
+                  error={errors.annualIncome}
                 />
               )}
               <RadioGroup
                 label="Prepayment Method"
                 name="prepaymentMethod"
                 value={prepaymentMethod}
-                onChange={setPrepaymentMethod}
+                onChange={setInput("prepaymentMethod")}
                 options={[
                   { value: "reduceTenure", label: "Reduce Tenure" },
                   { value: "reduceEmi", label: "Reduce EMI" },
                 ]}
               />
+              <PrepaymentPlanEditor
+                plan={prepaymentPlan}
+                onChange={setInput("prepaymentPlan")}
+                errors={errors}
+              />
+              <EmiStepUpEditor
+                stepUps={emiStepUps}
+                onChange={setInput("emiStepUps")}
+                errors={errors}
+              />
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+                  <Percent className="w-4 h-4 mr-2 text-yellow-500" />{" "}
+                  Prepayment Charges
+                </label>
+                <div className="p-2 rounded-md bg-gray-800 border border-gray-700 grid grid-cols-2 gap-2 text-xs text-gray-400">
+                  <PlanField
+                    label="Charge (% of amount)"
+                    value={prepaymentChargeRate}
+                    onChange={setInput("prepaymentChargeRate")}
+                    error={errors.prepaymentChargeRate}
+                    step={0.25}
+                  />
+                  <PlanField
+                    label="Flat Fee (₹)"
+                    value={prepaymentChargeFlat}
+                    onChange={setInput("prepaymentChargeFlat")}
+                    error={errors.prepaymentChargeFlat}
+                  />
+                  <PlanField
+                    label="Free After Month (0 = never)"
+                    value={prepaymentFreeAfterMonths}
+                    onChange={setInput("prepaymentFreeAfterMonths")}
+                    error={errors.prepaymentFreeAfterMonths}
+                  />
+                  <PlanField
+                    label="Free Each Year (₹)"
+                    value={prepaymentFreeAnnualLimit}
+                    onChange={setInput("prepaymentFreeAnnualLimit")}
+                    error={errors.prepaymentFreeAnnualLimit}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+                  <Wallet className="w-4 h-4 mr-2 text-yellow-500" /> Overdraft
+                  Account
+                </label>
+                <div className="p-2 rounded-md bg-gray-800 border border-gray-700 grid grid-cols-2 gap-2 text-xs text-gray-400">
+                  <PlanField
+                    label="Monthly Deposit (₹)"
+                    value={overdraftMonthlyDeposit}
+                    onChange={setInput("overdraftMonthlyDeposit")}
+                    error={errors.overdraftMonthlyDeposit}
+                  />
+                  <PlanField
+                    label="Monthly Withdrawal (₹)"
+                    value={overdraftMonthlyWithdrawal}
+                    onChange={setInput("overdraftMonthlyWithdrawal")}
+                    error={errors.overdraftMonthlyWithdrawal}
+                  />
+                </div>
+              </div>
+              <RadioGroup
+                label="Interest Calculation"
+                name="dayCount"
+                value={dayCount}
+                onChange={setInput("dayCount")}
+                options={Object.entries(DAY_COUNT_CONVENTIONS).map(
+                  ([value, label]) => ({ value, label })
+                )}
+              />
+              <RateScheduleEditor
+                changes={rateChanges}
+                onChange={setInput("rateChanges")}
+                errors={errors}
+                baseRate={interestRate}
+              />
+              {rateChanges.length > 0 && (
+                <RadioGroup
+                  label="On Rate Reset"
+                  name="rateResetMode"
+                  value={rateResetMode}
+                  onChange={setInput("rateResetMode")}
+                  options={[
+                    { value: "keepEmi", label: "Keep EMI, Change Tenure" },
+                    { value: "recalculateEmi", label: "Recalculate EMI" },
+                  ]}
+                />
+              )}
             </div>
           </div>
 
@@ -413,34 +725,60 @@ function App() {
             <h2 className="text-2xl font-bold mb-6 text-yellow-400">
               📊 Analysis & Recommendation
             </h2>
-            {results && (
+            {results ? (
               <div className="space-y-4">
                 <div
-                  className={`p-4 rounded-lg text-center ${
-                    results.betterOption === "Invest"
-                      ? "bg-green-900/50 border-green-500"
-                      : "bg-red-900/50 border-red-500"
-                  } border`}
+                  className={`p-4 rounded-lg text-center border ${
+                    RECOMMENDATION_STYLES[overdraft.best].box
+                  }`}
                 >
                   <h3 className="text-2xl font-bold flex items-center justify-center gap-2">
-                    {results.betterOption === "Invest" ? (
-                      <CheckCircle className="text-green-400" />
-                    ) : (
-                      <XCircle className="text-red-400" />
-                    )}
-                    Recommendation: {results.betterOption}
+                    {RECOMMENDATION_STYLES[overdraft.best].icon}
+                    Recommendation: {CASH_STRATEGIES[overdraft.best].label}
                   </h3>
                   <p className="mt-1 text-gray-300">
                     Net benefit of <strong>Investing</strong> is{" "}
                     <strong>
                       ₹{formatCurrency(results.netBenefitInvesting)}
-                    </strong>{" "}
-                    vs. Net benefit of <strong>Prepaying</strong> is{" "}
+                    </strong>
+                    , of <strong>Prepaying</strong>{" "}
                     <strong>
                       ₹{formatCurrency(results.netBenefitPrepaying)}
-                    </strong>
-                    .
+                    </strong>{" "}
+                    and of parking it in the <strong>Overdraft Account</strong>{" "}
+                    <strong>₹{formatCurrency(overdraft.netBenefit)}</strong>.
                   </p>
+                  {overdraft.best === "overdraft" && (
+                    <p className="mt-1 text-sm text-gray-400">
+                      Of investing and prepaying alone,{" "}
+                      {results.betterOption === "Invest"
+                        ? "investing"
+                        : "prepaying"}{" "}
+                      comes out ahead.
+                    </p>
+                  )}
+                  {simulation && (
+                    <p className="mt-1 text-sm text-gray-400">
+                      Investing beats prepaying in{" "}
+                      <strong className="text-yellow-400">
+                        {(simulation.probabilityInvestingWins * 100).toFixed(0)}
+                        %
+                      </strong>{" "}
+                      of {simulation.paths.toLocaleString("en-IN")} simulated
+                      markets (P10–P90 net benefit: ₹
+                      {formatCurrency(simulation.netBenefitInvesting.p10)} – ₹
+                      {formatCurrency(simulation.netBenefitInvesting.p90)})
+                      {running && " · updating…"}
+                    </p>
+                  )}
+                  {simulationError && (
+                    <p className="mt-1 text-sm text-red-400">
+                      The simulation failed: {simulationError}
+                    </p>
+                  )}
+                  <div className="mt-3 text-left">
+                    <StrategyComparison overdraft={overdraft} />
+                  </div>
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
                   <MetricCard
@@ -451,35 +789,80 @@ function App() {
                       results.investmentGain
                     )}\nTax Paid: ₹${formatCurrency(results.investmentTax)}\n(${
                       results.investmentType === "equity"
-                        ? `10% LTCG`
-                        : `${results.taxSlab}% Slab Rate`
+                        ? `${
+                            startRules.ltcgRate * 100
+                          }% LTCG above ₹${formatCurrency(
+                            startRules.ltcgExemption
+                          )} per FY, gains harvested yearly`
+                        : `${
+                            taxRegime === "old" ? "Old" : "New"
+                          } regime slabs, taxed yearly`
                     })`}
                   />
                   <MetricCard
                     title="Net Interest Saved"
                     value={`₹${formatCurrency(results.interestSaved)}`}
                     color="green"
-                    tooltipText="This is the total loan interest you avoid paying by reducing the principal amount upfront."
+                    tooltipText="This is the total loan interest you avoid paying by reducing the principal amount upfront and through your planned prepayments."
+                  />
+                  <MetricCard
+                    title="Reinvested Savings Gain"
+                    value={`₹${formatCurrency(results.reinvestedSavingsGain)}`}
+                    color="green"
+                    tooltipText="Post-tax growth of the EMIs prepaying frees up and its tax refunds, invested at the expected return until the same horizon. Counted in the net benefit of prepaying."
                   />
                   <MetricCard
                     title="Tax Benefit (Continue Loan)"
                     value={`₹${formatCurrency(results.originalLoanTaxBenefit)}`}
                     color="blue"
-                    tooltipText="Total tax saved over the loan tenure from interest and principal deductions if you DON'T prepay."
+                    tooltipText={`Total tax saved over the loan tenure from interest and principal deductions if you DON'T prepay.${borrowerBreakdown(
+                      "original"
+                    )}`}
                   />
                   <MetricCard
                     title="Tax Benefit (Prepaid Loan)"
                     value={`₹${formatCurrency(results.prepaidLoanTaxBenefit)}`}
                     color="blue"
-                    tooltipText="Total tax saved on the remaining loan if you DO prepay. This is often lower as the loan amount is smaller."
+                    tooltipText={`Total tax saved on the remaining loan if you DO prepay. This is often lower as the loan amount is smaller.${borrowerBreakdown(
+                      "prepaid"
+                    )}`}
                   />
+                  {(prepaymentChargeRate > 0 || prepaymentChargeFlat > 0) && (
+                    <MetricCard
+                      title="Prepayment Charges"
+                      value={`₹${formatCurrency(
+                        results.totalPrepaymentCharges
+                      )}`}
+                      color="red"
+                      tooltipText={`Charged by the lender on ${
+                        results.prepaymentCharges.filter(
+                          (prepayment) => prepayment.charge > 0
+                        ).length
+                      } of ${
+                        results.prepaymentCharges.filter(
+                          (prepayment) => prepayment.amount > 0
+                        ).length
+                      } prepayments, paid out of the prepaying side's investments when each prepayment is made.`}
+                    />
+                  )}
                 </div>
+                <ValuationTable
+                  valuation={valuation}
+                  inflationRate={inflationRate}
+                  discountRate={discountRate}
+                />
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-gray-700">
                   <div>
                     <h4 className="font-semibold text-yellow-400">
                       Original Loan
                     </h4>
                     <p>EMI: ₹{formatCurrency(results.originalEmi)}</p>
+                    {results.rateResetYears.length > 0 && (
+                      <p>
+                        EMI after Resets: ₹
+                        {formatCurrency(results.originalFinalEmi)}
+                      </p>
+                    )}
                     <p>Tenure: {results.originalTenureMonths} months</p>
                   </div>
                   <div>
@@ -487,10 +870,27 @@ function App() {
                       Loan After Prepayment
                     </h4>
                     <p>New EMI: ₹{formatCurrency(results.newEmi)}</p>
+                    {results.rateResetYears.length > 0 && (
+                      <p>
+                        EMI after Resets: ₹{formatCurrency(results.newFinalEmi)}
+                      </p>
+                    )}
                     <p>
                       New Tenure: {Math.ceil(results.newTenureMonths)} months (
                       {(results.newTenureMonths / 12).toFixed(1)} yrs)
                     </p>
+                    {results.totalPrepaid > 0 && (
+                      <p>
+                        Planned Prepayments: ₹
+                        {formatCurrency(results.totalPrepaid)}
+                      </p>
+                    )}
+                    {results.totalEmiRaised > 0 && (
+                      <p>
+                        EMI Step-ups: ₹{formatCurrency(results.totalEmiRaised)}
+                        {" · "}Last EMI: ₹{formatCurrency(results.newFinalEmi)}
+                      </p>
+                    )}
                   </div>
                 </div>
                 {taxRegime === "old" && (
@@ -507,82 +907,192 @@ function App() {
                   </div>
                 )}
               </div>
+            ) : (
+              <CannotAnalyze errors={errors} />
             )}
           </div>
         </div>
 
+        {comparedScenarios.length >= 2 && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <Repeat /> Scenario Comparison
+            </h2>
+            <ScenarioComparison scenarios={comparedScenarios} today={today} />
+          </div>
+        )}
+
         {results && (
-          <div className="p-6 sm:p-8 bg-gray-800 rounded-b-2xl border-t border-yellow-500/30">
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
             <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
-              <BarChart /> Financial Trajectory
+              <FileSpreadsheet /> Bank Statement
             </h2>
-            <div className="h-80 w-full mb-8">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={results.graphData}
-                  margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" stroke="#4a4a4a" />
-                  <XAxis
-                    dataKey="year"
-                    tick={{ fill: "#d1d5db" }}
-                    label={{
-                      value: "Year",
-                      position: "insideBottom",
-                      offset: -5,
-                      fill: "#d1d5db",
-                    }}
-                  />
-                  <YAxis
-                    tick={{ fill: "#d1d5db" }}
-                    tickFormatter={(value) =>
-                      `₹${(value / 100000).toFixed(0)}L`
-                    }
-                  />
-                  <RechartsTooltip
-                    contentStyle={{
-                      backgroundColor: "#333",
-                      borderColor: "#555",
-                      color: "#eee",
-                    }}
-                    formatter={(value) => `₹${formatCurrency(value)}`}
-                  />
-                  <Legend wrapperStyle={{ color: "#d1d5db" }} />
-                  <Line
-                    type="monotone"
-                    dataKey="Investment Value"
-                    stroke="#facc15"
-                    strokeWidth={2}
-                  />
-                  <Line
-                    type="monotone"
-                    dataKey="Interest (Original)"
-                    stroke="#ef4444"
-                    strokeDasharray="5 5"
-                    strokeWidth={2}
-                  />
-                  <Line
-                    type="monotone"
-                    dataKey="Interest (Prepaid)"
-                    stroke="#22c55e"
-                    strokeWidth={2}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+            <StatementImport
+              inputs={loanInputs}
+              onUse={setInput("importedSchedule")}
+            />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <ArrowRightLeft /> Balance Transfer
+            </h2>
+            <RefinanceEvaluator inputs={loanInputs} setInput={setInput} />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <Wallet /> Loan Portfolio
+            </h2>
+            <LoanPortfolio
+              inputs={loanInputs}
+              loans={portfolioLoans}
+              onChange={setInput("portfolioLoans")}
+            />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <Target /> Optimal Split
+            </h2>
+            <SplitOptimizer inputs={loanInputs} />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <Flag /> Goal Solver
+            </h2>
+            <GoalSolver inputs={loanInputs} setInput={setInput} />
+          </div>
+        )}
+
+        {results && emiStepUps.length > 0 && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
+            <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <ChevronsUp /> EMI Step-up
+            </h2>
+            <StepUpComparison inputs={loanInputs} />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-900/60 border-t border-yellow-500/30">
             <h2 className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2">
+              <TrendingUp /> Sensitivity Analysis
+            </h2>
+            <SensitivityPanel inputs={loanInputs} />
+          </div>
+        )}
+
+        {results && (
+          <div className="p-6 sm:p-8 bg-gray-800 rounded-b-2xl border-t border-yellow-500/30">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+              <h2 className="text-2xl font-bold text-yellow-400 flex items-center gap-2">
+                <BarChart /> Financial Trajectory
+              </h2>
+              <div className="flex flex-wrap items-center gap-4">
+                <RadioGroup
+                  label="Values"
+                  name="chartBasis"
+                  value={chartBasis}
+                  onChange={setChartBasis}
+                  options={[
+                    { value: "nominal", label: "Nominal" },
+                    { value: "real", label: "Real (Today's ₹)" },
+                  ]}
+                />
+                <ExportMenu
+                  inputs={loanInputs}
+                  results={results}
+                  chartRef={chartRef}
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-4 mb-4">
+              <RadioGroup
+                label="Chart"
+                name="chartView"
+                value={chartView}
+                onChange={setChartView}
+                options={TRAJECTORY_VIEWS}
+              />
+              <RadioGroup
+                label="X-Axis"
+                name="chartXAxis"
+                value={chartXAxis}
+                onChange={setChartXAxis}
+                options={X_AXES}
+              />
+            </div>
+            <div className="h-80 w-full" ref={chartRef}>
+              <TrajectoryChart
+                data={chartData}
+                view={chartView}
+                xAxis={chartXAxis}
+                rateResetYears={results.rateResetYears}
+                showBands={!!simulation}
+                onSelectYear={showYear}
+              />
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mt-2 mb-8 text-xs text-gray-400">
+              <span>
+                Net worth is what each strategy has invested less what it still
+                owes. Click a year to see its EMIs in the schedules, or pick
+                one:
+              </span>
+              <select
+                aria-label="Show year in schedules"
+                value={focusYear || ""}
+                onChange={(e) =>
+                  e.target.value
+                    ? showYear(Number(e.target.value))
+                    : setFocusYear(null)
+                }
+                className="p-1 rounded bg-gray-700 text-gray-200"
+              >
+                <option value="">—</option>
+                {chartData.map((point) => (
+                  <option key={point.year} value={point.year}>
+                    {point[chartXAxis]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <h2
+              ref={schedulesRef}
+              className="text-2xl font-bold mb-6 text-yellow-400 flex items-center gap-2"
+            >
               <Table /> Amortization Schedules
             </h2>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
               <AmortizationTable
                 title="Original Loan Schedule"
                 data={results.originalAmortization}
+                firstEmiDate={loanInputs.firstEmiDate}
+                focusYear={focusYear}
               />
               <AmortizationTable
                 title="Prepaid Loan Schedule"
                 data={results.prepaidAmortization}
+                firstEmiDate={loanInputs.firstEmiDate}
+                focusYear={focusYear}
               />
             </div>
+            <h2 className="text-2xl font-bold mt-8 mb-6 text-yellow-400 flex items-center gap-2">
+              <Wallet /> Cash-Flow Ledger
+            </h2>
+            <CashFlowLedger
+              ledger={results.ledger}
+              horizonMonths={results.horizonMonths}
+            />
           </div>
         )}
       </div>
@@ -636,6 +1146,22 @@ const Introduction = () => (
   </div>
 );
 
+// Look of the recommendation card for each of CASH_STRATEGIES
+const RECOMMENDATION_STYLES = {
+  invest: {
+    box: "bg-green-900/50 border-green-500",
+    icon: <CheckCircle className="text-green-400" />,
+  },
+  prepay: {
+    box: "bg-red-900/50 border-red-500",
+    icon: <XCircle className="text-red-400" />,
+  },
+  overdraft: {
+    box: "bg-blue-900/50 border-blue-500",
+    icon: <Wallet className="text-blue-400" />,
+  },
+};
+
 const Tooltip = ({ text, children }) => (
   <div className="relative group">
     {children}
@@ -645,18 +1171,73 @@ const Tooltip = ({ text, children }) => (
   </div>
 );
 
-const InputGroup = ({ icon: Icon, label, value, onChange, step = 1 }) => (
+// Shown instead of the results while any input is invalid
+const CannotAnalyze = ({ errors }) => (
+  <div
+    role="alert"
+    className="p-4 rounded-lg bg-red-900/40 border border-red-500 text-sm"
+  >
+    <h3 className="text-xl font-bold flex items-center gap-2 text-red-300">
+      <XCircle className="text-red-400" /> Cannot analyze this scenario
+    </h3>
+    <p className="mt-1 text-gray-300">
+      Fix these inputs to see the recommendation:
+    </p>
+    <ul className="mt-2 list-disc list-inside text-red-300">
+      {Object.entries(errors).map(([field, message]) => (
+        <li key={field}>{message}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+const InputGroup = ({
+  icon: Icon,
+  label,
+  value,
+  onChange,
+  step = 1,
+  error,
+}) => (
   <div>
     <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
       <Icon className="w-4 h-4 mr-2 text-yellow-500" /> {label}
     </label>
     <input
       type="number"
+      aria-label={label}
+      aria-invalid={!!error}
       value={value}
-      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      onChange={(e) => onChange(readNumber(e.target.value))}
       step={step}
-      className="w-full p-2 border-none focus:ring-2 focus:ring-yellow-500 rounded-md bg-gray-800 text-gray-200 font-medium"
+      className={`w-full p-2 border-none focus:ring-2 rounded-md bg-gray-800 text-gray-200 font-medium ${
+        error
+          ? "ring-2 ring-red-500 focus:ring-red-500"
+          : "focus:ring-yellow-500"
+      }`}
     />
+    {error && <p className="mt-1 text-xs text-red-400">{error}</p>}
+  </div>
+);
+
+const MonthInput = ({ label, value, onChange, error }) => (
+  <div>
+    <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+      <Calendar className="w-4 h-4 mr-2 text-yellow-500" /> {label}
+    </label>
+    <input
+      type="month"
+      aria-label={label}
+      aria-invalid={!!error}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`w-full p-2 border-none focus:ring-2 rounded-md bg-gray-800 text-gray-200 font-medium ${
+        error
+          ? "ring-2 ring-red-500 focus:ring-red-500"
+          : "focus:ring-yellow-500"
+      }`}
+    />
+    {error && <p className="mt-1 text-xs text-red-400">{error}</p>}
   </div>
 );
 
@@ -690,11 +1271,364 @@ const RadioGroup = ({ label, name, value, onChange, options }) => (
   </div>
 );
 
+const PrepaymentPlanEditor = ({ plan, onChange, errors }) => {
+  const addItem = () =>
+    onChange([
+      ...plan,
+      {
+        id: plan.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+        frequency: "yearly",
+        amount: 100000,
+        startMonth: 12,
+        endMonth: 0,
+        stepUp: 0,
+      },
+    ]);
+  const updateItem = (id, field, value) =>
+    onChange(
+      plan.map((item) => (item.id === id ? { ...item, [field]: value } : item))
+    );
+  const removeItem = (id) => onChange(plan.filter((item) => item.id !== id));
+
+  return (
+    <div>
+      <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+        <Repeat className="w-4 h-4 mr-2 text-yellow-500" /> Additional
+        Prepayments
+      </label>
+      <div className="space-y-2">
+        {plan.map((item) => (
+          <div
+            key={item.id}
+            className="p-2 rounded-md bg-gray-800 border border-gray-700 space-y-2"
+          >
+            <div className="flex items-center gap-2">
+              <select
+                value={item.frequency}
+                onChange={(e) =>
+                  updateItem(item.id, "frequency", e.target.value)
+                }
+                className="flex-1 p-1 rounded-md bg-gray-700 text-gray-200 text-sm"
+              >
+                <option value="once">One-off</option>
+                <option value="monthly">Every Month</option>
+                <option value="yearly">Every Year</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => removeItem(item.id)}
+                className="text-gray-500 hover:text-red-400"
+                aria-label="Remove prepayment"
+              >
+                <XCircle className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-xs text-gray-400">
+              <PlanField
+                label="Amount (₹)"
+                value={item.amount}
+                onChange={(v) => updateItem(item.id, "amount", v)}
+                error={errors[`prepaymentPlan.${item.id}.amount`]}
+              />
+              <PlanField
+                label={item.frequency === "once" ? "In Month" : "From Month"}
+                value={item.startMonth}
+                onChange={(v) => updateItem(item.id, "startMonth", v)}
+                error={errors[`prepaymentPlan.${item.id}.startMonth`]}
+              />
+              {item.frequency === "once" && (
+                <label className="block col-span-2">
+                  Or On Date (daily interest to the day)
+                  <input
+                    type="date"
+                    value={item.date || ""}
+                    onChange={(e) =>
+                      updateItem(item.id, "date", e.target.value)
+                    }
+                    className="w-full mt-1 p-1 rounded-md bg-gray-700 text-gray-200 text-sm"
+                  />
+                </label>
+              )}
+              {item.frequency === "monthly" && (
+                <PlanField
+                  label="Until Month (0 = end)"
+                  value={item.endMonth}
+                  onChange={(v) => updateItem(item.id, "endMonth", v)}
+                  error={errors[`prepaymentPlan.${item.id}.endMonth`]}
+                />
+              )}
+              {item.frequency === "yearly" && (
+                <PlanField
+                  label="Yearly Step-up (%)"
+                  value={item.stepUp}
+                  onChange={(v) => updateItem(item.id, "stepUp", v)}
+                  error={errors[`prepaymentPlan.${item.id}.stepUp`]}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={addItem}
+          className="w-full p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-sm font-medium"
+        >
+          + Add Prepayment
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const EmiStepUpEditor = ({ stepUps, onChange, errors }) => {
+  const addItem = () =>
+    onChange([
+      ...stepUps,
+      {
+        id: stepUps.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+        frequency: "yearly",
+        startMonth: 13,
+        percent: 5,
+        amount: 0,
+      },
+    ]);
+  const updateItem = (id, field, value) =>
+    onChange(
+      stepUps.map((item) =>
+        item.id === id ? { ...item, [field]: value } : item
+      )
+    );
+  const removeItem = (id) => onChange(stepUps.filter((item) => item.id !== id));
+
+  return (
+    <div>
+      <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+        <ChevronsUp className="w-4 h-4 mr-2 text-yellow-500" /> EMI Step-ups
+      </label>
+      <div className="space-y-2">
+        {stepUps.map((item) => (
+          <div
+            key={item.id}
+            className="p-2 rounded-md bg-gray-800 border border-gray-700 space-y-2"
+          >
+            <div className="flex items-center gap-2">
+              <select
+                value={item.frequency}
+                onChange={(e) =>
+                  updateItem(item.id, "frequency", e.target.value)
+                }
+                aria-label="Step-up frequency"
+                className="flex-1 p-1 rounded-md bg-gray-700 text-gray-200 text-sm"
+              >
+                <option value="once">Once</option>
+                <option value="yearly">Every Year</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => removeItem(item.id)}
+                className="text-gray-500 hover:text-red-400"
+                aria-label="Remove EMI step-up"
+              >
+                <XCircle className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+              <PlanField
+                label={item.frequency === "once" ? "In Month" : "From Month"}
+                value={item.startMonth}
+                onChange={(v) => updateItem(item.id, "startMonth", v)}
+                error={errors[`emiStepUps.${item.id}.startMonth`]}
+              />
+              <PlanField
+                label="Raise (%)"
+                value={item.percent}
+                onChange={(v) => updateItem(item.id, "percent", v)}
+                error={errors[`emiStepUps.${item.id}.percent`]}
+              />
+              <PlanField
+                label="Plus (₹)"
+                value={item.amount}
+                onChange={(v) => updateItem(item.id, "amount", v)}
+                error={errors[`emiStepUps.${item.id}.amount`]}
+              />
+            </div>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={addItem}
+          className="w-full p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-sm font-medium"
+        >
+          + Add EMI Step-up
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const RateScheduleEditor = ({ changes, onChange, baseRate, errors }) => {
+  const addChange = () => {
+    const last = changes[changes.length - 1];
+    onChange([
+      ...changes,
+      {
+        id: changes.reduce((max, change) => Math.max(max, change.id), 0) + 1,
+        month: last ? last.month + 12 : 13,
+        rate: last ? last.rate : baseRate,
+      },
+    ]);
+  };
+  const updateChange = (id, field, value) =>
+    onChange(
+      changes.map((change) =>
+        change.id === id ? { ...change, [field]: value } : change
+      )
+    );
+  const removeChange = (id) =>
+    onChange(changes.filter((change) => change.id !== id));
+
+  return (
+    <div>
+      <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+        <Percent className="w-4 h-4 mr-2 text-yellow-500" /> Floating Rate
+        Resets
+      </label>
+      <div className="space-y-2">
+        {changes.map((change) => (
+          <div
+            key={change.id}
+            className="p-2 rounded-md bg-gray-800 border border-gray-700 flex items-end gap-2 text-xs text-gray-400"
+          >
+            <PlanField
+              label="From Month"
+              value={change.month}
+              onChange={(v) => updateChange(change.id, "month", v)}
+              error={errors[`rateChanges.${change.id}.month`]}
+            />
+            <PlanField
+              label="Rate (%)"
+              value={change.rate}
+              onChange={(v) => updateChange(change.id, "rate", v)}
+              error={errors[`rateChanges.${change.id}.rate`]}
+              step="0.05"
+            />
+            <button
+              type="button"
+              onClick={() => removeChange(change.id)}
+              className="mb-1 text-gray-500 hover:text-red-400"
+              aria-label="Remove rate reset"
+            >
+              <XCircle className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={addChange}
+          className="w-full p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-sm font-medium"
+        >
+          + Add Rate Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const CoBorrowerEditor = ({
+  coBorrowers,
+  onChange,
+  showSlab,
+  show80C,
+  errors,
+}) => {
+  const addCoBorrower = () =>
+    onChange([
+      ...coBorrowers,
+      {
+        id: coBorrowers.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+        share: 50,
+        taxSlab: 30,
+        used80C: 0,
+      },
+    ]);
+  const updateCoBorrower = (id, field, value) =>
+    onChange(
+      coBorrowers.map((item) =>
+        item.id === id ? { ...item, [field]: value } : item
+      )
+    );
+  const removeCoBorrower = (id) =>
+    onChange(coBorrowers.filter((item) => item.id !== id));
+
+  return (
+    <div>
+      <label className="block text-gray-300 text-sm font-semibold mb-2 flex items-center">
+        <UserCheck className="w-4 h-4 mr-2 text-yellow-500" /> Co-Borrowers
+      </label>
+      <div className="space-y-2">
+        {coBorrowers.map((item, i) => (
+          <div
+            key={item.id}
+            className="p-2 rounded-md bg-gray-800 border border-gray-700 space-y-2"
+          >
+            <div className="flex items-center justify-between text-sm">
+              <span>Co-borrower {i + 1}</span>
+              <button
+                type="button"
+                onClick={() => removeCoBorrower(item.id)}
+                className="text-gray-500 hover:text-red-400"
+                aria-label="Remove co-borrower"
+              >
+                <XCircle className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+              <PlanField
+                label="Share (%)"
+                value={item.share}
+                onChange={(v) => updateCoBorrower(item.id, "share", v)}
+                error={errors[`coBorrowers.${item.id}.share`]}
+              />
+              {showSlab && (
+                <PlanField
+                  label="Tax Slab (%)"
+                  value={item.taxSlab}
+                  onChange={(v) => updateCoBorrower(item.id, "taxSlab", v)}
+                  error={errors[`coBorrowers.${item.id}.taxSlab`]}
+                />
+              )}
+              {show80C && (
+                <PlanField
+                  label="Used 80C (₹)"
+                  value={item.used80C}
+                  onChange={(v) => updateCoBorrower(item.id, "used80C", v)}
+                  error={errors[`coBorrowers.${item.id}.used80C`]}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+        {errors.coBorrowers && (
+          <p className="text-xs text-red-400">{errors.coBorrowers}</p>
+        )}
+        <button
+          type="button"
+          onClick={addCoBorrower}
+          className="w-full p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-sm font-medium"
+        >
+          + Add Co-Borrower
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const MetricCard = ({ title, value, color, tooltipText }) => {
   const colors = {
     purple: "from-purple-600/20 to-gray-800 border-purple-500 text-purple-400",
     green: "from-green-600/20 to-gray-800 border-green-500 text-green-400",
     blue: "from-blue-600/20 to-gray-800 border-blue-500 text-blue-400",
+    red: "from-red-600/20 to-gray-800 border-red-500 text-red-400",
   };
   return (
     <div
@@ -713,53 +1647,4 @@ const MetricCard = ({ title, value, color, tooltipText }) => {
   );
 };
 
-const AmortizationTable = ({ title, data }) => (
-  <div>
-    <h3 className="text-xl font-semibold mb-2 text-yellow-500">{title}</h3>
-    {data.length > 0 ? (
-      <div className="h-96 overflow-y-auto bg-gray-900 rounded-lg p-2 border border-gray-700">
-        <table className="w-full text-xs text-left">
-          <thead className="sticky top-0 bg-gray-900">
-            <tr>
-              <th className="p-2">Month</th>
-              <th className="p-2">Interest</th>
-              <th className="p-2">Principal</th>
-              <th className="p-2">Balance</th>
-            </tr>
-          </thead>
-          <tbody className="text-gray-400">
-            {data.map((row) => (
-              <tr key={row.month} className="border-t border-gray-800">
-                <td className="p-2">{row.month}</td>
-                <td className="p-2">
-                  ₹
-                  {row.interest.toLocaleString("en-IN", {
-                    maximumFractionDigits: 0,
-                  })}
-                </td>
-                <td className="p-2">
-                  ₹
-                  {row.principal.toLocaleString("en-IN", {
-                    maximumFractionDigits: 0,
-                  })}
-                </td>
-                <td className="p-2 font-semibold text-gray-300">
-                  ₹
-                  {row.endingBalance.toLocaleString("en-IN", {
-                    maximumFractionDigits: 0,
-                  })}
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    ) : (
-      <p className="text-gray-500">
-        Loan is fully paid off. No schedule to show.
-      </p>
-    )}
-  </div>
-);
-
 export default App;
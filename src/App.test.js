@@ -1,8 +1,384 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import App from "./App";
+import { analyzeScenario, resolveLoan, DEFAULT_INPUTS } from "./engine";
+import { scheduleRows, toCsv } from "./export/reportData";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Every date in the app follows from this one
+const today = new Date(2026, 9, 18);
+
+test("renders the advisor with a recommendation", () => {
+  render(<App today={today} />);
+  expect(screen.getByText(/Loan\s+Prepayment Advisor/)).toBeInTheDocument();
+  expect(screen.getByText(/Recommendation: Invest/)).toBeInTheDocument();
+});
+
+test("shows the Monte Carlo odds of investing winning", () => {
+  render(<App today={today} />);
+  fireEvent.click(screen.getByText("Monte Carlo"));
+  expect(screen.getByText(/simulated\s+markets/)).toBeInTheDocument();
+});
+
+test("compares saved scenarios side by side", () => {
+  window.localStorage.clear();
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Scenario name"), {
+    target: { value: "20 yrs at 9%" },
+  });
+  fireEvent.click(screen.getByText("Save New"));
+  fireEvent.click(screen.getByLabelText("Duplicate 20 yrs at 9%"));
+  fireEvent.click(screen.getByLabelText("Compare 20 yrs at 9%"));
+  fireEvent.click(screen.getByLabelText("Compare 20 yrs at 9% (copy)"));
+  expect(screen.getByText("Scenario Comparison")).toBeInTheDocument();
+  expect(screen.getByText("Net Benefit (Prepay)")).toBeInTheDocument();
+});
+
+test("recommends in a comparison what the main card does", () => {
+  const inputs = {
+    ...DEFAULT_INPUTS,
+    investmentReturn: 6,
+    investmentType: "fd",
+    taxRegime: "new",
+    prepaymentChargeRate: 10,
+  };
+  window.localStorage.setItem(
+    "loanAdvisor.scenarios",
+    JSON.stringify([
+      { id: 1, name: "Today", inputs: DEFAULT_INPUTS, updatedAt: 1 },
+      { id: 2, name: "FD", inputs, updatedAt: 2 },
+    ])
+  );
+  render(<App today={today} />);
+  fireEvent.click(screen.getByLabelText("Compare Today"));
+  fireEvent.click(screen.getByLabelText("Compare FD"));
+  const row = screen.getByRole("row", { name: /^Recommendation/ });
+  expect(within(row).getByText("Invest")).toBeInTheDocument();
+  expect(within(row).getByText("Overdraft Account")).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test("compares a saved scenario it can't analyze without crashing", () => {
+  window.localStorage.setItem(
+    "loanAdvisor.scenarios",
+    JSON.stringify([
+      { id: 1, name: "Today", inputs: DEFAULT_INPUTS, updatedAt: 1 },
+      {
+        id: 2,
+        name: "Edited",
+        inputs: { ...DEFAULT_INPUTS, tenureYears: 15.3 },
+        updatedAt: 2,
+      },
+    ])
+  );
+  render(<App today={today} />);
+  fireEvent.click(screen.getByLabelText("Compare Today"));
+  fireEvent.click(screen.getByLabelText("Compare Edited"));
+  expect(screen.getByText("Cannot analyze")).toBeInTheDocument();
+  expect(
+    screen.getByText(
+      "Remaining tenure must be a whole number of months (a year is 12)."
+    )
+  ).toBeInTheDocument();
+  expect(screen.getByText("Net Benefit (Prepay)")).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test("hydrates a shared link and warns about bad parameters", () => {
+  window.history.replaceState(null, "", "/?tenureYears=15&taxSlab=abc");
+  render(<App today={today} />);
+  expect(screen.getByText(/not a valid taxSlab/)).toBeInTheDocument();
+  expect(window.location.search).toBe("?tenureYears=15");
+  window.history.replaceState(null, "", "/");
+});
+
+test("switches the amortization schedule to financial years", () => {
+  render(<App today={today} />);
+  fireEvent.click(screen.getAllByText("Financial Year")[0]);
+  expect(screen.getAllByText(/^FY \d{4}-\d{2}$/).length).toBeGreaterThan(0);
+  expect(screen.getAllByText(/50% principal repaid/).length).toBe(2);
+});
+
+test("shows the best prepay/invest split and the break-even return", () => {
+  render(<App today={today} />);
+  expect(screen.getByText(/Best allocation/)).toBeInTheDocument();
+  expect(
+    screen.getByText(/Investing beats prepaying above/)
+  ).toBeInTheDocument();
+});
+
+test("renders the sensitivity heatmap and tornado chart", () => {
+  render(<App today={today} />);
+  expect(screen.getByText("What Moves the Decision")).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Tenure × Tax Slab"));
+  expect(screen.getByText(/Tenure \(Years\) ↓/)).toBeInTheDocument();
+});
+
+test("shows real and present values and deflates the chart", () => {
+  render(<App today={today} />);
+  expect(screen.getByText("IRR on the extra cash")).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Real (Today's ₹)"));
+  expect(screen.getByLabelText("Real (Today's ₹)")).toBeChecked();
+});
+
+test("compares prepayment strategies across a loan portfolio", () => {
+  render(<App today={today} />);
+  fireEvent.click(screen.getByText("+ Add Loan"));
+  fireEvent.click(screen.getByText("+ Add Loan"));
+  expect(screen.getByLabelText("Loan 1 type")).toHaveValue("home");
+  expect(screen.getByLabelText("Loan 2 type")).toHaveValue("car");
+  expect(screen.getByText("Invest everything")).toBeInTheDocument();
+  expect(screen.getByText(/Avalanche/)).toBeInTheDocument();
+});
+
+test("shows prepayment charges as their own metric", () => {
+  render(<App today={today} />);
+  expect(
+    screen.queryByText("Prepayment Charges", { selector: "h4" })
+  ).toBeNull();
+  fireEvent.change(screen.getByLabelText("Charge (% of amount)"), {
+    target: { value: "2" },
+  });
+  expect(
+    screen.getByText("Prepayment Charges", { selector: "h4" })
+  ).toBeInTheDocument();
+  expect(screen.getByText("₹10,000", { selector: "p" })).toBeInTheDocument();
+});
+
+test("evaluates a balance transfer", () => {
+  render(<App today={today} />);
+  expect(screen.getByText("Refinance + Prepay")).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText("New Rate (%)"), {
+    target: { value: "9.5" },
+  });
+  expect(screen.getAllByText("Never").length).toBeGreaterThan(0);
+});
+
+test("derives the outstanding loan from its sanction details", () => {
+  render(<App today={today} />);
+  fireEvent.click(screen.getByText("From Sanction"));
+  fireEvent.change(screen.getByLabelText("Disbursement Month"), {
+    target: { value: "2021-03" },
+  });
+  // No EMIs paid would put the next one in Apr 2021
+  expect(
+    screen.getAllByText(
+      "EMIs paid must be at least the 67 due since the Mar 2021 disbursement."
+    ).length
+  ).toBeGreaterThan(0);
+  fireEvent.change(screen.getByLabelText("EMIs Paid So Far"), {
+    target: { value: "67" },
+  });
+  expect(screen.getByText(/Outstanding today/)).toBeInTheDocument();
+  expect(
+    screen.getByText(/233 EMIs left, from Nov 2026 to Mar 2046/)
+  ).toBeInTheDocument();
+  // The schedules are dated from the next EMI
+  expect(screen.getAllByText("Nov 2026").length).toBeGreaterThan(0);
+  window.history.replaceState(null, "", "/");
+});
+
+test("reconciles an imported statement and can analyze on it", async () => {
+  const { originalAmortization } = analyzeScenario(
+    resolveLoan(DEFAULT_INPUTS, today).inputs
+  );
+  // The bank charges ₹50 more interest in month 3
+  const statement = originalAmortization.map((row) =>
+    row.month === 3 ? { ...row, interest: row.interest + 50 } : row
+  );
+  const file = new File([], "statement.csv");
+  file.text = () => Promise.resolve(toCsv(scheduleRows(statement)));
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Statement file"), {
+    target: { files: [file] },
+  });
+  expect(
+    await screen.findByText(/1 months differ by more than ₹1, from month 3/)
+  ).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Use Imported Schedule"));
+  expect(
+    screen.getByText(/The analysis uses the imported schedule/)
+  ).toBeInTheDocument();
+  expect(
+    screen.getByText(/The link leaves out the imported schedule/)
+  ).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Use Computed Schedule"));
+  window.history.replaceState(null, "", "/");
+});
+
+test("won't analyze on a statement that stops before the last EMI", async () => {
+  const { originalAmortization } = analyzeScenario(
+    resolveLoan(DEFAULT_INPUTS, today).inputs
+  );
+  const file = new File([], "statement.csv");
+  file.text = () =>
+    Promise.resolve(toCsv(scheduleRows(originalAmortization.slice(0, 24))));
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Statement file"), {
+    target: { files: [file] },
+  });
+  expect(
+    await screen.findByText(/still outstanding, so it can't replace/)
+  ).toBeInTheDocument();
+  expect(screen.getByText("Use Imported Schedule")).toBeDisabled();
+});
+
+test("recomputes the schedules with daily interest", () => {
+  render(<App today={today} />);
+  const paid = () => screen.getAllByText(/^Paid ₹/)[0].textContent;
+  const monthly = paid();
+  fireEvent.click(screen.getByText("Daily Reducing (Actual/365)"));
+  expect(paid()).not.toBe(monthly);
+  window.history.replaceState(null, "", "/");
+});
+
+test("compares parking the cash in an overdraft account", () => {
+  render(<App today={today} />);
+  expect(screen.getByText("Withdrawable any time")).toBeInTheDocument();
+  const note = () => screen.getByText(/^Overdraft account:/).textContent;
+  const parked = note();
+  fireEvent.change(screen.getByLabelText("Monthly Withdrawal (₹)"), {
+    target: { value: "50000" },
+  });
+  expect(note()).not.toBe(parked);
+  window.history.replaceState(null, "", "/");
+});
+
+test("recommends the overdraft account when it comes out ahead", () => {
+  window.history.replaceState(
+    null,
+    "",
+    "/?investmentReturn=6&investmentType=fd&taxRegime=new&prepaymentChargeRate=10"
+  );
+  render(<App today={today} />);
+  expect(
+    screen.getByText("Recommendation: Overdraft Account")
+  ).toBeInTheDocument();
+  expect(
+    screen.getByText(/Of investing and prepaying alone, prepaying/)
+  ).toBeInTheDocument();
+  window.history.replaceState(null, "", "/");
+});
+
+test("shows the cash-flow ledger of both strategies", () => {
+  render(<App today={today} />);
+  expect(screen.getByText("Cash-Flow Ledger")).toBeInTheDocument();
+  expect(
+    screen.getByText(/with every freed EMI and tax refund reinvested/)
+  ).toBeInTheDocument();
+  expect(screen.getByText("Reinvested Savings Gain")).toBeInTheDocument();
+});
+
+test("shows a charted year's EMIs in the schedules", () => {
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Show year in schedules"), {
+    target: { value: "5" },
+  });
+  const rows = screen.getAllByRole("row", { name: /^49 / });
+  expect(rows).toHaveLength(2);
+  rows.forEach((row) => expect(row).toHaveClass("bg-yellow-900/30"));
+  expect(screen.getAllByRole("row", { name: /^61 / })[0]).not.toHaveClass(
+    "bg-yellow-900/30"
+  );
+});
+
+test("labels the trajectory by calendar year", () => {
+  const { graphData } = analyzeScenario(
+    resolveLoan(DEFAULT_INPUTS, today).inputs
+  );
+  render(<App today={today} />);
+  const years = () =>
+    within(screen.getByLabelText("Show year in schedules"))
+      .getAllByRole("option")
+      .map((option) => option.textContent);
+  expect(years()[1]).toBe("1");
+  fireEvent.click(screen.getByRole("radio", { name: "Calendar Year" }));
+  expect(years()[1]).toBe(String(graphData[0].calendarYear));
+  fireEvent.click(screen.getByLabelText("Balance & Repayments"));
+  expect(screen.getByLabelText("Balance & Repayments")).toBeChecked();
+});
+
+test("blocks the analysis while an input is invalid", () => {
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Loan Amount (₹)"), {
+    target: { value: "" },
+  });
+  fireEvent.change(screen.getByLabelText("Your Tax Slab (%)"), {
+    target: { value: "120" },
+  });
+  expect(screen.getByText("Cannot analyze this scenario")).toBeInTheDocument();
+  expect(screen.queryByText(/Recommendation:/)).not.toBeInTheDocument();
+  expect(screen.getByLabelText("Your Tax Slab (%)")).toBeInvalid();
+  // Inline next to the field and in the summary
+  expect(screen.getAllByText("Tax slab can't be more than 100%.")).toHaveLength(
+    2
+  );
+
+  fireEvent.change(screen.getByLabelText("Loan Amount (₹)"), {
+    target: { value: "3000000" },
+  });
+  fireEvent.change(screen.getByLabelText("Your Tax Slab (%)"), {
+    target: { value: "20" },
+  });
+  expect(screen.getByText(/Recommendation:/)).toBeInTheDocument();
+  window.history.replaceState(null, "", "/");
+});
+
+test("blocks a tenure that isn't whole months instead of crashing", () => {
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Remaining Tenure (Yrs)"), {
+    target: { value: "15.3" },
+  });
+  expect(screen.getByText("Cannot analyze this scenario")).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText("Remaining Tenure (Yrs)"), {
+    target: { value: "15.25" },
+  });
+  expect(screen.getByText(/Recommendation:/)).toBeInTheDocument();
+  window.history.replaceState(null, "", "/");
+});
+
+test("flags extra cash beyond the loan", () => {
+  render(<App today={today} />);
+  fireEvent.change(screen.getByLabelText("Loan Amount (₹)"), {
+    target: { value: "4000000" },
+  });
+  fireEvent.change(screen.getByLabelText("Extra Cash to Deploy (₹)"), {
+    target: { value: "6000000" },
+  });
+  expect(
+    screen.getAllByText(
+      "Extra cash can't be more than the ₹40,00,000 outstanding."
+    )
+  ).toHaveLength(2);
+  window.history.replaceState(null, "", "/");
+});
+
+test("solves for a payoff date", () => {
+  render(<App today={today} />);
+  expect(
+    screen.getByText("Pick the month to be debt-free by.")
+  ).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText("Target payoff month"), {
+    target: { value: "2099-01" },
+  });
+  // Later than the loan runs anyway
+  expect(screen.getAllByText("Nothing, already met")).toHaveLength(3);
+  window.history.replaceState(null, "", "/");
+});
+
+test("compares raising the EMI with a SIP of the raises", () => {
+  render(<App today={today} />);
+  expect(screen.queryByText(/Raising the EMI pays the loan off/)).toBeNull();
+  fireEvent.click(screen.getByText("+ Add EMI Step-up"));
+  expect(screen.getByLabelText("Raise (%)")).toHaveValue(5);
+  expect(
+    screen.getByText(/Raising the EMI pays the loan off/)
+  ).toBeInTheDocument();
+  expect(screen.getByText("SIP the Raise")).toBeInTheDocument();
+  expect(screen.getByText(/^EMI Step-ups: ₹/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText("Raise (%)"), {
+    target: { value: "150" },
+  });
+  expect(
+    screen.getAllByText("EMI step-up 1 raise can't be more than 100%.")
+  ).toHaveLength(2);
+  window.history.replaceState(null, "", "/");
 });
@@ -0,0 +1,256 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  emiDate,
+  findMilestones,
+  groupScheduleByYear,
+  scheduleTotals,
+  withRunningTotals,
+} from "../engine";
+import { formatCurrency, formatMonthYear } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+const VIEWS = [
+  { value: "monthly", label: "Monthly" },
+  { value: "calendar", label: "Calendar Year" },
+  { value: "financial", label: "Financial Year" },
+];
+
+const MILESTONES = [
+  { key: "halfPrincipalRepaid", label: "50% principal repaid" },
+  {
+    key: "principalExceedsInterest",
+    label: "Principal share exceeds interest",
+  },
+];
+
+// Long schedules only render the rows in view; rows have a fixed height so
+// the window can be worked out from the scroll offset alone
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN = 10;
+const VIRTUALIZE_ABOVE = 120;
+
+// `focusYear` (a loan year) scrolls the monthly view to that year's EMIs
+// and highlights them
+const AmortizationTable = ({ title, data, firstEmiDate, focusYear }) => {
+  const [view, setView] = useState("monthly");
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+  const pendingFocus = useRef(null);
+
+  useEffect(() => {
+    if (!focusYear) return;
+    pendingFocus.current = focusYear;
+    setView("monthly");
+  }, [focusYear]);
+
+  const milestones = useMemo(() => findMilestones(data), [data]);
+  const totals = useMemo(() => scheduleTotals(data), [data]);
+  const rows = useMemo(() => {
+    if (view === "monthly")
+      return withRunningTotals(data).map((row) => ({
+        ...row,
+        key: row.month,
+        label: row.month,
+        firstMonth: row.month,
+        lastMonth: row.month,
+        payment: row.totalPayment,
+      }));
+    return groupScheduleByYear(data, { firstEmiDate, basis: view }).map(
+      (group) => ({ ...group, key: group.year })
+    );
+  }, [data, view, firstEmiDate]);
+
+  // Scrolled once the monthly rows are rendered, one row early so the
+  // year's first EMI isn't under the sticky header
+  useEffect(() => {
+    if (!pendingFocus.current || view !== "monthly") return;
+    const top = Math.max(0, ((pendingFocus.current - 1) * 12 - 1) * ROW_HEIGHT);
+    pendingFocus.current = null;
+    if (scrollRef.current) scrollRef.current.scrollTop = top;
+    setScrollTop(top);
+  }, [focusYear, view, rows]);
+
+  // Only floating-rate schedules need a rate column
+  const showRate =
+    view === "monthly" && data.some((r) => r.rate !== data[0].rate);
+  const showPrepayment = totals.prepayment > 0;
+  const showDate = view === "monthly" && !!firstEmiDate;
+  const columnCount =
+    6 + (showDate ? 1 : 0) + (showRate ? 1 : 0) + (showPrepayment ? 1 : 0);
+
+  const milestonesIn = (row) =>
+    MILESTONES.filter(
+      ({ key }) =>
+        milestones[key] !== null &&
+        milestones[key] >= row.firstMonth &&
+        milestones[key] <= row.lastMonth
+    );
+
+  const virtualized = rows.length > VIRTUALIZE_ABOVE;
+  const start = virtualized
+    ? Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+    : 0;
+  const end = virtualized
+    ? Math.min(
+        rows.length,
+        Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+      )
+    : rows.length;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-semibold text-yellow-500">{title}</h3>
+        <div className="flex gap-1">
+          {VIEWS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => {
+                setView(option.value);
+                setScrollTop(0);
+              }}
+              className={`px-2 py-1 text-xs rounded-md border ${
+                view === option.value
+                  ? "bg-yellow-500 text-gray-900 border-yellow-500 font-semibold"
+                  : "bg-gray-800 text-gray-300 border-gray-600 hover:border-yellow-500"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {data.length > 0 ? (
+        <>
+          <div
+            ref={scrollRef}
+            className="overflow-auto bg-gray-900 rounded-lg p-2 border border-gray-700"
+            style={{ height: VIEWPORT_HEIGHT }}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          >
+            <table className="w-full text-xs text-left whitespace-nowrap">
+              <thead className="sticky top-0 bg-gray-900">
+                <tr>
+                  <th className="p-2">
+                    {view === "monthly" ? "Month" : "Year"}
+                  </th>
+                  {showDate && <th className="p-2">Date</th>}
+                  {showRate && <th className="p-2">Rate</th>}
+                  <th className="p-2">Interest</th>
+                  <th className="p-2">Principal</th>
+                  {showPrepayment && <th className="p-2">Prepayment</th>}
+                  <th className="p-2">Cum. Interest</th>
+                  <th className="p-2">Cum. Principal</th>
+                  <th className="p-2">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-400">
+                {start > 0 && (
+                  <tr style={{ height: start * ROW_HEIGHT }}>
+                    <td colSpan={columnCount} />
+                  </tr>
+                )}
+                {rows.slice(start, end).map((row, i) => {
+                  const index = start + i;
+                  const reached = milestonesIn(row);
+                  const rateReset =
+                    showRate && index > 0 && row.rate !== rows[index - 1].rate;
+                  const focused =
+                    view === "monthly" &&
+                    !!focusYear &&
+                    Math.ceil(row.month / 12) === focusYear;
+                  return (
+                    <tr
+                      key={row.key}
+                      style={{ height: ROW_HEIGHT }}
+                      title={
+                        reached.map((m) => m.label).join(", ") || undefined
+                      }
+                      className={`border-t border-gray-800 ${
+                        focused
+                          ? "bg-yellow-900/30"
+                          : reached.length > 0
+                          ? "bg-green-900/30"
+                          : rateReset
+                          ? "bg-blue-900/30"
+                          : ""
+                      }`}
+                    >
+                      <td className="px-2">
+                        {row.label}
+                        {reached.length > 0 && (
+                          <span className="ml-1 text-green-400">★</span>
+                        )}
+                      </td>
+                      {showDate && (
+                        <td className="px-2">
+                          {formatMonthYear(emiDate(firstEmiDate, row.month))}
+                        </td>
+                      )}
+                      {showRate && <td className="px-2">{row.rate}%</td>}
+                      <td className="px-2">{rupees(row.interest)}</td>
+                      <td className="px-2">{rupees(row.principal)}</td>
+                      {showPrepayment && (
+                        <td className="px-2">{rupees(row.prepayment || 0)}</td>
+                      )}
+                      <td className="px-2">{rupees(row.cumulativeInterest)}</td>
+                      <td className="px-2">
+                        {rupees(row.cumulativePrincipal)}
+                      </td>
+                      <td className="px-2 font-semibold text-gray-300">
+                        {rupees(row.endingBalance)}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {end < rows.length && (
+                  <tr style={{ height: (rows.length - end) * ROW_HEIGHT }}>
+                    <td colSpan={columnCount} />
+                  </tr>
+                )}
+              </tbody>
+              <tfoot className="sticky bottom-0 bg-gray-900 font-semibold text-gray-200">
+                <tr className="border-t border-gray-600">
+                  <td className="p-2">Total</td>
+                  {showDate && <td className="p-2" />}
+                  {showRate && <td className="p-2" />}
+                  <td className="p-2">{rupees(totals.interest)}</td>
+                  <td className="p-2">{rupees(totals.principal)}</td>
+                  {showPrepayment && (
+                    <td className="p-2">{rupees(totals.prepayment)}</td>
+                  )}
+                  <td className="p-2" colSpan={2}>
+                    Paid {rupees(totals.payment)}
+                  </td>
+                  <td className="p-2" />
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <ul className="mt-2 text-xs text-gray-400 space-y-1">
+            {MILESTONES.map(({ key, label }) => (
+              <li key={key}>
+                <span className="text-green-400">★</span> {label}:{" "}
+                {milestones[key] === null
+                  ? "not reached"
+                  : firstEmiDate
+                  ? `month ${milestones[key]} (${formatMonthYear(
+                      emiDate(firstEmiDate, milestones[key])
+                    )})`
+                  : `month ${milestones[key]}`}
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="text-gray-500">
+          Loan is fully paid off. No schedule to show.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AmortizationTable;
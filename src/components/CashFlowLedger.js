@@ -0,0 +1,90 @@
+import React, { useMemo } from "react";
+import { formatCurrency } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// Ledger rows summed by loan year; month 0 (the day-one cash) counts in
+// year 1 and each pot's value is the one at the year's end
+const byYear = (rows) => {
+  const years = [];
+  rows.forEach((row) => {
+    const index = Math.max(0, Math.ceil(row.month / 12) - 1);
+    if (!years[index])
+      years[index] = {
+        year: index + 1,
+        invest: { loanPayment: 0, invested: 0, taxRefund: 0 },
+        prepay: { loanPayment: 0, invested: 0, taxRefund: 0, charges: 0 },
+      };
+    ["invest", "prepay"].forEach((side) => {
+      const totals = years[index][side];
+      Object.keys(totals).forEach((key) => {
+        totals[key] += row[side][key];
+      });
+      totals.value = row[side].value;
+    });
+  });
+  return years;
+};
+
+// Year-by-year cash flows of both strategies (see buildCashFlowLedger):
+// what goes into the loan, what is invested, the tax refunds reinvested
+// and what each strategy's investments are worth
+const CashFlowLedger = ({ ledger, horizonMonths }) => {
+  const years = useMemo(() => byYear(ledger.rows), [ledger]);
+  return (
+    <div className="space-y-2 text-sm">
+      <p className="text-gray-300">
+        After {horizonMonths} months investing is worth{" "}
+        <strong>{rupees(ledger.invest.wealth)}</strong> after tax and prepaying{" "}
+        <strong>{rupees(ledger.prepay.wealth)}</strong>, with every freed EMI
+        and tax refund reinvested.
+      </p>
+      <div className="overflow-auto max-h-96 bg-gray-900 rounded-lg p-2 border border-gray-700">
+        <table className="w-full text-xs text-left whitespace-nowrap">
+          <thead className="sticky top-0 bg-gray-900 text-yellow-400">
+            <tr>
+              <th className="p-2" rowSpan={2}>
+                Year
+              </th>
+              <th className="p-2 text-center" colSpan={4}>
+                Invest
+              </th>
+              <th className="p-2 text-center" colSpan={5}>
+                Prepay
+              </th>
+            </tr>
+            <tr>
+              <th className="p-2">Loan Paid</th>
+              <th className="p-2">Invested</th>
+              <th className="p-2">Tax Refund</th>
+              <th className="p-2">Value</th>
+              <th className="p-2">Loan Paid</th>
+              <th className="p-2">Invested</th>
+              <th className="p-2">Tax Refund</th>
+              <th className="p-2">Charges</th>
+              <th className="p-2">Value</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-400">
+            {years.map(({ year, invest, prepay }) => (
+              <tr key={year} className="border-t border-gray-800">
+                <td className="px-2">{year}</td>
+                <td className="px-2">{rupees(invest.loanPayment)}</td>
+                <td className="px-2">{rupees(invest.invested)}</td>
+                <td className="px-2">{rupees(invest.taxRefund)}</td>
+                <td className="px-2 text-gray-200">{rupees(invest.value)}</td>
+                <td className="px-2">{rupees(prepay.loanPayment)}</td>
+                <td className="px-2">{rupees(prepay.invested)}</td>
+                <td className="px-2">{rupees(prepay.taxRefund)}</td>
+                <td className="px-2">{rupees(prepay.charges)}</td>
+                <td className="px-2 text-gray-200">{rupees(prepay.value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CashFlowLedger;
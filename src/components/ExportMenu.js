@@ -0,0 +1,56 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import { exportCsv, exportXlsx, exportPdf } from "../export/exportReport";
+
+// Download buttons for the current analysis. `chartRef` points at the
+// element wrapping the Financial Trajectory chart, for the PDF.
+const ExportMenu = ({ inputs, results, chartRef }) => {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (format, action) => {
+    setBusy(format);
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(`Could not export the ${format}: ${e.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const formats = [
+    ["CSV", () => exportCsv(inputs, results)],
+    ["Excel", () => exportXlsx(inputs, results)],
+    [
+      "PDF",
+      () =>
+        exportPdf(
+          inputs,
+          results,
+          chartRef.current && chartRef.current.querySelector("svg")
+        ),
+    ],
+  ];
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {formats.map(([format, action]) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => run(format, action)}
+          disabled={busy !== null}
+          className="px-3 py-1 rounded-md bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-sm font-medium inline-flex items-center gap-2"
+        >
+          <Download className="w-4 h-4 text-yellow-500" />
+          {busy === format ? "Exporting…" : format}
+        </button>
+      ))}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
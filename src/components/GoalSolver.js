@@ -0,0 +1,157 @@
+import React from "react";
+import { emiDate, validateGoal, GOAL_LEVERS, GOAL_TYPES } from "../engine";
+import { formatCurrency, formatMonthYear } from "../format";
+import { useGoalSolver } from "../hooks/useGoalSolver";
+import PlanField from "./PlanField";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// What each lever takes, in its own unit
+const describeAmount = (solution, emi) => {
+  if (solution.amount === 0) return "Nothing, already met";
+  if (solution.lever === "lumpSum") return rupees(solution.amount);
+  if (solution.lever === "monthlyExtra")
+    return `${rupees(solution.amount)} a month`;
+  return `${solution.amount}% a year (EMI ${rupees(
+    emi * (1 + solution.amount / 100)
+  )} in year 2)`;
+};
+
+// The reverse of the main analysis: from a payoff date or an interest
+// budget to the lump sum, monthly extra or EMI step-up that reaches it
+const GoalSolver = ({ inputs, setInput }) => {
+  const { valid, errors } = validateGoal(inputs);
+  // Each lever re-runs the analysis a few dozen times, so off the main thread
+  const { goal, running, error } = useGoalSolver(valid ? inputs : null);
+  const dateOf = (months) =>
+    formatMonthYear(emiDate(inputs.firstEmiDate, Math.max(1, months)));
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="flex gap-1">
+          {Object.entries(GOAL_TYPES).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setInput("goalType")(value)}
+              className={`px-2 py-1 text-xs rounded-md border ${
+                inputs.goalType === value
+                  ? "bg-yellow-500 text-gray-900 border-yellow-500 font-semibold"
+                  : "bg-gray-800 text-gray-300 border-gray-600 hover:border-yellow-500"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="text-xs text-gray-400">
+          {inputs.goalType === "payoffDate" ? (
+            <label className="block">
+              Last EMI By
+              <input
+                type="month"
+                aria-label="Target payoff month"
+                aria-invalid={!!errors.goalPayoffDate}
+                value={inputs.goalPayoffDate}
+                onChange={(e) => setInput("goalPayoffDate")(e.target.value)}
+                className="w-full mt-1 p-1 rounded-md bg-gray-700 text-gray-200 text-sm"
+              />
+            </label>
+          ) : (
+            <PlanField
+              label="Interest From Here On (₹)"
+              value={inputs.goalTotalInterest}
+              onChange={setInput("goalTotalInterest")}
+              error={errors.goalTotalInterest}
+            />
+          )}
+        </div>
+      </div>
+      {errors.goalPayoffDate && (
+        <p className="text-yellow-300">{errors.goalPayoffDate}</p>
+      )}
+      {running && <p className="text-xs text-gray-400">Recalculating…</p>}
+      {error && <p className="text-red-400">The search failed: {error}</p>}
+
+      {goal && (
+        <>
+          <p className="text-gray-300">
+            As it stands, the last of {goal.baseline.tenureMonths} EMIs of{" "}
+            {rupees(goal.baseline.emi)} is due in{" "}
+            {dateOf(goal.baseline.tenureMonths)}, with{" "}
+            {rupees(goal.baseline.totalInterest)} of interest.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-yellow-400">
+                  <th className="p-2">Lever</th>
+                  <th className="p-2">Needed</th>
+                  <th className="p-2">Last EMI</th>
+                  <th className="p-2">Total Interest</th>
+                  <th className="p-2">Paid In</th>
+                  <th className="p-2">Net Benefit (Prepay)</th>
+                  <th className="p-2">Net Benefit (Invest It)</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-300">
+                {goal.solutions.map((solution) =>
+                  solution.amount === null ? (
+                    <tr
+                      key={solution.lever}
+                      className="border-t border-gray-700"
+                    >
+                      <td className="p-2">{GOAL_LEVERS[solution.lever]}</td>
+                      <td className="p-2 text-gray-500" colSpan={6}>
+                        Can't reach the goal this way.
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr
+                      key={solution.lever}
+                      className="border-t border-gray-700"
+                    >
+                      <td className="p-2">{GOAL_LEVERS[solution.lever]}</td>
+                      <td className="p-2 font-semibold">
+                        {describeAmount(solution, goal.baseline.emi)}
+                      </td>
+                      <td className="p-2">
+                        {solution.tenureMonths === 0
+                          ? "Paid off today"
+                          : dateOf(solution.tenureMonths)}
+                      </td>
+                      <td className="p-2">{rupees(solution.totalInterest)}</td>
+                      <td className="p-2">{rupees(solution.totalPaid)}</td>
+                      <td className="p-2">
+                        {rupees(solution.netBenefitPrepaying)}
+                      </td>
+                      <td
+                        className={`p-2 ${
+                          solution.netBenefitInvesting >
+                          solution.netBenefitPrepaying
+                            ? "text-green-400 font-semibold"
+                            : ""
+                        }`}
+                      >
+                        {rupees(solution.netBenefitInvesting)}
+                      </td>
+                    </tr>
+                  )
+                )}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">
+            Each lever replaces the extra cash, planned prepayments and EMI
+            step-ups, so the loan ends sooner. "Invest It" puts the same
+            payments into the chosen investment instead; both net benefits are
+            measured as in the recommendation above.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GoalSolver;
@@ -0,0 +1,198 @@
+import React, { useMemo } from "react";
+import { XCircle } from "lucide-react";
+import {
+  analyzePortfolio,
+  validatePortfolio,
+  ALLOCATION_STRATEGIES,
+  LOAN_TYPES,
+} from "../engine";
+import { formatCurrency } from "../format";
+import PlanField from "./PlanField";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// Other loans next to the main one: which to prepay first with the extra
+// cash, strategy by strategy, against investing it
+const LoanPortfolio = ({ inputs, loans, onChange }) => {
+  const { valid, errors } = useMemo(() => validatePortfolio(loans), [loans]);
+  const analysis = useMemo(
+    () => (loans.length > 0 && valid ? analyzePortfolio(loans, inputs) : null),
+    [loans, inputs, valid]
+  );
+
+  // The first loan added is the one analysed above
+  const addLoan = () =>
+    onChange([
+      ...loans,
+      {
+        id: loans.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+        ...(loans.length === 0
+          ? {
+              type: "home",
+              principal: inputs.loanAmount,
+              interestRate: inputs.interestRate,
+              tenureYears: inputs.tenureYears,
+            }
+          : {
+              type: "car",
+              principal: 800000,
+              interestRate: 9.5,
+              tenureYears: 5,
+            }),
+      },
+    ]);
+  const updateLoan = (id, field, value) =>
+    onChange(
+      loans.map((item) => (item.id === id ? { ...item, [field]: value } : item))
+    );
+  const removeLoan = (id) => onChange(loans.filter((item) => item.id !== id));
+  const loanName = (id) => {
+    const index = loans.findIndex((loan) => loan.id === id);
+    return `${index + 1}. ${LOAN_TYPES[loans[index].type]}`;
+  };
+
+  const options = analysis
+    ? [
+        {
+          key: "invest",
+          label: "Invest everything",
+          netBenefit: analysis.investing.netBenefit,
+          detail: `Post-tax gain ${rupees(
+            analysis.investing.postTaxInvestmentGain
+          )} + tax benefits ${rupees(analysis.investing.taxBenefit)}`,
+        },
+        ...analysis.strategies.map((entry) => ({
+          key: entry.strategy,
+          label: ALLOCATION_STRATEGIES[entry.strategy],
+          netBenefit: entry.netBenefit,
+          detail: entry.allocations
+            .filter((allocation) => allocation.amount > 0)
+            .map(
+              (allocation) =>
+                `${loanName(allocation.id)}: ${rupees(allocation.amount)}`
+            )
+            .join(", "),
+          breakdown: `Interest saved ${rupees(
+            entry.interestSaved
+          )} + freed EMIs invested ${rupees(
+            entry.freedPaymentsGain
+          )} + tax benefits ${rupees(entry.taxBenefit)}${
+            entry.leftoverGain > 0
+              ? ` + leftover invested ${rupees(entry.leftoverGain)}`
+              : ""
+          }`,
+        })),
+      ]
+    : [];
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Add every loan you are repaying, starting with the one above, to see
+        where the {rupees(parseFloat(inputs.extraCash))} of extra cash does
+        most.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {loans.map((item, i) => (
+          <div
+            key={item.id}
+            className="p-2 rounded-md bg-gray-800 border border-gray-700 space-y-2"
+          >
+            <div className="flex items-center justify-between text-sm">
+              <select
+                value={item.type}
+                onChange={(e) => updateLoan(item.id, "type", e.target.value)}
+                className="p-1 rounded-md bg-gray-700 text-gray-200 text-sm"
+                aria-label={`Loan ${i + 1} type`}
+              >
+                {Object.entries(LOAN_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => removeLoan(item.id)}
+                className="text-gray-500 hover:text-red-400"
+                aria-label="Remove loan"
+              >
+                <XCircle className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+              <PlanField
+                label="Balance (₹)"
+                value={item.principal}
+                onChange={(v) => updateLoan(item.id, "principal", v)}
+                error={errors[`portfolioLoans.${item.id}.principal`]}
+              />
+              <PlanField
+                label="Rate (%)"
+                value={item.interestRate}
+                onChange={(v) => updateLoan(item.id, "interestRate", v)}
+                error={errors[`portfolioLoans.${item.id}.interestRate`]}
+                step={0.1}
+              />
+              <PlanField
+                label="Tenure (Yrs)"
+                value={item.tenureYears}
+                onChange={(v) => updateLoan(item.id, "tenureYears", v)}
+                error={errors[`portfolioLoans.${item.id}.tenureYears`]}
+              />
+            </div>
+            {analysis && (
+              <p className="text-xs text-gray-500">
+                EMI {rupees(analysis.loans[i].emi)} · effective rate after tax{" "}
+                {analysis.loans[i].effectiveRate.toFixed(2)}%
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={addLoan}
+        className="w-full p-2 rounded-md bg-gray-700 hover:bg-gray-600 text-sm font-medium"
+      >
+        + Add Loan
+      </button>
+      {analysis && (
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-yellow-400">
+              <th className="p-2">Strategy</th>
+              <th className="p-2">Extra Cash Goes To</th>
+              <th className="p-2">
+                Net Benefit ({(analysis.horizonMonths / 12).toFixed(0)} yrs)
+              </th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {options.map((option) => (
+              <tr
+                key={option.key}
+                className={`border-t border-gray-700 ${
+                  analysis.best === option.key ? "bg-green-900/30" : ""
+                }`}
+              >
+                <td className="p-2">
+                  {option.label}
+                  {analysis.best === option.key && (
+                    <span className="ml-2 text-xs text-green-400">Best</span>
+                  )}
+                </td>
+                <td className="p-2 text-gray-400">{option.detail}</td>
+                <td className="p-2" title={option.breakdown}>
+                  {rupees(option.netBenefit)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LoanPortfolio;
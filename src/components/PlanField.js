@@ -0,0 +1,25 @@
+import React from "react";
+import { readNumber } from "../format";
+
+// Compact numeric field of the list editors (prepayments, rates, loans...),
+// with its validation error underneath
+const PlanField = ({ label, value, onChange, step = 1, error }) => (
+  <div>
+    <label className="block">
+      {label}
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => onChange(readNumber(e.target.value))}
+        step={step}
+        aria-invalid={!!error}
+        className={`w-full mt-1 p-1 rounded-md bg-gray-700 text-gray-200 text-sm ${
+          error ? "ring-2 ring-red-500" : ""
+        }`}
+      />
+    </label>
+    {error && <p className="mt-1 text-red-400">{error}</p>}
+  </div>
+);
+
+export default PlanField;
@@ -0,0 +1,122 @@
+import React, { useMemo } from "react";
+import {
+  analyzeRefinance,
+  validateRefinance,
+  REFINANCE_OPTIONS,
+} from "../engine";
+import { formatCurrency } from "../format";
+import PlanField from "./PlanField";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+const months = (value) => `${value} mo (${(value / 12).toFixed(1)} yrs)`;
+
+// Staying with the current lender, moving the loan (with or without
+// prepaying it) and investing, side by side
+const RefinanceEvaluator = ({ inputs, setInput }) => {
+  const { valid, errors } = useMemo(() => validateRefinance(inputs), [inputs]);
+  const analysis = useMemo(
+    () => (valid ? analyzeRefinance(inputs) : null),
+    [inputs, valid]
+  );
+  const best =
+    analysis &&
+    analysis.options.reduce((a, b) => (b.netBenefit > a.netBenefit ? b : a));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs text-gray-400">
+        <PlanField
+          label="New Rate (%)"
+          value={inputs.refinanceRate}
+          onChange={setInput("refinanceRate")}
+          error={errors.refinanceRate}
+          step={0.05}
+        />
+        <PlanField
+          label="New Tenure (Yrs)"
+          value={inputs.refinanceTenureYears}
+          onChange={setInput("refinanceTenureYears")}
+          error={errors.refinanceTenureYears}
+        />
+        <PlanField
+          label="Processing Fee (%)"
+          value={inputs.refinanceFeeRate}
+          onChange={setInput("refinanceFeeRate")}
+          error={errors.refinanceFeeRate}
+          step={0.05}
+        />
+        <PlanField
+          label="Other Costs (₹)"
+          value={inputs.refinanceFlatFees}
+          onChange={setInput("refinanceFlatFees")}
+          error={errors.refinanceFlatFees}
+        />
+        <PlanField
+          label="Switch After EMI # (0 = now)"
+          value={inputs.refinanceMonth}
+          onChange={setInput("refinanceMonth")}
+          error={errors.refinanceMonth}
+        />
+      </div>
+      {analysis && (
+        <>
+          <p className="text-sm text-gray-400">
+            Outstanding when switching: {rupees(analysis.outstanding)}.
+            Switching costs include the current lender's prepayment charges on
+            it. Net benefits reinvest what each option pays less than staying,
+            and its tax refunds, as in the recommendation above.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="text-yellow-400">
+                  <th className="p-2">Option</th>
+                  <th className="p-2">EMI</th>
+                  <th className="p-2">Tenure</th>
+                  <th className="p-2">Total Interest</th>
+                  <th className="p-2">Switching Costs</th>
+                  <th className="p-2">Break-even</th>
+                  <th className="p-2">Net Benefit vs Staying</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-300">
+                {analysis.options.map((option) => (
+                  <tr
+                    key={option.key}
+                    className={`border-t border-gray-700 ${
+                      option === best && option.netBenefit > 0
+                        ? "bg-green-900/30"
+                        : ""
+                    }`}
+                  >
+                    <td className="p-2">{REFINANCE_OPTIONS[option.key]}</td>
+                    <td className="p-2">{rupees(option.emi)}</td>
+                    <td className="p-2">{months(option.tenureMonths)}</td>
+                    <td className="p-2">{rupees(option.totalInterest)}</td>
+                    <td className="p-2">{rupees(option.switchingCosts)}</td>
+                    <td className="p-2">
+                      {option.switchingCosts === 0
+                        ? "–"
+                        : option.breakEvenMonth === null
+                        ? "Never"
+                        : `Month ${option.breakEvenMonth}`}
+                    </td>
+                    <td
+                      className={`p-2 font-semibold ${
+                        option.netBenefit < 0 ? "text-red-400" : ""
+                      }`}
+                    >
+                      {rupees(option.netBenefit)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RefinanceEvaluator;
@@ -0,0 +1,130 @@
+import React, { useMemo } from "react";
+import {
+  analyzeOverdraft,
+  analyzeScenario,
+  resolveLoan,
+  validateInputs,
+  CASH_STRATEGIES,
+} from "../engine";
+import { formatCurrency } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+const months = (value) => `${value} mo (${(value / 12).toFixed(1)} yrs)`;
+
+// Rows of the comparison: a label and how to read it off inputs/results
+const ROWS = [
+  ["Loan Amount", (inputs) => rupees(inputs.loanAmount)],
+  ["Interest Rate", (inputs) => `${inputs.interestRate}%`],
+  ["Tenure", (inputs) => months(Math.round(inputs.tenureYears * 12))],
+  ["Extra Cash", (inputs) => rupees(inputs.extraCash)],
+  ["Expected Return", (inputs) => `${inputs.investmentReturn}%`],
+  ["Original EMI", (inputs, results) => rupees(results.originalEmi)],
+  ["EMI After Prepayment", (inputs, results) => rupees(results.newEmi)],
+  [
+    "Tenure After Prepayment",
+    (inputs, results) => months(results.newTenureMonths),
+  ],
+  ["Interest Saved", (inputs, results) => rupees(results.interestSaved)],
+  [
+    "Post-Tax Investment Gain",
+    (inputs, results) => rupees(results.postTaxInvestmentGain),
+  ],
+  [
+    "Net Benefit (Invest)",
+    (inputs, results) => rupees(results.netBenefitInvesting),
+  ],
+  [
+    "Net Benefit (Prepay)",
+    (inputs, results) => rupees(results.netBenefitPrepaying),
+  ],
+];
+
+// Colour of the recommendation for each of CASH_STRATEGIES, as on the main card
+const RECOMMENDATION_COLORS = {
+  invest: "text-green-400",
+  prepay: "text-red-400",
+  overdraft: "text-blue-400",
+};
+
+// Side-by-side key results of two to four saved scenarios, each dated from
+// `today` like the main analysis
+const ScenarioComparison = ({ scenarios, today }) => {
+  const analyzed = useMemo(
+    () =>
+      scenarios.map((scenario) => {
+        // Scenarios saved by older versions, or edited in storage, may hold
+        // inputs the engine can't analyze; missing ones come from the
+        // defaults
+        const { valid, errors } = validateInputs(scenario.inputs, today);
+        if (!valid) return { scenario, errors };
+        const { inputs } = resolveLoan(scenario.inputs, today);
+        const results = analyzeScenario(inputs, today);
+        // Recommended as on the main card, across all three strategies
+        const { best } = analyzeOverdraft(inputs, results, today);
+        return { scenario, inputs, results, best };
+      }),
+    [scenarios, today]
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-yellow-400">
+            <th className="p-2" />
+            {analyzed.map(({ scenario }) => (
+              <th key={scenario.id} className="p-2">
+                {scenario.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="text-gray-300">
+          {ROWS.map(([label, read], row) => (
+            <tr key={label} className="border-t border-gray-700">
+              <td className="p-2 text-gray-400">{label}</td>
+              {analyzed.map(({ scenario, inputs, results, errors }) =>
+                errors ? (
+                  // One cell down the whole column
+                  row === 0 && (
+                    <td
+                      key={scenario.id}
+                      rowSpan={ROWS.length + 1}
+                      className="p-2 align-top text-yellow-300"
+                    >
+                      <p className="font-semibold">Cannot analyze</p>
+                      <ul className="mt-1 text-xs list-disc list-inside">
+                        {Object.entries(errors).map(([field, message]) => (
+                          <li key={field}>{message}</li>
+                        ))}
+                      </ul>
+                    </td>
+                  )
+                ) : (
+                  <td key={scenario.id} className="p-2">
+                    {read(inputs, results)}
+                  </td>
+                )
+              )}
+            </tr>
+          ))}
+          <tr className="border-t border-gray-700 font-bold">
+            <td className="p-2 text-gray-400">Recommendation</td>
+            {analyzed
+              .filter(({ results }) => results)
+              .map(({ scenario, best }) => (
+                <td
+                  key={scenario.id}
+                  className={`p-2 ${RECOMMENDATION_COLORS[best]}`}
+                >
+                  {CASH_STRATEGIES[best].label}
+                </td>
+              ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { Save, Copy, Trash2, FolderOpen, Edit3 } from "lucide-react";
+import { MAX_COMPARED_SCENARIOS } from "../hooks/useScenarios";
+
+// Save, load, rename, duplicate and delete named scenarios, and pick two to
+// four of them for the side-by-side comparison.
+const ScenarioManager = ({
+  scenarios,
+  activeId,
+  isDirty,
+  compareIds,
+  onSaveNew,
+  onSave,
+  onLoad,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onToggleCompare,
+}) => {
+  const [name, setName] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [newName, setNewName] = useState("");
+  const active = scenarios.find((scenario) => scenario.id === activeId);
+
+  const saveNew = () => {
+    onSaveNew(name.trim() || `Scenario ${scenarios.length + 1}`);
+    setName("");
+  };
+  const finishRename = () => {
+    if (newName.trim()) onRename(renamingId, newName.trim());
+    setRenamingId(null);
+  };
+
+  return (
+    <div className="mb-6 pb-6 border-b border-gray-700 space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this scenario"
+          aria-label="Scenario name"
+          className="flex-1 p-2 rounded-md bg-gray-800 text-gray-200 text-sm"
+        />
+        <button
+          type="button"
+          onClick={saveNew}
+          className="px-3 rounded-md bg-yellow-500 text-black text-sm font-semibold flex items-center gap-1"
+        >
+          <Save className="w-4 h-4" /> Save New
+        </button>
+      </div>
+      {active && (
+        <p className="text-xs text-gray-400 flex items-center justify-between">
+          <span>
+            Editing <strong className="text-gray-200">{active.name}</strong>
+            {isDirty && " · unsaved changes"}
+          </span>
+          {isDirty && (
+            <button
+              type="button"
+              onClick={() => onSave(active.id)}
+              className="text-yellow-400 hover:underline"
+            >
+              Save Changes
+            </button>
+          )}
+        </p>
+      )}
+      {scenarios.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {scenarios.map((scenario) => (
+            <li
+              key={scenario.id}
+              className={`flex items-center gap-2 p-2 rounded-md ${
+                scenario.id === activeId
+                  ? "bg-yellow-500/10 border border-yellow-500/40"
+                  : "bg-gray-800"
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={compareIds.includes(scenario.id)}
+                disabled={
+                  !compareIds.includes(scenario.id) &&
+                  compareIds.length >= MAX_COMPARED_SCENARIOS
+                }
+                onChange={() => onToggleCompare(scenario.id)}
+                aria-label={`Compare ${scenario.name}`}
+                title="Compare"
+              />
+              {renamingId === scenario.id ? (
+                <input
+                  type="text"
+                  value={newName}
+                  autoFocus
+                  onChange={(e) => setNewName(e.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => e.key === "Enter" && finishRename()}
+                  aria-label="New scenario name"
+                  className="flex-1 p-1 rounded-md bg-gray-700 text-gray-200"
+                />
+              ) : (
+                <span className="flex-1 truncate">{scenario.name}</span>
+              )}
+              <ScenarioAction
+                icon={FolderOpen}
+                label={`Load ${scenario.name}`}
+                onClick={() => onLoad(scenario)}
+              />
+              <ScenarioAction
+                icon={Edit3}
+                label={`Rename ${scenario.name}`}
+                onClick={() => {
+                  setRenamingId(scenario.id);
+                  setNewName(scenario.name);
+                }}
+              />
+              <ScenarioAction
+                icon={Copy}
+                label={`Duplicate ${scenario.name}`}
+                onClick={() => onDuplicate(scenario.id)}
+              />
+              <ScenarioAction
+                icon={Trash2}
+                label={`Delete ${scenario.name}`}
+                onClick={() => onDelete(scenario.id)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+      {scenarios.length > 1 && compareIds.length < 2 && (
+        <p className="text-xs text-gray-500">
+          Tick two to four scenarios to compare them side by side.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const ScenarioAction = ({ icon: Icon, label, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-label={label}
+    title={label}
+    className="text-gray-400 hover:text-yellow-400"
+  >
+    <Icon className="w-4 h-4" />
+  </button>
+);
+
+export default ScenarioManager;
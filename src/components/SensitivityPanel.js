@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { availableGrids } from "../engine";
+import { useSensitivity } from "../hooks/useSensitivity";
+import { formatCurrency } from "../format";
+
+const GRIDS = [
+  { value: "rateVsReturn", label: "Interest Rate × Expected Return" },
+  { value: "tenureVsSlab", label: "Tenure × Tax Slab" },
+];
+
+const INPUT_LABELS = {
+  interestRate: "Interest Rate (%)",
+  investmentReturn: "Expected Return (%)",
+  tenureYears: "Tenure (Years)",
+  taxSlab: "Tax Slab (%)",
+  extraCash: "Extra Cash (₹)",
+  loanAmount: "Loan Amount (₹)",
+};
+
+const lakhs = (value) => `₹${(value / 100000).toFixed(1)}L`;
+
+// Green where investing wins, red where prepaying does, deeper further out
+const cellColor = (value, scale) => {
+  const alpha =
+    scale > 0 ? 0.15 + 0.7 * Math.min(1, Math.abs(value) / scale) : 0;
+  return value >= 0
+    ? `rgba(34, 197, 94, ${alpha})`
+    : `rgba(239, 68, 68, ${alpha})`;
+};
+
+const closestIndex = (values, target) =>
+  values.reduce(
+    (best, value, i) =>
+      Math.abs(value - target) < Math.abs(values[best] - target) ? i : best,
+    0
+  );
+
+const Heatmap = ({ grid, inputs }) => {
+  const scale = Math.max(...grid.cells.flat().map(Math.abs));
+  const currentColumn = closestIndex(grid.xValues, parseFloat(inputs[grid.x]));
+  const currentRow = closestIndex(grid.yValues, parseFloat(inputs[grid.y]));
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs text-center border-collapse">
+        <thead>
+          <tr>
+            <th className="p-1 text-left text-gray-400">
+              {INPUT_LABELS[grid.y]} ↓ / {INPUT_LABELS[grid.x]} →
+            </th>
+            {grid.xValues.map((value) => (
+              <th key={value} className="p-1 text-gray-300">
+                {value}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.yValues.map((yValue, row) => (
+            <tr key={yValue}>
+              <th className="p-1 text-gray-300">{yValue}</th>
+              {grid.xValues.map((xValue, column) => {
+                const value = grid.cells[row][column];
+                const current = row === currentRow && column === currentColumn;
+                return (
+                  <td
+                    key={xValue}
+                    title={`Invest − Prepay: ₹${formatCurrency(value)}`}
+                    className={`p-1 min-w-[3.5rem] text-gray-100 ${
+                      current ? "outline outline-2 outline-yellow-400" : ""
+                    }`}
+                    style={{ backgroundColor: cellColor(value, scale) }}
+                  >
+                    {lakhs(value)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const Tornado = ({ tornado }) => {
+  const data = tornado.factors.map((factor) => ({
+    label: INPUT_LABELS[factor.key],
+    Low: Math.round(factor.low - tornado.base),
+    High: Math.round(factor.high - tornado.base),
+    lowValue: factor.lowValue,
+    highValue: factor.highValue,
+  }));
+  return (
+    <div className="h-72 w-full">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart
+          data={data}
+          layout="vertical"
+          stackOffset="sign"
+          margin={{ top: 5, right: 30, left: 40, bottom: 5 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#4a4a4a" />
+          <XAxis
+            type="number"
+            tick={{ fill: "#d1d5db" }}
+            tickFormatter={lakhs}
+          />
+          <YAxis
+            type="category"
+            dataKey="label"
+            tick={{ fill: "#d1d5db", fontSize: 12 }}
+            width={120}
+          />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: "#333",
+              borderColor: "#555",
+              color: "#eee",
+            }}
+            formatter={(value, name, item) => [
+              `₹${formatCurrency(value)}`,
+              `${name} (${item.payload[`${name.toLowerCase()}Value`]})`,
+            ]}
+          />
+          <Legend wrapperStyle={{ color: "#d1d5db" }} />
+          <ReferenceLine x={0} stroke="#d1d5db" />
+          <Bar dataKey="Low" stackId="swing" fill="#60a5fa" />
+          <Bar dataKey="High" stackId="swing" fill="#facc15" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// Heatmaps of "Invest minus Prepay" over two inputs at a time, and a tornado
+// chart of which single input moves it most. An imported schedule fixes the
+// tenure and loan amount, so their grid isn't offered then.
+const SensitivityPanel = ({ inputs }) => {
+  const [chosenGrid, setGrid] = useState("rateVsReturn");
+  const grids = useMemo(() => {
+    const available = availableGrids(inputs);
+    return GRIDS.filter((option) => available.includes(option.value));
+  }, [inputs]);
+  const grid = grids.some((option) => option.value === chosenGrid)
+    ? chosenGrid
+    : "rateVsReturn";
+  const params = useMemo(() => ({ inputs, grid }), [inputs, grid]);
+  const { sensitivity, running, error } = useSensitivity(params);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        {grids.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setGrid(option.value)}
+            className={`px-3 py-1 text-sm rounded-md border ${
+              grid === option.value
+                ? "bg-yellow-500 text-gray-900 border-yellow-500 font-semibold"
+                : "bg-gray-800 text-gray-300 border-gray-600 hover:border-yellow-500"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+        {running && (
+          <span className="text-xs text-gray-400">Recalculating…</span>
+        )}
+      </div>
+      {error && (
+        <p className="text-sm text-red-400">The grids failed: {error}</p>
+      )}
+      {sensitivity && (
+        <>
+          <div>
+            <p className="text-sm text-gray-400 mb-2">
+              Invest minus Prepay net benefit: green cells favour investing, red
+              cells prepaying. Your inputs are outlined.
+            </p>
+            <Heatmap grid={sensitivity.grid} inputs={inputs} />
+          </div>
+          <div>
+            <h3 className="text-xl font-semibold mb-2 text-yellow-500">
+              What Moves the Decision
+            </h3>
+            <p className="text-sm text-gray-400 mb-2">
+              Change in Invest minus Prepay (now ₹
+              {formatCurrency(sensitivity.tornado.base)}) when each input moves
+              to a low or high case on its own.
+            </p>
+            <Tornado tornado={sensitivity.tornado} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { formatCurrency } from "../format";
+import { useOptimizer } from "../hooks/useOptimizer";
+
+// Months at which the prepaid part may go in when timing is swept
+const TIMINGS = [0, 12, 24, 36, 60];
+const COLORS = ["#facc15", "#22c55e", "#60a5fa", "#f472b6", "#a78bfa"];
+
+const timingLabel = (month) =>
+  month === 0 ? "Prepay on day one" : `Prepay after ${month / 12} yr`;
+
+// Net benefit of every prepay/invest split of the extra cash, the best one
+// and the return at which the two options break even
+const SplitOptimizer = ({ inputs }) => {
+  const [sweepTiming, setSweepTiming] = useState(false);
+  // The sweep re-runs the analysis ~100 times, so off the main thread
+  const params = useMemo(
+    () => ({ inputs, timings: sweepTiming ? TIMINGS : [0] }),
+    [inputs, sweepTiming]
+  );
+  const { optimizer, running, error } = useOptimizer(params);
+  if (error)
+    return (
+      <p className="text-sm text-red-400">The optimizer failed: {error}</p>
+    );
+  if (!optimizer) return null;
+  const { curves, best, breakEven } = optimizer;
+
+  const chartData = curves[0].points.map((point, i) => {
+    const row = { share: point.share };
+    curves.forEach((curve) => {
+      row[timingLabel(curve.month)] = Math.round(curve.points[i].netBenefit);
+    });
+    return row;
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-gray-300">
+          Best allocation: prepay <strong>{best.share.toFixed(0)}%</strong> and
+          invest <strong>{(100 - best.share).toFixed(0)}%</strong>
+          {best.share > 0 && best.month > 0 && (
+            <> ({timingLabel(best.month).toLowerCase()})</>
+          )}
+          , for a net benefit of{" "}
+          <strong className="text-yellow-400">
+            ₹{formatCurrency(best.netBenefit)}
+          </strong>
+          .
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={sweepTiming}
+            onChange={(e) => setSweepTiming(e.target.checked)}
+            className="accent-yellow-500"
+          />
+          Also try delaying the prepayment
+          {running && (
+            <span className="text-xs text-gray-400">Recalculating…</span>
+          )}
+        </label>
+      </div>
+      <p className="text-sm text-gray-400">
+        {breakEven === null
+          ? "One option wins at every expected return from 0% to 30%."
+          : `Investing beats prepaying above an expected return of ${breakEven.toFixed(
+              2
+            )}% p.a. (you assumed ${inputs.investmentReturn}%).`}
+      </p>
+      <div className="h-72 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={chartData}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#4a4a4a" />
+            <XAxis
+              dataKey="share"
+              tick={{ fill: "#d1d5db" }}
+              tickFormatter={(value) => `${value}%`}
+              label={{
+                value: "Extra cash prepaid",
+                position: "insideBottom",
+                offset: -5,
+                fill: "#d1d5db",
+              }}
+            />
+            <YAxis
+              tick={{ fill: "#d1d5db" }}
+              tickFormatter={(value) => `₹${(value / 100000).toFixed(0)}L`}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "#333",
+                borderColor: "#555",
+                color: "#eee",
+              }}
+              labelFormatter={(value) => `${value}% prepaid`}
+              formatter={(value) => `₹${formatCurrency(value)}`}
+            />
+            <Legend wrapperStyle={{ color: "#d1d5db" }} />
+            <ReferenceLine
+              x={best.share}
+              stroke="#facc15"
+              strokeDasharray="2 4"
+              label={{
+                value: "Best",
+                fill: "#facc15",
+                fontSize: 10,
+                position: "top",
+              }}
+            />
+            {curves.map((curve, i) => (
+              <Line
+                key={curve.month}
+                type="monotone"
+                dataKey={timingLabel(curve.month)}
+                stroke={COLORS[i % COLORS.length]}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default SplitOptimizer;
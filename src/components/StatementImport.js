@@ -0,0 +1,248 @@
+import React, { useMemo, useState } from "react";
+import { Upload } from "lucide-react";
+import {
+  calculateEMI,
+  emiDate,
+  generateFullAmortization,
+  parseMonth,
+  reconcileSchedules,
+} from "../engine";
+import {
+  STATEMENT_COLUMNS,
+  readStatementFile,
+  guessColumnMapping,
+  buildImportedSchedule,
+  remainingSchedule,
+} from "../import/statement";
+import { formatCurrency, formatMonthYear } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// A difference cell: blank when a side is missing, red when more than ₹1
+const Gap = ({ difference, field }) => (
+  <td
+    className={`px-2 ${
+      difference && Math.abs(difference[field]) > 1 ? "text-red-400" : ""
+    }`}
+  >
+    {difference ? rupees(difference[field]) : "–"}
+  </td>
+);
+
+// Imports the lender's amortization statement, maps its columns, compares
+// it month by month with the computed schedule and can make it the basis of
+// the analysis. `inputs` are the resolved inputs (see resolveLoan).
+const StatementImport = ({ inputs, onUse }) => {
+  const [fileName, setFileName] = useState(null);
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const cells = await readStatementFile(file);
+      if (cells.length < 2) throw new Error("The file has no rows.");
+      setRows(cells);
+      setMapping(guessColumnMapping(cells[0]));
+      setFileName(file.name);
+    } catch (e) {
+      setError(`Could not read ${file.name}: ${e.message}`);
+    }
+  };
+
+  // The schedule the advisor computes for these inputs, as analyzeScenario
+  // does without an imported one
+  const computed = useMemo(() => {
+    const principal = parseFloat(inputs.loanAmount);
+    const rate = parseFloat(inputs.interestRate);
+    const months = Math.round(parseFloat(inputs.tenureYears) * 12);
+    return generateFullAmortization(
+      principal,
+      rate,
+      months,
+      calculateEMI(principal, rate, months),
+      {
+        rateChanges: inputs.rateChanges,
+        rateResetMode: inputs.rateResetMode,
+        dayCount: inputs.dayCount,
+        firstEmiDate: inputs.firstEmiDate,
+      }
+    );
+  }, [inputs]);
+  const missing = STATEMENT_COLUMNS.filter(
+    (column) => column.required && !(mapping[column.key] >= 0)
+  );
+  const statement = useMemo(() => {
+    if (!rows || missing.length > 0) return null;
+    const { schedule, skipped } = buildImportedSchedule(rows, mapping);
+    return {
+      read: schedule.length,
+      skipped,
+      schedule: remainingSchedule(schedule, inputs.firstEmiDate),
+    };
+  }, [rows, mapping, missing.length, inputs.firstEmiDate]);
+  const reconciliation = useMemo(
+    () => statement && reconcileSchedules(statement.schedule, computed),
+    [statement, computed]
+  );
+
+  const inUse = inputs.importedSchedule.length > 0;
+  const dateOf = (row) =>
+    formatMonthYear(
+      row.imported && row.imported.date
+        ? parseMonth(row.imported.date)
+        : emiDate(inputs.firstEmiDate, row.month)
+    );
+  const last = statement && statement.schedule[statement.schedule.length - 1];
+  // A statement that stops short of the last EMI can't stand in for the loan
+  const unpaid = Boolean(last) && last.endingBalance > 1;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="px-3 py-1 rounded-md bg-gray-700 hover:bg-gray-600 font-medium inline-flex items-center gap-2 cursor-pointer">
+          <Upload className="w-4 h-4 text-yellow-500" />
+          {fileName
+            ? "Choose Another Statement"
+            : "Choose Statement (CSV/XLSX)"}
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            aria-label="Statement file"
+            className="sr-only"
+            onChange={(e) => loadFile(e.target.files[0])}
+          />
+        </label>
+        {fileName && <span className="text-gray-400">{fileName}</span>}
+      </div>
+      {error && <p className="text-red-400">{error}</p>}
+
+      {inUse && (
+        <div className="p-3 rounded-md bg-green-900/30 border border-green-700 flex flex-wrap items-center justify-between gap-2">
+          <span>
+            The analysis uses the imported schedule (
+            {inputs.importedSchedule.length} months).
+          </span>
+          <button
+            type="button"
+            onClick={() => onUse([])}
+            className="px-3 py-1 rounded-md bg-gray-700 hover:bg-gray-600 font-medium"
+          >
+            Use Computed Schedule
+          </button>
+        </div>
+      )}
+
+      {rows && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs text-gray-400">
+          {STATEMENT_COLUMNS.map((column) => (
+            <label key={column.key} className="flex flex-col gap-1">
+              {column.label}
+              {column.required ? " *" : ""}
+              <select
+                aria-label={`${column.label} column`}
+                value={mapping[column.key]}
+                onChange={(e) =>
+                  setMapping((prev) => ({
+                    ...prev,
+                    [column.key]: Number(e.target.value),
+                  }))
+                }
+                className="p-1 rounded bg-gray-800 text-gray-200"
+              >
+                <option value={-1}>—</option>
+                {rows[0].map((header, i) => (
+                  <option key={i} value={i}>
+                    {String(header) || `Column ${i + 1}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+      {rows && missing.length > 0 && (
+        <p className="text-yellow-300">
+          Map the {missing.map((column) => column.label).join(", ")} column
+          {missing.length > 1 ? "s" : ""} to compare the statement.
+        </p>
+      )}
+
+      {reconciliation && (
+        <>
+          <p className="text-gray-300">
+            Read {statement.read} months ({statement.skipped} other rows
+            skipped); {statement.schedule.length} are due from{" "}
+            {formatMonthYear(inputs.firstEmiDate)}.{" "}
+            {reconciliation.mismatches === 0
+              ? "Every month matches the computed schedule."
+              : `${reconciliation.mismatches} months differ by more than ₹1, from month ${reconciliation.firstMismatch}.`}{" "}
+            Total interest differs by {rupees(reconciliation.interestGap)}.
+          </p>
+          {unpaid && (
+            <p className="text-yellow-300">
+              The statement ends with {rupees(last.endingBalance)} still
+              outstanding, so it can't replace the computed schedule. Import one
+              that runs to the last EMI.
+            </p>
+          )}
+          <div className="overflow-auto max-h-96 bg-gray-900 rounded-lg p-2 border border-gray-700">
+            <table className="w-full text-xs text-left whitespace-nowrap">
+              <thead className="sticky top-0 bg-gray-900 text-yellow-400">
+                <tr>
+                  <th className="p-2">Month</th>
+                  <th className="p-2">Date</th>
+                  <th className="p-2">Interest (Bank)</th>
+                  <th className="p-2">Interest (Computed)</th>
+                  <th className="p-2">Difference</th>
+                  <th className="p-2">Balance (Bank)</th>
+                  <th className="p-2">Balance (Computed)</th>
+                  <th className="p-2">Difference</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-400">
+                {reconciliation.rows.map((row) => (
+                  <tr
+                    key={row.month}
+                    className={`border-t border-gray-800 ${
+                      row.matches ? "" : "bg-red-900/20"
+                    }`}
+                  >
+                    <td className="px-2">{row.month}</td>
+                    <td className="px-2">{dateOf(row)}</td>
+                    <td className="px-2">
+                      {row.imported ? rupees(row.imported.interest) : "–"}
+                    </td>
+                    <td className="px-2">
+                      {row.computed ? rupees(row.computed.interest) : "–"}
+                    </td>
+                    <Gap difference={row.difference} field="interest" />
+                    <td className="px-2">
+                      {row.imported ? rupees(row.imported.endingBalance) : "–"}
+                    </td>
+                    <td className="px-2">
+                      {row.computed ? rupees(row.computed.endingBalance) : "–"}
+                    </td>
+                    <Gap difference={row.difference} field="endingBalance" />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            type="button"
+            onClick={() => onUse(statement.schedule)}
+            disabled={statement.schedule.length === 0 || unpaid}
+            className="px-3 py-1 rounded-md bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 text-gray-900 font-semibold"
+          >
+            Use Imported Schedule
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatementImport;
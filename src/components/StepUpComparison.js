@@ -0,0 +1,82 @@
+import React, { useMemo } from "react";
+import { compareEmiStepUp, emiDate, STEP_UP_OPTIONS } from "../engine";
+import { formatCurrency, formatMonthYear } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// The EMI step-ups on their own: how much sooner the raised EMI clears the
+// loan, and whether a SIP of the same raises would be worth more
+const StepUpComparison = ({ inputs }) => {
+  const comparison = useMemo(() => compareEmiStepUp(inputs), [inputs]);
+  const { baseline, stepped, emiByYear } = comparison;
+  const dateOf = (months) =>
+    formatMonthYear(emiDate(inputs.firstEmiDate, Math.max(1, months)));
+  const netBenefits = {
+    raise: comparison.netBenefitRaising,
+    invest: comparison.netBenefitInvesting,
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <p className="text-gray-300">
+        {comparison.monthsSaved > 0 ? (
+          <>
+            Raising the EMI pays the loan off in{" "}
+            <strong>{dateOf(stepped.tenureMonths)}</strong> instead of{" "}
+            {dateOf(baseline.tenureMonths)}, {comparison.monthsSaved} months
+            sooner, and saves{" "}
+            <strong className="text-yellow-400">
+              {rupees(comparison.interestSaved)}
+            </strong>{" "}
+            of interest.
+          </>
+        ) : (
+          <>The step-ups don't start before the loan ends.</>
+        )}{" "}
+        The raises add up to {rupees(stepped.totalRaised)}; the last EMI is{" "}
+        {rupees(stepped.finalEmi)}.
+      </p>
+      <div className="flex flex-wrap gap-2 text-xs">
+        {emiByYear.map(({ year, emi }) => (
+          <span
+            key={year}
+            className="px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-300"
+          >
+            Year {year}: {rupees(emi)}
+          </span>
+        ))}
+      </div>
+      <table className="w-full text-left">
+        <thead>
+          <tr className="text-yellow-400">
+            <th className="p-2">Option</th>
+            <th className="p-2">Net Benefit</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-300">
+          {Object.entries(STEP_UP_OPTIONS).map(([option, label]) => (
+            <tr key={option} className="border-t border-gray-700">
+              <td className="p-2">{label}</td>
+              <td
+                className={`p-2 ${
+                  comparison.betterOption === option
+                    ? "text-green-400 font-semibold"
+                    : ""
+                }`}
+              >
+                {rupees(netBenefits[option])}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500">
+        Without the extra cash and planned prepayments. "SIP the Raise" keeps
+        the original EMI and invests each month's raise instead; both net
+        benefits are measured as in the recommendation above.
+      </p>
+    </div>
+  );
+};
+
+export default StepUpComparison;
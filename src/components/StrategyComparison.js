@@ -0,0 +1,52 @@
+import React from "react";
+import { formatCurrency } from "../format";
+
+// Invest, prepay and park the extra cash in the loan's overdraft account,
+// side by side: net benefit, return on the cash and how easily it comes
+// back. `overdraft` is analyzeOverdraft's result.
+const StrategyComparison = ({ overdraft }) => (
+  <div>
+    <table className="w-full text-sm text-left">
+      <thead>
+        <tr className="text-yellow-400">
+          <th className="p-2">Strategy</th>
+          <th className="p-2">Net Benefit</th>
+          <th className="p-2">IRR</th>
+          <th className="p-2">Liquidity</th>
+        </tr>
+      </thead>
+      <tbody className="text-gray-300">
+        {overdraft.strategies.map((strategy) => (
+          <tr
+            key={strategy.key}
+            className={`border-t border-gray-700 ${
+              strategy.key === overdraft.best ? "bg-green-900/30" : ""
+            }`}
+          >
+            <td className="p-2">
+              {strategy.label}
+              {strategy.key === overdraft.best && " ★"}
+            </td>
+            <td className="p-2">₹{formatCurrency(strategy.netBenefit)}</td>
+            <td className="p-2">
+              {strategy.irr === null ? "–" : `${strategy.irr.toFixed(2)}%`}
+            </td>
+            <td className="p-2 text-gray-400">{strategy.liquidity}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <p className="mt-1 text-xs text-gray-400">
+      Overdraft account: interest worked out on the daily balance less what is
+      parked saves ₹{formatCurrency(overdraft.interestSaved)}; the loan runs{" "}
+      {overdraft.tenureMonths} months and ₹
+      {formatCurrency(overdraft.parkedAtClose)} is still parked when it closes.
+      {overdraft.forgoneGrowth > 0 &&
+        ` Its net benefit is charged the ₹${formatCurrency(
+          overdraft.forgoneGrowth
+        )} the monthly deposits would have earned invested.`}
+    </p>
+  </div>
+);
+
+export default StrategyComparison;
@@ -0,0 +1,189 @@
+import React from "react";
+import {
+  ComposedChart,
+  Area,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { formatCurrency } from "../format";
+
+export const TRAJECTORY_VIEWS = [
+  { value: "netWorth", label: "Net Worth" },
+  { value: "repayment", label: "Balance & Repayments" },
+];
+
+export const X_AXES = [
+  { value: "year", label: "Loan Year" },
+  { value: "calendarYear", label: "Calendar Year" },
+];
+
+const lakhs = (value) => `₹${(value / 100000).toFixed(0)}L`;
+
+// The yearly trajectory of both strategies (analyzeScenario's graphData):
+// their net worth, or each loan's balance with the year's interest and
+// principal stacked. Clicking a year calls onSelectYear with its loan year.
+const TrajectoryChart = ({
+  data,
+  view,
+  xAxis,
+  rateResetYears,
+  showBands,
+  onSelectYear,
+}) => {
+  const xOf = (year) => {
+    const point = data.find((entry) => entry.year === year);
+    return point ? point[xAxis] : year;
+  };
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart
+        data={data}
+        margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+        onClick={(state) => {
+          const point = state && data[Number(state.activeTooltipIndex)];
+          if (point) onSelectYear(point.year);
+        }}
+        style={{ cursor: "pointer" }}
+      >
+        <CartesianGrid strokeDasharray="3 3" stroke="#4a4a4a" />
+        <XAxis
+          dataKey={xAxis}
+          tick={{ fill: "#d1d5db" }}
+          label={{
+            value: xAxis === "year" ? "Year" : "Calendar Year",
+            position: "insideBottom",
+            offset: -5,
+            fill: "#d1d5db",
+          }}
+        />
+        <YAxis
+          yAxisId="amount"
+          tick={{ fill: "#d1d5db" }}
+          tickFormatter={lakhs}
+        />
+        {view === "repayment" && (
+          <YAxis
+            yAxisId="balance"
+            orientation="right"
+            tick={{ fill: "#d1d5db" }}
+            tickFormatter={lakhs}
+          />
+        )}
+        <RechartsTooltip
+          contentStyle={{
+            backgroundColor: "#333",
+            borderColor: "#555",
+            color: "#eee",
+          }}
+          formatter={(value) =>
+            Array.isArray(value)
+              ? `₹${formatCurrency(value[0])} – ₹${formatCurrency(value[1])}`
+              : `₹${formatCurrency(value)}`
+          }
+        />
+        <Legend wrapperStyle={{ color: "#d1d5db" }} />
+        {rateResetYears.map((year) => (
+          <ReferenceLine
+            key={year}
+            x={xOf(year)}
+            yAxisId="amount"
+            stroke="#60a5fa"
+            strokeDasharray="2 4"
+            label={{
+              value: "Rate Reset",
+              fill: "#60a5fa",
+              fontSize: 10,
+              position: "top",
+            }}
+          />
+        ))}
+        {view === "netWorth" && (
+          <ReferenceLine y={0} yAxisId="amount" stroke="#9ca3af" />
+        )}
+        {view === "netWorth" && showBands && (
+          <Area
+            yAxisId="amount"
+            type="monotone"
+            dataKey="Invest P10–P90"
+            stroke="none"
+            fill="#facc15"
+            fillOpacity={0.15}
+          />
+        )}
+        {view === "netWorth" && showBands && (
+          <Line
+            yAxisId="amount"
+            type="monotone"
+            dataKey="Invest P50"
+            stroke="#facc15"
+            strokeDasharray="3 3"
+            strokeWidth={1}
+            dot={false}
+          />
+        )}
+        {view === "netWorth" && (
+          <Line
+            yAxisId="amount"
+            type="monotone"
+            dataKey="Net Worth (Invest)"
+            stroke="#facc15"
+            strokeWidth={2}
+          />
+        )}
+        {view === "netWorth" && (
+          <Line
+            yAxisId="amount"
+            type="monotone"
+            dataKey="Net Worth (Prepay)"
+            stroke="#22c55e"
+            strokeWidth={2}
+          />
+        )}
+        {view === "repayment" &&
+          [
+            ["Principal (Original)", "original", "#b91c1c"],
+            ["Interest (Original)", "original", "#f87171"],
+            ["Principal (Prepaid)", "prepaid", "#15803d"],
+            ["Interest (Prepaid)", "prepaid", "#4ade80"],
+          ].map(([dataKey, stackId, fill]) => (
+            <Bar
+              key={dataKey}
+              yAxisId="amount"
+              dataKey={dataKey}
+              stackId={stackId}
+              fill={fill}
+            />
+          ))}
+        {view === "repayment" && (
+          <Area
+            yAxisId="balance"
+            type="monotone"
+            dataKey="Balance (Original)"
+            stroke="#ef4444"
+            fill="#ef4444"
+            fillOpacity={0.1}
+          />
+        )}
+        {view === "repayment" && (
+          <Area
+            yAxisId="balance"
+            type="monotone"
+            dataKey="Balance (Prepaid)"
+            stroke="#22c55e"
+            fill="#22c55e"
+            fillOpacity={0.1}
+          />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default TrajectoryChart;
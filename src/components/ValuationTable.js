@@ -0,0 +1,43 @@
+import React from "react";
+import { formatCurrency } from "../format";
+
+const rupees = (value) => `₹${formatCurrency(value)}`;
+
+// Net benefit of each strategy in nominal, real and present-value terms,
+// with the IRR earned on the extra cash
+const ValuationTable = ({ valuation, inflationRate, discountRate }) => {
+  const rows = [
+    ["Nominal", (value) => rupees(value.nominal)],
+    [
+      `Real (today's ₹ at ${inflationRate}% inflation)`,
+      (value) => rupees(value.real),
+    ],
+    [`NPV at ${discountRate}%`, (value) => rupees(value.presentValue)],
+    [
+      "IRR on the extra cash",
+      (value) => (value.irr === null ? "–" : `${value.irr.toFixed(2)}%`),
+    ],
+  ];
+  return (
+    <table className="w-full text-sm text-left">
+      <thead>
+        <tr className="text-yellow-400">
+          <th className="p-2">Time Value</th>
+          <th className="p-2">Invest</th>
+          <th className="p-2">Prepay</th>
+        </tr>
+      </thead>
+      <tbody className="text-gray-300">
+        {rows.map(([label, read]) => (
+          <tr key={label} className="border-t border-gray-700">
+            <td className="p-2 text-gray-400">{label}</td>
+            <td className="p-2">{read(valuation.invest)}</td>
+            <td className="p-2">{read(valuation.prepay)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default ValuationTable;
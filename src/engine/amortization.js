@@ -0,0 +1,360 @@
+// Loan math: EMIs, tenures and month-by-month amortization schedules.
+// Rates are annual percentages (9 = 9% p.a.), tenures are in months.
+import { emiDate, parseDate } from "./schedule";
+
+export const MAX_TENURE_MONTHS = 360; // Banks rarely stretch a loan beyond 30 years
+
+/**
+ * Equated monthly instalment for principal `p` at `r`% p.a. over `n` months.
+ * Returns 0 for non-positive inputs.
+ */
+export const calculateEMI = (p, r, n) => {
+  if (p <= 0 || r <= 0 || n <= 0) return 0;
+  const monthlyRate = r / 100 / 12;
+  return (
+    (p * monthlyRate * Math.pow(1 + monthlyRate, n)) /
+    (Math.pow(1 + monthlyRate, n) - 1)
+  );
+};
+
+/**
+ * Months needed to repay `newPrincipal` with a fixed `originalEmi`.
+ * Returns Infinity when the EMI does not cover the first month's interest.
+ */
+export const calculateNewTenure = (newPrincipal, originalEmi, annualRate) => {
+  if (newPrincipal <= 0 || originalEmi <= 0 || annualRate <= 0) return 0;
+  const monthlyRate = annualRate / 100 / 12;
+  if (originalEmi <= newPrincipal * monthlyRate) return Infinity;
+  const numerator = Math.log(1 - (newPrincipal * monthlyRate) / originalEmi);
+  const denominator = Math.log(1 + monthlyRate);
+  return Math.ceil(-numerator / denominator);
+};
+
+// How lenders accrue interest between EMIs
+export const DAY_COUNT_CONVENTIONS = {
+  "30/360": "Monthly Reducing (30/360)",
+  "actual/365": "Daily Reducing (Actual/365)",
+  "actual/actual": "Daily Reducing (Actual/Actual)",
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+// Whole days from one date to another
+export const daysBetween = (start, end) => Math.round((end - start) / DAY);
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const daysInYear = (year) =>
+  new Date(year, 1, 29).getMonth() === 1 ? 366 : 365;
+
+/**
+ * Fraction of a year between two dates under a day-count convention:
+ * 30-day months of a 360-day year, actual days over 365, or actual days
+ * over the length of each calendar year they fall in.
+ */
+export const yearFraction = (dayCount, start, end) => {
+  if (dayCount === "actual/365") return daysBetween(start, end) / 365;
+  if (dayCount === "actual/actual") {
+    let fraction = 0;
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+      const from = year === start.getFullYear() ? start : new Date(year, 0, 1);
+      const to = year === end.getFullYear() ? end : new Date(year + 1, 0, 1);
+      fraction += daysBetween(from, to) / daysInYear(year);
+    }
+    return fraction;
+  }
+  // '30/360'
+  return (
+    (360 * (end.getFullYear() - start.getFullYear()) +
+      30 * (end.getMonth() - start.getMonth()) +
+      Math.min(30, end.getDate()) -
+      Math.min(30, start.getDate())) /
+    360
+  );
+};
+
+/**
+ * Where a prepayment made on `date` lands in a schedule whose first EMI is
+ * due on `firstEmiDate`: after the EMI of `month`, `days` later. Monthly
+ * reducing loans only count it from the next EMI; prepayments before the
+ * first EMI are made with it.
+ */
+export const placePrepayment = (date, firstEmiDate, dayCount) => {
+  let month = 0;
+  while (emiDate(firstEmiDate, month + 1) <= date) month++;
+  if (month === 0) return { month: 1, days: 0 };
+  const days = daysBetween(emiDate(firstEmiDate, month), date);
+  if (dayCount === "30/360" && days > 0) return { month: month + 1, days: 0 };
+  return { month, days };
+};
+
+// One-off plan items paid on a date rather than in a month
+const datedItem = (item, firstEmiDate) =>
+  item.frequency === "once" && item.date && firstEmiDate
+    ? parseDate(item.date)
+    : null;
+
+// Rate in force in a given month: the latest reset at or before it
+export const rateForMonth = (annualRate, rateChanges, month) => {
+  let rate = annualRate;
+  rateChanges.forEach((change) => {
+    if (change.month <= month) rate = change.rate;
+  });
+  return rate;
+};
+
+/**
+ * Expands a prepayment plan into an array indexed by month (1..months)
+ * holding the total amount prepaid at the end of that month.
+ *
+ * Plan items: { frequency: 'once' | 'monthly' | 'yearly', amount,
+ * startMonth, endMonth (monthly, 0 = till the end), stepUp (yearly, %),
+ * date (once, 'YYYY-MM-DD', placed with placePrepayment when the schedule's
+ * `firstEmiDate` is known) }.
+ */
+export const buildPrepaymentSchedule = (
+  plan,
+  months,
+  { firstEmiDate, dayCount = "30/360" } = {}
+) => {
+  const schedule = new Array(Math.ceil(months) + 1).fill(0);
+  plan.forEach((item) => {
+    const amount = parseFloat(item.amount) || 0;
+    const start = Math.max(1, parseInt(item.startMonth, 10) || 1);
+    const date = datedItem(item, firstEmiDate);
+    if (amount <= 0) return;
+    if (date) {
+      const { month } = placePrepayment(date, firstEmiDate, dayCount);
+      if (month <= months) schedule[month] += amount;
+    } else if (item.frequency === "once") {
+      if (start <= months) schedule[start] += amount;
+    } else if (item.frequency === "monthly") {
+      const end =
+        parseInt(item.endMonth, 10) > 0
+          ? Math.min(months, parseInt(item.endMonth, 10))
+          : months;
+      for (let m = start; m <= end; m++) schedule[m] += amount;
+    } else {
+      // 'yearly', stepping up the amount every year
+      const stepUp = (parseFloat(item.stepUp) || 0) / 100;
+      let yearAmount = amount;
+      for (let m = start; m <= months; m += 12) {
+        schedule[m] += yearAmount;
+        yearAmount *= 1 + stepUp;
+      }
+    }
+  });
+  return schedule;
+};
+
+/**
+ * Expands EMI step-ups into an array indexed by month (1..months) holding
+ * how much more than `emi` is paid that month. Each step raises the EMI
+ * then paid by `percent`% and by `amount` ₹.
+ *
+ * Step-ups: { frequency: 'once' | 'yearly', startMonth, percent, amount };
+ * 'yearly' steps up again every 12 months.
+ */
+export const buildEmiStepUps = (stepUps, emi, months) => {
+  const steps = new Array(Math.ceil(months) + 1).fill(null).map(() => []);
+  stepUps.forEach((item) => {
+    const start = Math.max(1, parseInt(item.startMonth, 10) || 1);
+    const step = {
+      percent: parseFloat(item.percent) || 0,
+      amount: parseFloat(item.amount) || 0,
+    };
+    if (step.percent <= 0 && step.amount <= 0) return;
+    const every = item.frequency === "yearly" ? 12 : months;
+    for (let m = start; m <= months; m += every) steps[m].push(step);
+  });
+  const raises = new Array(Math.ceil(months) + 1).fill(0);
+  for (let m = 1; m <= months; m++) {
+    const paid = emi + raises[m - 1];
+    raises[m] =
+      raises[m - 1] +
+      steps[m].reduce(
+        (acc, step) => acc + (paid * step.percent) / 100 + step.amount,
+        0
+      );
+  }
+  return raises;
+};
+
+/**
+ * Days after each month's EMI that its prepayments are made, weighted by
+ * amount, indexed like buildPrepaymentSchedule. Only dated one-off items
+ * are made between EMIs.
+ */
+export const buildPrepaymentDays = (
+  plan,
+  months,
+  { firstEmiDate, dayCount = "30/360" } = {}
+) => {
+  const amounts = new Array(Math.ceil(months) + 1).fill(0);
+  const amountDays = new Array(Math.ceil(months) + 1).fill(0);
+  plan.forEach((item) => {
+    const amount = parseFloat(item.amount) || 0;
+    const date = datedItem(item, firstEmiDate);
+    if (amount <= 0 || !date) return;
+    const { month, days } = placePrepayment(date, firstEmiDate, dayCount);
+    if (month > months) return;
+    amounts[month] += amount;
+    amountDays[month] += amount * days;
+  });
+  const undated = buildPrepaymentSchedule(
+    plan.filter((item) => !datedItem(item, firstEmiDate)),
+    months
+  );
+  return amountDays.map((total, m) =>
+    total > 0 ? total / (amounts[m] + undated[m]) : 0
+  );
+};
+
+/**
+ * Month-by-month schedule of `principal` repaid with `emi` at `annualRate`.
+ *
+ * Options:
+ * - prepayments: amounts indexed by month, paid after that month's EMI
+ * - recalculateEmi: re-amortize the balance over the months left after each
+ *   prepayment ('reduceEmi') instead of keeping the EMI ('reduceTenure')
+ * - rateChanges: [{ month, rate }] floating-rate resets
+ * - rateResetMode: 'keepEmi' stretches the tenure on a reset,
+ *   'recalculateEmi' keeps the tenure and changes the EMI
+ * - dayCount: a DAY_COUNT_CONVENTIONS key. The daily conventions accrue
+ *   interest over the actual days since the last EMI, dated from
+ *   `firstEmiDate`, and the last EMI clears what is left.
+ * - prepaymentDays: days after the EMI each month's prepayment is made (see
+ *   buildPrepaymentDays); the prepaid amount accrues interest until then
+ * - emiRaises: amounts indexed by month paid on top of that month's EMI
+ *   (see buildEmiStepUps). They go to the principal and stay on top when
+ *   the lender resets the EMI.
+ *
+ * Rows: { month, rate, interest, principal, prepayment, totalPayment,
+ * endingBalance }.
+ */
+export const generateFullAmortization = (
+  principal,
+  annualRate,
+  months,
+  emi,
+  options = {}
+) => {
+  const {
+    prepayments = [],
+    recalculateEmi = false,
+    rateChanges = [],
+    rateResetMode = "keepEmi",
+    dayCount = "30/360",
+    firstEmiDate,
+    prepaymentDays = [],
+    emiRaises = [],
+  } = options;
+  const daily = dayCount !== "30/360" && !!firstEmiDate;
+  if (principal <= 0 || emi <= 0) return [];
+  const schedule = [];
+  const resets = rateChanges
+    .filter((change) => change.month >= 1 && change.rate > 0)
+    .sort((a, b) => a.month - b.month);
+  // Keeping the EMI through a rate hike stretches the loan past `months`
+  const maxMonths =
+    resets.length > 0 && rateResetMode === "keepEmi"
+      ? Math.max(months, MAX_TENURE_MONTHS)
+      : months;
+  let balance = principal;
+  let currentEmi = emi;
+  let currentRate = annualRate;
+  let prepaidInterest = 0; // On the last prepayment, until the day it was made
+  for (let i = 1; i <= maxMonths; i++) {
+    const rate = rateForMonth(annualRate, resets, i);
+    // Interest rate for the month: a twelfth of a year, or the actual days
+    // since the last EMI
+    const periodRate = daily
+      ? (rate / 100) *
+        yearFraction(
+          dayCount,
+          emiDate(firstEmiDate, i - 1),
+          emiDate(firstEmiDate, i)
+        )
+      : rate / 100 / 12;
+    if (rate !== currentRate) {
+      currentRate = rate;
+      if (rateResetMode === "recalculateEmi") {
+        currentEmi = calculateEMI(balance, rate, months - i + 1);
+      } else if (
+        calculateNewTenure(balance, currentEmi, rate) >
+        maxMonths - i + 1
+      ) {
+        // Once stretching alone can't close the loan within the longest
+        // allowed tenure, the bank raises the EMI just enough to do so
+        currentEmi = calculateEMI(balance, rate, maxMonths - i + 1);
+      }
+    }
+    let interestForMonth = balance * periodRate + prepaidInterest;
+    const payment = currentEmi + (emiRaises[i] || 0);
+    const principalForMonth =
+      daily && i === maxMonths
+        ? balance
+        : Math.max(0, payment - interestForMonth);
+    balance -= principalForMonth;
+    if (balance < 0.005) balance = 0;
+    const prepayment = Math.min(balance, prepayments[i] || 0);
+    balance -= prepayment;
+    // The prepaid amount accrues interest until the day it is made, due
+    // with the next EMI
+    const days = prepayment > 0 ? prepaymentDays[i] || 0 : 0;
+    const accrual =
+      days === 0
+        ? 0
+        : daily
+        ? yearFraction(
+            dayCount,
+            emiDate(firstEmiDate, i),
+            addDays(emiDate(firstEmiDate, i), days)
+          )
+        : days / 360;
+    prepaidInterest = prepayment * (rate / 100) * accrual;
+    // A prepayment that closes the loan settles that interest with it
+    const settled = balance === 0 ? prepaidInterest : 0;
+    interestForMonth += settled;
+    schedule.push({
+      month: i,
+      rate,
+      interest: interestForMonth,
+      principal: principalForMonth,
+      prepayment,
+      totalPayment:
+        (daily && i === maxMonths
+          ? interestForMonth - settled + principalForMonth
+          : payment) +
+        prepayment +
+        settled,
+      endingBalance: balance,
+    });
+    if (balance === 0) break;
+    // 'reduceEmi': the bank re-amortizes the balance over the months left
+    if (prepayment > 0 && recalculateEmi) {
+      currentEmi = calculateEMI(balance, rate, Math.max(1, months - i));
+    }
+  }
+  return schedule;
+};
+
+export const totalInterest = (schedule) =>
+  schedule.reduce((acc, row) => acc + row.interest, 0);
+
+// What each month actually pays into the loan. The last EMI of a schedule
+// can be more than the balance left, so this is interest plus the fall in
+// the balance rather than `totalPayment`.
+export const monthlyLoanPayments = (schedule) =>
+  schedule.map((row, i) => {
+    const openingBalance =
+      i === 0
+        ? row.endingBalance + row.principal + row.prepayment
+        : schedule[i - 1].endingBalance;
+    return row.interest + openingBalance - row.endingBalance;
+  });
+
+// EMI in force at the end of a schedule, after any rate resets
+export const lastEmi = (schedule) =>
+  schedule.length > 0
+    ? schedule[schedule.length - 1].totalPayment -
+      schedule[schedule.length - 1].prepayment
+    : 0;
@@ -0,0 +1,275 @@
+import {
+  calculateEMI,
+  calculateNewTenure,
+  buildPrepaymentSchedule,
+  buildPrepaymentDays,
+  buildEmiStepUps,
+  generateFullAmortization,
+  placePrepayment,
+  yearFraction,
+  totalInterest,
+  lastEmi,
+} from "./amortization";
+
+describe("calculateEMI", () => {
+  test("matches the standard EMI formula", () => {
+    // ₹50L at 9% for 20 years
+    expect(calculateEMI(5000000, 9, 240)).toBeCloseTo(44986.3, 1);
+  });
+
+  test("returns 0 for non-positive inputs", () => {
+    expect(calculateEMI(0, 9, 240)).toBe(0);
+    expect(calculateEMI(5000000, 0, 240)).toBe(0);
+    expect(calculateEMI(5000000, 9, 0)).toBe(0);
+  });
+});
+
+describe("calculateNewTenure", () => {
+  test("recovers the original tenure from its own EMI", () => {
+    const emi = calculateEMI(5000000, 9, 240);
+    expect(calculateNewTenure(5000000, emi, 9)).toBe(240);
+  });
+
+  test("shortens the tenure for a smaller principal", () => {
+    const emi = calculateEMI(5000000, 9, 240);
+    expect(calculateNewTenure(4500000, emi, 9)).toBe(186);
+  });
+
+  test("is Infinity when the EMI does not cover the interest", () => {
+    expect(calculateNewTenure(5000000, 30000, 9)).toBe(Infinity);
+  });
+});
+
+describe("buildPrepaymentSchedule", () => {
+  test("places one-off, monthly and stepped-up yearly prepayments", () => {
+    const schedule = buildPrepaymentSchedule(
+      [
+        { frequency: "once", amount: 50000, startMonth: 3 },
+        { frequency: "monthly", amount: 1000, startMonth: 2, endMonth: 4 },
+        { frequency: "yearly", amount: 10000, startMonth: 12, stepUp: 10 },
+      ],
+      30
+    );
+    expect(schedule).toHaveLength(31);
+    expect(schedule[1]).toBe(0);
+    expect(schedule[2]).toBe(1000);
+    expect(schedule[3]).toBe(51000);
+    expect(schedule[5]).toBe(0);
+    expect(schedule[12]).toBe(10000);
+    expect(schedule[24]).toBeCloseTo(11000);
+  });
+
+  test("covers every month of a fractional horizon", () => {
+    const schedule = buildPrepaymentSchedule(
+      [{ frequency: "monthly", amount: 1000, startMonth: 1 }],
+      183.6
+    );
+    expect(schedule).toHaveLength(185);
+  });
+
+  test("ignores prepayments beyond the horizon", () => {
+    const schedule = buildPrepaymentSchedule(
+      [{ frequency: "once", amount: 50000, startMonth: 40 }],
+      30
+    );
+    expect(schedule.every((amount) => amount === 0)).toBe(true);
+  });
+});
+
+describe("buildEmiStepUps", () => {
+  test("compounds yearly percentage step-ups and adds fixed ones", () => {
+    const raises = buildEmiStepUps(
+      [
+        { frequency: "yearly", startMonth: 13, percent: 10, amount: 0 },
+        { frequency: "once", startMonth: 30, percent: 0, amount: 500 },
+      ],
+      10000,
+      40
+    );
+    expect(raises).toHaveLength(41);
+    expect(raises[12]).toBe(0);
+    expect(raises[13]).toBeCloseTo(1000);
+    expect(raises[24]).toBeCloseTo(1000);
+    expect(raises[25]).toBeCloseTo(2100);
+    expect(raises[30]).toBeCloseTo(2600);
+    // Each step is on the EMI then paid, fixed raises included
+    expect(raises[37]).toBeCloseTo(2600 + 12600 * 0.1);
+  });
+
+  test("ignores step-ups of nothing", () => {
+    const raises = buildEmiStepUps(
+      [{ frequency: "yearly", startMonth: 1, percent: 0, amount: 0 }],
+      10000,
+      24
+    );
+    expect(raises.every((raise) => raise === 0)).toBe(true);
+  });
+});
+
+describe("day counts", () => {
+  const jan = new Date(2028, 0, 1);
+
+  test("measures years by convention", () => {
+    const mar = new Date(2028, 2, 1);
+    expect(yearFraction("30/360", jan, mar)).toBeCloseTo(60 / 360);
+    // 2028 is a leap year: 31 + 29 days
+    expect(yearFraction("actual/365", jan, mar)).toBeCloseTo(60 / 365);
+    expect(yearFraction("actual/actual", jan, mar)).toBeCloseTo(60 / 366);
+    // Across a year end, each part over its own year's length
+    expect(
+      yearFraction("actual/actual", new Date(2027, 11, 1), jan)
+    ).toBeCloseTo(31 / 365);
+  });
+
+  test("places a dated prepayment between EMIs", () => {
+    const date = new Date(2028, 2, 16); // 15 days after the March EMI
+    expect(placePrepayment(date, jan, "actual/365")).toEqual({
+      month: 3,
+      days: 15,
+    });
+    // Monthly reducing loans count it from the April EMI
+    expect(placePrepayment(date, jan, "30/360")).toEqual({
+      month: 4,
+      days: 0,
+    });
+    expect(placePrepayment(new Date(2027, 11, 20), jan, "30/360")).toEqual({
+      month: 1,
+      days: 0,
+    });
+  });
+
+  test("weights the days of prepayments made in the same month", () => {
+    const plan = [
+      { frequency: "once", amount: 30000, date: "2028-03-11" },
+      { frequency: "once", amount: 10000, startMonth: 3 },
+    ];
+    const options = { firstEmiDate: jan, dayCount: "actual/365" };
+    expect(buildPrepaymentSchedule(plan, 12, options)[3]).toBe(40000);
+    expect(buildPrepaymentDays(plan, 12, options)[3]).toBeCloseTo(7.5);
+  });
+});
+
+describe("generateFullAmortization", () => {
+  const emi = calculateEMI(1000000, 9, 120);
+
+  test("repays the principal exactly over the tenure", () => {
+    const schedule = generateFullAmortization(1000000, 9, 120, emi);
+    expect(schedule).toHaveLength(120);
+    expect(schedule[119].endingBalance).toBe(0);
+    const repaid = schedule.reduce((acc, row) => acc + row.principal, 0);
+    expect(repaid).toBeCloseTo(1000000, 0);
+    expect(totalInterest(schedule)).toBeCloseTo(emi * 120 - 1000000, 0);
+  });
+
+  test("closes the loan early with prepayments when the EMI is kept", () => {
+    const prepayments = buildPrepaymentSchedule(
+      [{ frequency: "yearly", amount: 100000, startMonth: 12 }],
+      120
+    );
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      prepayments,
+    });
+    expect(schedule.length).toBeLessThan(120);
+    expect(schedule[11].prepayment).toBe(100000);
+    expect(lastEmi(schedule)).toBeCloseTo(emi);
+  });
+
+  test("lowers the EMI after a prepayment in reduceEmi mode", () => {
+    const prepayments = buildPrepaymentSchedule(
+      [{ frequency: "once", amount: 200000, startMonth: 12 }],
+      120
+    );
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      prepayments,
+      recalculateEmi: true,
+    });
+    expect(schedule).toHaveLength(120);
+    expect(lastEmi(schedule)).toBeLessThan(emi);
+  });
+
+  test("pays EMI raises on top of the EMI and ends the loan sooner", () => {
+    const emiRaises = buildEmiStepUps(
+      [{ frequency: "yearly", startMonth: 13, percent: 10, amount: 0 }],
+      emi,
+      120
+    );
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      emiRaises,
+      recalculateEmi: true,
+      prepayments: buildPrepaymentSchedule(
+        [{ frequency: "once", amount: 100000, startMonth: 6 }],
+        120
+      ),
+    });
+    expect(schedule[11].totalPayment).toBeCloseTo(schedule[6].totalPayment);
+    // The raise stays on top of the EMI the prepayment lowered
+    expect(schedule[12].totalPayment).toBeCloseTo(
+      schedule[6].totalPayment + emi * 0.1
+    );
+    expect(schedule.length).toBeLessThan(100);
+    expect(schedule[schedule.length - 1].endingBalance).toBe(0);
+    expect(totalInterest(schedule)).toBeLessThan(
+      totalInterest(generateFullAmortization(1000000, 9, 120, emi))
+    );
+  });
+
+  test("stretches the tenure on a rate hike when the EMI is kept", () => {
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      rateChanges: [{ month: 13, rate: 10 }],
+      rateResetMode: "keepEmi",
+    });
+    expect(schedule[12].rate).toBe(10);
+    expect(schedule.length).toBeGreaterThan(120);
+    expect(lastEmi(schedule)).toBeCloseTo(emi);
+  });
+
+  test("raises the EMI on a rate hike when it is recalculated", () => {
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      rateChanges: [{ month: 13, rate: 10 }],
+      rateResetMode: "recalculateEmi",
+    });
+    expect(schedule).toHaveLength(120);
+    expect(schedule[119].endingBalance).toBe(0);
+    expect(lastEmi(schedule)).toBeGreaterThan(emi);
+  });
+
+  test("accrues daily interest over the actual days of each month", () => {
+    const firstEmiDate = new Date(2028, 0, 1);
+    const schedule = generateFullAmortization(1000000, 9, 120, emi, {
+      dayCount: "actual/365",
+      firstEmiDate,
+    });
+    // December has 31 days, February 2028 has 29
+    expect(schedule[0].interest).toBeCloseTo((1000000 * 0.09 * 31) / 365, 6);
+    expect(schedule[2].interest / schedule[2].endingBalance).toBeLessThan(
+      schedule[1].interest / schedule[1].endingBalance
+    );
+    // The last EMI clears the balance left by the uneven months
+    expect(schedule).toHaveLength(120);
+    expect(schedule[119].endingBalance).toBe(0);
+    expect(schedule[119].totalPayment).not.toBeCloseTo(emi, 0);
+  });
+
+  test("charges interest on a prepayment until the day it is made", () => {
+    const firstEmiDate = new Date(2028, 0, 1);
+    const options = {
+      dayCount: "actual/365",
+      firstEmiDate,
+      prepayments: { 3: 100000 },
+    };
+    const onEmiDay = generateFullAmortization(1000000, 9, 120, emi, options);
+    const later = generateFullAmortization(1000000, 9, 120, emi, {
+      ...options,
+      prepaymentDays: { 3: 15 },
+    });
+    expect(later[3].interest - onEmiDay[3].interest).toBeCloseTo(
+      (100000 * 0.09 * 15) / 365,
+      6
+    );
+  });
+
+  test("returns an empty schedule without principal or EMI", () => {
+    expect(generateFullAmortization(0, 9, 120, emi)).toEqual([]);
+    expect(generateFullAmortization(1000000, 9, 120, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,431 @@
+import {
+  calculateEMI,
+  calculateNewTenure,
+  buildPrepaymentSchedule,
+  buildPrepaymentDays,
+  buildEmiStepUps,
+  generateFullAmortization,
+  totalInterest,
+  lastEmi,
+  MAX_TENURE_MONTHS,
+} from "./amortization";
+import { prepaymentCharges } from "./charges";
+import { totalContributed } from "./investment";
+import { buildCashFlowLedger } from "./ledger";
+import { calculateYearlyBorrowerTaxBenefits } from "./tax";
+import { financialYearOf } from "./taxRules";
+import { defaultFirstEmiDate, emiDate } from "./schedule";
+
+export const DEFAULT_INPUTS = {
+  loanAmount: 5000000, // ₹50 Lakhs
+  interestRate: 9.0, // 9.0%
+  tenureYears: 20, // 20 years
+  extraCash: 500000, // ₹5 Lakhs
+  investmentReturn: 12, // 12%
+  investmentType: "equity", // 'equity' or 'fd'
+  taxRegime: "old", // 'old' or 'new'
+  taxSlab: 30, // User's tax slab in percentage
+  used80C: 150000, // How much of 80C is already used
+  annualIncome: 2000000, // Taxable income before FD interest, for its slabs
+  startFinancialYear: null, // FY of loan year 1 (2025 = FY 2025-26); null = the first EMI's (see mergeInputs)
+  propertyUse: "selfOccupied", // 'selfOccupied' or 'letOut'
+  annualRent: 0, // Gross annual rent of a let-out property
+  coBorrowers: [], // [{ share (%), taxSlab, used80C }]; you keep the rest
+  prepaymentMethod: "reduceTenure", // 'reduceEmi' or 'reduceTenure'
+  prepaymentPlan: [], // Extra prepayments on top of the day-one extraCash
+  emiStepUps: [], // [{ frequency, startMonth, percent, amount }] EMI raises (see buildEmiStepUps)
+  prepaymentChargeRate: 0, // % of each prepayment (see prepaymentCharges)
+  prepaymentChargeFlat: 0, // ₹ per charged prepayment
+  prepaymentFreeAfterMonths: 0, // Charges waived from this month of the loan (after `emisPaid`); 0 = never
+  prepaymentFreeAnnualLimit: 0, // ₹ prepaid free of charge each loan year
+  rateChanges: [], // [{ month, rate }] resets of a repo-linked loan
+  rateResetMode: "keepEmi", // 'keepEmi' or 'recalculateEmi'
+  dayCount: "30/360", // How the lender accrues interest (see DAY_COUNT_CONVENTIONS)
+  simulationMode: "fixed", // 'fixed' return or 'monteCarlo' (see runMonteCarlo)
+  returnVolatility: 18, // % p.a., for the Monte Carlo simulation
+  inflationRate: 6, // % p.a., for real (today's rupees) values
+  discountRate: 8, // % p.a., for present values (see valueStrategies)
+  portfolioLoans: [], // [{ type, principal, interestRate, tenureYears }] (see analyzePortfolio)
+  refinanceRate: 8.25, // % p.a. offered by the new lender (see analyzeRefinance)
+  refinanceTenureYears: 20, // Tenure of the new loan
+  refinanceFeeRate: 0.5, // New lender's processing fee, % of the balance
+  refinanceFlatFees: 10000, // ₹ of legal, valuation and stamp charges
+  refinanceMonth: 0, // EMIs paid before switching; 0 = today
+  loanDetailsMode: "remaining", // 'remaining' balance or 'sanction' details (see resolveLoan)
+  sanctionAmount: 6000000, // ₹ originally sanctioned
+  originalTenureYears: 25, // Tenure at sanction
+  disbursementDate: "", // 'YYYY-MM'; blank = EMIs paid up to this month
+  emisPaid: 0, // EMIs paid so far
+  statementOutstanding: 0, // ₹ outstanding per the bank's statement; 0 = derive
+  importedSchedule: [], // The lender's schedule from the next EMI, used instead of computing one
+  overdraftMonthlyDeposit: 0, // ₹ parked in the overdraft account each month (see analyzeOverdraft)
+  overdraftMonthlyWithdrawal: 0, // ₹ drawn from it each month
+  goalType: "payoffDate", // 'payoffDate' or 'totalInterest' (see solveGoal)
+  goalPayoffDate: "", // 'YYYY-MM' to be debt-free by; blank = not set
+  goalTotalInterest: 3000000, // ₹ of interest to pay at most from here on
+};
+
+/**
+ * `inputs` over DEFAULT_INPUTS, with a `startFinancialYear` left out taken
+ * as the financial year of the first EMI: `firstEmiDate`, or the month
+ * after `today`.
+ */
+export const mergeInputs = (inputs = {}, today = new Date()) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  if (merged.startFinancialYear !== null) return merged;
+  return {
+    ...merged,
+    startFinancialYear: financialYearOf(
+      merged.firstEmiDate || defaultFirstEmiDate(today)
+    ),
+  };
+};
+
+/**
+ * Everyone claiming the loan's tax benefits ({ share (%), slab (fraction),
+ * used80C }): you, with what the co-borrowers leave, then each co-borrower.
+ */
+export const borrowersOf = ({ taxSlab, used80C, coBorrowers }) => {
+  const coBorrowerShare = coBorrowers.reduce(
+    (acc, coBorrower) => acc + parseFloat(coBorrower.share),
+    0
+  );
+  return [
+    {
+      share: Math.max(0, 100 - coBorrowerShare),
+      slab: parseFloat(taxSlab) / 100,
+      used80C: parseFloat(used80C),
+    },
+    ...coBorrowers.map((coBorrower) => ({
+      share: parseFloat(coBorrower.share),
+      slab: parseFloat(coBorrower.taxSlab) / 100,
+      used80C: parseFloat(coBorrower.used80C),
+    })),
+  ];
+};
+
+// The lender's prepayment charge rules (see prepaymentCharges)
+export const chargeRulesOf = (inputs) => ({
+  rate: parseFloat(inputs.prepaymentChargeRate),
+  flatFee: parseFloat(inputs.prepaymentChargeFlat),
+  freeAfterMonths: parseFloat(inputs.prepaymentFreeAfterMonths),
+  annualFreeLimit: parseFloat(inputs.prepaymentFreeAnnualLimit),
+  emisPaid: parseFloat(inputs.emisPaid) || 0,
+});
+
+/**
+ * Compares investing `extraCash` (and every planned prepayment and EMI
+ * step-up) against prepaying the loan with it. Missing inputs fall back to
+ * DEFAULT_INPUTS (see mergeInputs).
+ * A `firstEmiDate` (see resolveLoan) counts tax years as the April-March
+ * financial years the EMIs fall in; without one the EMIs start the month
+ * after `today`. An `importedSchedule` replaces the computed one for
+ * continuing the loan: the balance it starts from, its EMI and its length
+ * stand in for the loan amount, EMI and tenure.
+ *
+ * Each net benefit is what the strategy is worth at the end of the same
+ * horizon, less the cash it started with: EMIs freed by prepaying and the
+ * tax refunds of both loans are reinvested at the chosen return (see
+ * buildCashFlowLedger).
+ *
+ * Returns the EMIs, tenures, interest saved, post-tax investment gain, tax
+ * benefits of both loans, prepayment charges, the total of the EMI raises
+ * (`totalEmiRaised`), the net benefit of each
+ * strategy (prepaying net of its charges), the
+ * `betterOption` ('Invest' | 'Prepay'), yearly `graphData`, both
+ * amortization schedules and the `ledger`.
+ */
+export const analyzeScenario = (inputs = {}, today = new Date()) => {
+  const merged = mergeInputs(inputs, today);
+  const {
+    loanAmount,
+    interestRate,
+    tenureYears,
+    extraCash,
+    investmentReturn,
+    investmentType,
+    taxRegime,
+    taxSlab,
+    annualIncome,
+    startFinancialYear,
+    propertyUse,
+    annualRent,
+    prepaymentMethod,
+    prepaymentPlan,
+    emiStepUps,
+    rateChanges,
+    rateResetMode,
+    dayCount,
+    importedSchedule,
+  } = merged;
+  const imported = importedSchedule.length > 0;
+
+  // Parse inputs
+  const p = imported
+    ? importedSchedule[0].endingBalance + importedSchedule[0].principal
+    : parseFloat(loanAmount);
+  const r = parseFloat(interestRate);
+  // Whole months: a tenure like 15.3 years is rounded to 184 EMIs
+  const n = imported
+    ? importedSchedule.length
+    : Math.round(parseFloat(tenureYears) * 12);
+  const cash = parseFloat(extraCash);
+  const invReturn = parseFloat(investmentReturn);
+  const slab = parseFloat(taxSlab) / 100;
+  const borrowers = borrowersOf(merged);
+
+  // --- Scenario 1: Continue Loan & Invest Extra Cash ---
+  const originalEmi = imported
+    ? importedSchedule[0].totalPayment
+    : calculateEMI(p, r, n);
+  // Daily interest and dated prepayments need the EMI dates
+  const dates = {
+    dayCount,
+    firstEmiDate: merged.firstEmiDate || defaultFirstEmiDate(today),
+  };
+  const rateOptions = { rateChanges, rateResetMode, ...dates };
+  const originalAmortization = imported
+    ? importedSchedule
+    : generateFullAmortization(p, r, n, originalEmi, rateOptions);
+  // Rate resets can stretch (or shorten) the loan, so compare both
+  // strategies over the longer of the planned and actual tenure.
+  const horizonMonths = Math.max(n, originalAmortization.length);
+  const totalInterestOriginal = totalInterest(originalAmortization);
+
+  // --- Scenario 2: Prepay Loan ---
+  // Computed before the investment side: the prepayments it actually makes
+  // are the cash flows the investing scenario invests instead.
+  const newLoanAmount = p - cash;
+  const prepaymentSchedule = buildPrepaymentSchedule(
+    prepaymentPlan,
+    horizonMonths,
+    dates
+  );
+  let newEmi = originalEmi;
+  let newTenureMonths = n;
+  let interestSaved = 0;
+  let prepaidAmortization = [];
+  let emiRaises = [];
+
+  if (newLoanAmount > 0) {
+    if (prepaymentMethod === "reduceEmi") {
+      newEmi = calculateEMI(newLoanAmount, r, n);
+      newTenureMonths = n;
+    } else {
+      // 'reduceTenure'
+      newEmi = originalEmi;
+      // An imported schedule's EMI needn't cover the interest at rate `r`
+      newTenureMonths = Math.min(
+        calculateNewTenure(newLoanAmount, originalEmi, r),
+        Math.max(n, MAX_TENURE_MONTHS)
+      );
+    }
+    // Step-ups raise the prepaid loan's EMI from the month they start
+    emiRaises = buildEmiStepUps(emiStepUps, newEmi, horizonMonths);
+    prepaidAmortization = generateFullAmortization(
+      newLoanAmount,
+      r,
+      newTenureMonths,
+      newEmi,
+      {
+        ...rateOptions,
+        prepayments: prepaymentSchedule,
+        prepaymentDays: buildPrepaymentDays(
+          prepaymentPlan,
+          horizonMonths,
+          dates
+        ),
+        recalculateEmi: prepaymentMethod === "reduceEmi",
+        emiRaises,
+      }
+    );
+    // Recurring prepayments can close the loan before the planned tenure
+    newTenureMonths = prepaidAmortization.length;
+    interestSaved = totalInterestOriginal - totalInterest(prepaidAmortization);
+  } else {
+    // Loan fully paid off
+    newEmi = 0;
+    newTenureMonths = 0;
+    interestSaved = totalInterestOriginal;
+  }
+
+  // Every rupee prepaid, and every rupee the EMI is raised by, is matched
+  // by an equal SIP instalment in the same month.
+  const prepayments = [];
+  const outflows = [{ month: 0, amount: cash }];
+  prepaidAmortization.forEach((row) => {
+    if (row.prepayment > 0)
+      prepayments.push({ month: row.month, amount: row.prepayment });
+    const raise = emiRaises[row.month] || 0;
+    if (row.prepayment + raise > 0)
+      outflows.push({ month: row.month, amount: row.prepayment + raise });
+  });
+  const totalInvested = totalContributed(outflows);
+  const totalPrepaid = totalContributed(prepayments);
+  const totalEmiRaised = totalInvested - cash - totalPrepaid;
+
+  // What the lender charges on each prepayment, paid on top of it. Cash
+  // beyond the outstanding loan isn't prepaid, and a higher EMI isn't a
+  // prepayment, so neither is charged.
+  const chargedPrepayments = prepaymentCharges(
+    [{ month: 0, amount: Math.min(cash, p) }, ...prepayments],
+    chargeRulesOf(merged)
+  );
+  const totalPrepaymentCharges = chargedPrepayments.reduce(
+    (acc, prepayment) => acc + prepayment.charge,
+    0
+  );
+
+  // Tax benefits of both loans, per borrower and combined
+  const taxOptions = {
+    taxRegime,
+    propertyUse,
+    annualRent: parseFloat(annualRent),
+    borrowers,
+    startFinancialYear,
+    years: Math.ceil(horizonMonths / 12),
+    firstEmiDate: merged.firstEmiDate,
+  };
+  const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+  // Yearly amounts add up across borrowers for the cash flows of each year
+  const byYear = (yearlyBenefits) =>
+    yearlyBenefits[0].map((_, year) =>
+      sum(yearlyBenefits.map((benefits) => benefits[year]))
+    );
+  const originalYearlyBenefits = calculateYearlyBorrowerTaxBenefits(
+    originalAmortization,
+    taxOptions
+  );
+  const prepaidYearlyBenefits = calculateYearlyBorrowerTaxBenefits(
+    prepaidAmortization,
+    taxOptions
+  );
+  const originalBorrowerBenefits = originalYearlyBenefits.map(sum);
+  const prepaidBorrowerBenefits = prepaidYearlyBenefits.map(sum);
+  const originalLoanTaxBenefit = sum(originalBorrowerBenefits);
+  const prepaidLoanTaxBenefit = sum(prepaidBorrowerBenefits);
+  const borrowerTaxBenefits = borrowers.map((borrower, i) => ({
+    share: borrower.share,
+    original: originalBorrowerBenefits[i],
+    prepaid: prepaidBorrowerBenefits[i],
+  }));
+
+  const originalYearlyTaxBenefits = byYear(originalYearlyBenefits);
+  const prepaidYearlyTaxBenefits = byYear(prepaidYearlyBenefits);
+
+  // Both strategies month by month, reinvesting the EMIs prepaying frees
+  // and the tax refunds of both, until the same horizon
+  const ledger = buildCashFlowLedger({
+    originalAmortization,
+    prepaidAmortization,
+    outflows,
+    originalYearlyTaxBenefits,
+    prepaidYearlyTaxBenefits,
+    prepaymentCharges: chargedPrepayments,
+    unusedCash: Math.max(0, -newLoanAmount),
+    horizonMonths,
+    investment: {
+      annualReturn: invReturn,
+      investmentType,
+      taxRegime,
+      annualIncome: parseFloat(annualIncome),
+      startFinancialYear,
+    },
+  });
+  // The investment gain includes the growth of the reinvested tax refunds
+  const investmentGain = ledger.invest.value - ledger.invest.contributed;
+  const investmentTax = ledger.invest.tax;
+  const postTaxInvestmentGain = ledger.invest.gain;
+  const reinvestedSavingsGain = ledger.prepay.gain;
+
+  // What each strategy is worth at the horizon over the cash it started
+  // with; the prepayment charges came out of the prepaying side's ledger
+  const netBenefitInvesting = ledger.invest.wealth - totalInvested;
+  const netBenefitPrepaying = ledger.prepay.wealth - totalInvested;
+
+  // --- Final Decision ---
+  const betterOption =
+    netBenefitInvesting > netBenefitPrepaying ? "Invest" : "Prepay";
+  const effectiveLoanRate = r * (1 - slab);
+
+  // --- Graph Data ---
+  // Each strategy's investments less what it still owes, and each loan's
+  // balance and repayments, at the end of every loan year
+  const graphData = [];
+  const maxYears = Math.ceil(
+    Math.max(originalAmortization.length, prepaidAmortization.length) / 12
+  );
+  const balanceAt = (schedule, month) =>
+    month <= schedule.length ? schedule[month - 1].endingBalance : 0;
+  const yearTotals = (schedule, year) =>
+    schedule.slice((year - 1) * 12, year * 12).reduce(
+      (acc, row) => ({
+        interest: acc.interest + row.interest,
+        principal: acc.principal + row.principal + row.prepayment,
+      }),
+      { interest: 0, principal: 0 }
+    );
+  for (let year = 1; year <= maxYears; year++) {
+    const month = Math.min(year * 12, horizonMonths);
+    const originalBalance = balanceAt(originalAmortization, year * 12);
+    const prepaidBalance = balanceAt(prepaidAmortization, year * 12);
+    const original = yearTotals(originalAmortization, year);
+    const prepaid = yearTotals(prepaidAmortization, year);
+    graphData.push({
+      year,
+      // The calendar year the loan year's last EMI falls in
+      calendarYear: emiDate(dates.firstEmiDate, year * 12).getFullYear(),
+      "Net Worth (Invest)": Math.round(
+        ledger.invest.values[month] - originalBalance
+      ),
+      "Net Worth (Prepay)": Math.round(
+        ledger.prepay.values[month] - prepaidBalance
+      ),
+      "Balance (Original)": Math.round(originalBalance),
+      "Balance (Prepaid)": Math.round(prepaidBalance),
+      "Interest (Original)": Math.round(original.interest),
+      "Principal (Original)": Math.round(original.principal),
+      "Interest (Prepaid)": Math.round(prepaid.interest),
+      "Principal (Prepaid)": Math.round(prepaid.principal),
+    });
+  }
+
+  return {
+    originalEmi,
+    newEmi,
+    interestSaved,
+    investmentGain,
+    postTaxInvestmentGain,
+    originalLoanTaxBenefit,
+    prepaidLoanTaxBenefit,
+    originalYearlyTaxBenefits,
+    prepaidYearlyTaxBenefits,
+    borrowerTaxBenefits,
+    netBenefitInvesting,
+    netBenefitPrepaying,
+    betterOption,
+    originalTenureMonths: originalAmortization.length,
+    newTenureMonths,
+    originalFinalEmi: lastEmi(originalAmortization),
+    newFinalEmi: lastEmi(prepaidAmortization),
+    rateResetYears: rateChanges
+      .filter((change) => change.month >= 1 && change.rate > 0)
+      .map((change) => Math.ceil(change.month / 12)),
+    effectiveLoanRate,
+    graphData,
+    originalAmortization,
+    prepaidAmortization,
+    totalPrepaid,
+    totalEmiRaised,
+    prepaymentCharges: chargedPrepayments,
+    totalPrepaymentCharges,
+    investmentOutflows: outflows,
+    horizonMonths,
+    investmentTax,
+    reinvestedSavingsGain,
+    ledger,
+    taxSlab,
+    investmentType,
+    startFinancialYear,
+  };
+};
@@ -0,0 +1,229 @@
+import { analyzeScenario, DEFAULT_INPUTS } from "./analyzeScenario";
+import { investmentValueAt } from "./investment";
+import { refundFlows } from "./ledger";
+
+describe("investmentValueAt", () => {
+  test("compounds each contribution from the month it was made", () => {
+    const outflows = [
+      { month: 0, amount: 100000 },
+      { month: 12, amount: 100000 },
+    ];
+    expect(investmentValueAt(outflows, 10, 24)).toBeCloseTo(231000);
+    expect(investmentValueAt(outflows, 10, 6)).toBeCloseTo(
+      100000 * Math.pow(1.1, 0.5)
+    );
+  });
+});
+
+describe("analyzeScenario", () => {
+  test("reproduces the default lump-sum comparison", () => {
+    const results = analyzeScenario();
+    expect(results.originalEmi).toBeCloseTo(44986.3, 1);
+    expect(results.originalTenureMonths).toBe(240);
+    expect(results.newTenureMonths).toBe(186);
+    // ₹5L and every year's tax refund compounded at 12% until year 20
+    expect(results.investmentGain).toBeCloseTo(
+      investmentValueAt(
+        [
+          { month: 0, amount: 500000 },
+          ...refundFlows(results.originalYearlyTaxBenefits, 240),
+        ],
+        12,
+        240
+      ) -
+        500000 -
+        results.originalLoanTaxBenefit,
+      0
+    );
+    expect(results.betterOption).toBe("Invest");
+    expect(results.netBenefitInvesting).toBeCloseTo(
+      results.postTaxInvestmentGain + results.originalLoanTaxBenefit
+    );
+    // The EMIs freed after month 186 are reinvested too
+    expect(results.reinvestedSavingsGain).toBeGreaterThan(0);
+    expect(results.netBenefitPrepaying).toBeCloseTo(
+      results.interestSaved +
+        results.prepaidLoanTaxBenefit +
+        results.reinvestedSavingsGain
+    );
+  });
+
+  test("charts each strategy's net worth and each loan's repayments", () => {
+    const results = analyzeScenario({ firstEmiDate: new Date(2026, 3, 1) });
+    const [first] = results.graphData;
+    expect(results.graphData).toHaveLength(20);
+    // Year 1 ends with the EMI of March 2027
+    expect(first.calendarYear).toBe(2027);
+    expect(first["Net Worth (Invest)"]).toBe(
+      Math.round(
+        results.ledger.invest.values[12] -
+          results.originalAmortization[11].endingBalance
+      )
+    );
+    expect(first["Balance (Prepaid)"]).toBe(
+      Math.round(results.prepaidAmortization[11].endingBalance)
+    );
+    // A year's interest and principal add up to its EMIs
+    expect(
+      first["Interest (Original)"] + first["Principal (Original)"]
+    ).toBeCloseTo(12 * results.originalEmi, -1);
+    // The prepaid loan is repaid in year 16
+    expect(results.graphData[16]["Balance (Prepaid)"]).toBe(0);
+    expect(results.graphData[16]["Interest (Prepaid)"]).toBe(0);
+  });
+
+  test("fills missing inputs from the defaults", () => {
+    expect(analyzeScenario({ interestRate: 9 }).originalEmi).toBeCloseTo(
+      analyzeScenario(DEFAULT_INPUTS).originalEmi
+    );
+  });
+
+  test("dates a loan without a first EMI from the given day", () => {
+    // The first EMI is April 2027's, in FY 2027-28
+    const results = analyzeScenario({}, new Date(2027, 2, 15));
+    expect(results.startFinancialYear).toBe(2027);
+    expect(results.graphData[0].calendarYear).toBe(2028);
+    expect(analyzeScenario({}, new Date(2026, 9, 18)).startFinancialYear).toBe(
+      2026
+    );
+    expect(DEFAULT_INPUTS.startFinancialYear).toBeNull();
+  });
+
+  test("rounds a tenure that isn't whole months", () => {
+    [15.3, 20.1, 7.7].forEach((tenureYears) => {
+      const results = analyzeScenario({
+        tenureYears,
+        prepaymentPlan: [
+          { frequency: "monthly", amount: 1000, startMonth: 1, endMonth: 0 },
+        ],
+      });
+      expect(results.originalTenureMonths).toBe(Math.round(tenureYears * 12));
+      expect(results.horizonMonths).toBe(Math.round(tenureYears * 12));
+    });
+  });
+
+  test("prefers prepaying when investments return less than the loan costs", () => {
+    const results = analyzeScenario({
+      investmentReturn: 6,
+      investmentType: "fd",
+      taxRegime: "new",
+    });
+    expect(results.betterOption).toBe("Prepay");
+    expect(results.originalLoanTaxBenefit).toBe(0);
+  });
+
+  test("invests every planned prepayment as a matching SIP", () => {
+    const results = analyzeScenario({
+      prepaymentPlan: [
+        { frequency: "yearly", amount: 100000, startMonth: 12, stepUp: 0 },
+      ],
+    });
+    const lumpSumOnly = analyzeScenario();
+    expect(results.totalPrepaid).toBeGreaterThan(0);
+    expect(results.newTenureMonths).toBeLessThan(lumpSumOnly.newTenureMonths);
+    expect(results.interestSaved).toBeGreaterThan(lumpSumOnly.interestSaved);
+    expect(results.investmentGain).toBeGreaterThan(lumpSumOnly.investmentGain);
+  });
+
+  test("stops at the longest tenure when the imported EMI can't keep up", () => {
+    const { originalAmortization } = analyzeScenario();
+    const results = analyzeScenario({
+      importedSchedule: originalAmortization,
+      interestRate: 14,
+    });
+    expect(results.newTenureMonths).toBe(360);
+  });
+
+  test("has no prepaid schedule when the extra cash clears the loan", () => {
+    const results = analyzeScenario({ extraCash: 6000000 });
+    expect(results.prepaidAmortization).toEqual([]);
+    expect(results.newEmi).toBe(0);
+    expect(results.prepaidLoanTaxBenefit).toBe(0);
+  });
+
+  test("compares over the stretched tenure after a rate hike", () => {
+    const results = analyzeScenario({
+      rateChanges: [{ month: 13, rate: 10 }],
+      rateResetMode: "keepEmi",
+    });
+    expect(results.originalTenureMonths).toBeGreaterThan(240);
+    expect(results.rateResetYears).toEqual([2]);
+  });
+
+  test("adds up the tax benefits of every borrower", () => {
+    const single = analyzeScenario();
+    const joint = analyzeScenario({
+      coBorrowers: [{ share: 50, taxSlab: 30, used80C: 0 }],
+    });
+    expect(joint.borrowerTaxBenefits).toHaveLength(2);
+    expect(joint.borrowerTaxBenefits[0].share).toBe(50);
+    // Two 24(b) caps (and one spare 80C) instead of one
+    expect(joint.originalLoanTaxBenefit).toBeGreaterThan(
+      single.originalLoanTaxBenefit
+    );
+    expect(joint.originalLoanTaxBenefit).toBeCloseTo(
+      joint.borrowerTaxBenefits[0].original +
+        joint.borrowerTaxBenefits[1].original
+    );
+  });
+
+  test("deducts prepayment charges from the prepaying side", () => {
+    const free = analyzeScenario();
+    const charged = analyzeScenario({
+      prepaymentChargeRate: 2,
+      prepaymentChargeFlat: 1000,
+    });
+    // 2% of ₹5L plus the fee, on today's prepayment
+    expect(charged.totalPrepaymentCharges).toBeCloseTo(11000);
+    // Paid today, the charges also lose what they'd have grown to
+    expect(charged.netBenefitPrepaying).toBeLessThan(
+      free.netBenefitPrepaying - 11000
+    );
+    expect(charged.ledger.rows[0].prepay.charges).toBeCloseTo(11000);
+    expect(charged.ledger.prepay.values[0]).toBeCloseTo(-11000);
+    expect(charged.netBenefitInvesting).toBeCloseTo(free.netBenefitInvesting);
+  });
+
+  test("charges only what is prepaid when the cash clears the loan", () => {
+    const { totalPrepaymentCharges } = analyzeScenario({
+      loanAmount: 400000,
+      prepaymentChargeRate: 2,
+    });
+    expect(totalPrepaymentCharges).toBeCloseTo(8000);
+  });
+
+  test("dates prepayments and accrues interest daily", () => {
+    const firstEmiDate = new Date(2027, 0, 1);
+    const onDate = (date) =>
+      analyzeScenario({
+        firstEmiDate,
+        dayCount: "actual/365",
+        prepaymentPlan: [{ id: 1, frequency: "once", amount: 200000, date }],
+      });
+    const early = onDate("2027-03-02");
+    const late = onDate("2027-03-28");
+    expect(early.prepaidAmortization[2].prepayment).toBe(200000);
+    expect(late.prepaidAmortization[2].prepayment).toBe(200000);
+    // 26 more days of interest on the prepaid amount
+    expect(early.interestSaved - late.interestSaved).toBeGreaterThan(
+      (200000 * 0.09 * 26) / 365 - 1
+    );
+  });
+
+  test("continues the loan on an imported schedule", () => {
+    const computed = analyzeScenario();
+    // The lender's schedule: the same loan with ₹100 more interest a month
+    const importedSchedule = computed.originalAmortization.map((row) => ({
+      ...row,
+      interest: row.interest + 100,
+      totalPayment: row.totalPayment + 100,
+    }));
+    const results = analyzeScenario({ importedSchedule });
+    expect(results.originalAmortization).toBe(importedSchedule);
+    expect(results.originalEmi).toBeCloseTo(computed.originalEmi + 100);
+    // Prepaying is still computed, so it also saves the lender's extra interest
+    expect(results.interestSaved).toBeGreaterThan(
+      computed.interestSaved + 24000
+    );
+  });
+});
@@ -0,0 +1,38 @@
+// Charges lenders levy on prepayments: a percentage of the amount and/or a
+// flat fee, waived after a lock-in period and up to a yearly free allowance.
+
+/**
+ * Charge on each prepayment ({ month, amount }; month 0 is today) under
+ * `rules`: { rate (% of the amount), flatFee (₹ per charged prepayment),
+ * freeAfterMonths (0 = never waived), annualFreeLimit (₹ free per loan
+ * year), emisPaid (EMIs already paid) }. The lock-in and loan years count
+ * from the first EMI, so `emisPaid` moves today along them.
+ * Returns [{ month, amount, charge }].
+ */
+export const prepaymentCharges = (
+  prepayments,
+  {
+    rate = 0,
+    flatFee = 0,
+    freeAfterMonths = 0,
+    annualFreeLimit = 0,
+    emisPaid = 0,
+  }
+) => {
+  const usedAllowance = {}; // by loan year; a new loan's today is in year 1
+  return prepayments.map(({ month, amount }) => {
+    const loanMonth = month + emisPaid;
+    if (amount <= 0 || (freeAfterMonths > 0 && loanMonth >= freeAfterMonths))
+      return { month, amount, charge: 0 };
+    const year = Math.max(1, Math.ceil(loanMonth / 12));
+    const used = usedAllowance[year] || 0;
+    const free = Math.min(amount, Math.max(0, annualFreeLimit - used));
+    usedAllowance[year] = used + free;
+    const charged = amount - free;
+    return {
+      month,
+      amount,
+      charge: charged > 0 ? (charged * rate) / 100 + flatFee : 0,
+    };
+  });
+};
@@ -0,0 +1,73 @@
+import { prepaymentCharges } from "./charges";
+
+const charges = (prepayments, rules) =>
+  prepaymentCharges(prepayments, rules).map((entry) => entry.charge);
+
+describe("prepaymentCharges", () => {
+  test("charges a percentage plus a flat fee per prepayment", () => {
+    expect(
+      charges(
+        [
+          { month: 0, amount: 500000 },
+          { month: 12, amount: 100000 },
+        ],
+        { rate: 2, flatFee: 1000 }
+      )
+    ).toEqual([11000, 3000]);
+  });
+
+  test("waives charges from the free-after month", () => {
+    expect(
+      charges(
+        [
+          { month: 11, amount: 100000 },
+          { month: 12, amount: 100000 },
+        ],
+        { rate: 3, freeAfterMonths: 12 }
+      )
+    ).toEqual([3000, 0]);
+  });
+
+  test("counts the lock-in and loan years from the first EMI", () => {
+    // 30 EMIs paid: the lock-in ends 6 months from today, and months 0-6
+    // fall in loan year 3
+    expect(
+      charges(
+        [
+          { month: 5, amount: 100000 },
+          { month: 6, amount: 100000 },
+        ],
+        { rate: 3, freeAfterMonths: 36, emisPaid: 30 }
+      )
+    ).toEqual([3000, 0]);
+    expect(
+      charges(
+        [
+          { month: 0, amount: 150000 },
+          { month: 6, amount: 100000 },
+          { month: 7, amount: 100000 },
+        ],
+        { rate: 2, annualFreeLimit: 200000, emisPaid: 30 }
+      )
+    ).toEqual([0, 1000, 0]);
+  });
+
+  test("lets a yearly allowance through free of charge", () => {
+    // ₹2L free in each loan year; today's prepayment falls in year 1
+    expect(
+      charges(
+        [
+          { month: 0, amount: 150000 },
+          { month: 6, amount: 100000 },
+          { month: 12, amount: 100000 },
+          { month: 13, amount: 100000 },
+        ],
+        { rate: 2, flatFee: 500, annualFreeLimit: 200000 }
+      )
+    ).toEqual([0, 1500, 2500, 0]);
+  });
+
+  test("is free without rules", () => {
+    expect(charges([{ month: 0, amount: 500000 }], {})).toEqual([0]);
+  });
+});
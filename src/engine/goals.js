@@ -0,0 +1,153 @@
+// Working back from a goal (debt-free by a date, or no more than so much
+// interest in total) to the prepayment that reaches it, and what the same
+// money would make invested instead.
+
+import { totalInterest } from "./amortization";
+import { analyzeScenario, mergeInputs } from "./analyzeScenario";
+import { totalContributed } from "./investment";
+import { parseMonth } from "./loanDetails";
+import { defaultFirstEmiDate } from "./schedule";
+
+// Ways of paying the loan off faster, each solved for on its own
+export const GOAL_LEVERS = {
+  lumpSum: "Lump Sum Today",
+  monthlyExtra: "Extra Every Month",
+  emiStepUp: "Yearly EMI Step-up",
+};
+
+export const GOAL_TYPES = {
+  payoffDate: "Debt-Free By",
+  totalInterest: "Total Interest At Most",
+};
+
+/**
+ * EMI of the month a `goalPayoffDate` ('YYYY-MM') falls in, counting the
+ * next EMI (`firstEmiDate`) as month 1; null when it isn't a month.
+ */
+export const goalMonth = (goalPayoffDate, firstEmiDate) => {
+  const target = parseMonth(goalPayoffDate);
+  if (!target) return null;
+  return (
+    (target.getFullYear() - firstEmiDate.getFullYear()) * 12 +
+    target.getMonth() -
+    firstEmiDate.getMonth() +
+    1
+  );
+};
+
+/**
+ * The scenario that pays `amount` of a lever instead of the extra cash,
+ * planned prepayments and EMI step-ups, so the loan ends sooner.
+ * 'emiStepUp' raises the EMI by `amount`% from the start of every loan year
+ * after the first.
+ */
+export const goalScenario = (inputs, lever, amount) => {
+  const scenario = {
+    ...inputs,
+    extraCash: 0,
+    prepaymentPlan: [],
+    emiStepUps: [],
+    prepaymentMethod: "reduceTenure",
+  };
+  if (lever === "lumpSum") return { ...scenario, extraCash: amount };
+  if (lever === "monthlyExtra")
+    return {
+      ...scenario,
+      prepaymentPlan: [
+        {
+          id: 1,
+          frequency: "monthly",
+          amount,
+          startMonth: 1,
+          endMonth: 0,
+          stepUp: 0,
+        },
+      ],
+    };
+  // 'emiStepUp'
+  return {
+    ...scenario,
+    emiStepUps: [
+      {
+        id: 1,
+        frequency: "yearly",
+        startMonth: 13,
+        percent: amount,
+        amount: 0,
+      },
+    ],
+  };
+};
+
+/**
+ * Solves the goal in `inputs` (see analyzeScenario): `goalType`
+ * 'payoffDate' (the last EMI due by `goalPayoffDate`, 'YYYY-MM') or
+ * 'totalInterest' (no more than `goalTotalInterest` ₹ of interest from
+ * here on). For each of GOAL_LEVERS it finds, by bisection on the
+ * analysis, the smallest lump sum, monthly extra payment (to ₹100) or
+ * yearly EMI step-up (to 0.01%) that meets it.
+ *
+ * Returns { baseline: { emi, tenureMonths, totalInterest }, targetMonths,
+ * solutions: [{ lever, amount, tenureMonths, totalInterest, totalPaid,
+ * netBenefitPrepaying, netBenefitInvesting, postTaxInvestmentGain }] },
+ * where `amount` is 0 when the loan already meets the goal and null (with
+ * no figures) when no amount of the lever does. Net benefits are
+ * analyzeScenario's: prepaying with the lever's payments against
+ * investing the same payments.
+ */
+export const solveGoal = (inputs = {}, today = new Date()) => {
+  const merged = mergeInputs(inputs, today);
+  const base = analyzeScenario(goalScenario(merged, "lumpSum", 0), today);
+  const first = base.originalAmortization[0];
+  const principal = first ? first.endingBalance + first.principal : 0;
+  const targetMonths =
+    merged.goalType === "payoffDate"
+      ? goalMonth(
+          merged.goalPayoffDate,
+          merged.firstEmiDate || defaultFirstEmiDate(today)
+        )
+      : null;
+  const meets = (results) =>
+    merged.goalType === "payoffDate"
+      ? results.newTenureMonths <= targetMonths
+      : totalInterest(results.prepaidAmortization) <=
+        parseFloat(merged.goalTotalInterest);
+
+  const figures = (results) => ({
+    tenureMonths: results.newTenureMonths,
+    totalInterest: totalInterest(results.prepaidAmortization),
+    totalPaid: totalContributed(results.investmentOutflows),
+    netBenefitPrepaying: results.netBenefitPrepaying,
+    netBenefitInvesting: results.netBenefitInvesting,
+    postTaxInvestmentGain: results.postTaxInvestmentGain,
+  });
+
+  const solutions = Object.keys(GOAL_LEVERS).map((lever) => {
+    if (meets(base)) return { lever, amount: 0, ...figures(base) };
+    const analyze = (amount) =>
+      analyzeScenario(goalScenario(merged, lever, amount), today);
+    const tolerance = lever === "emiStepUp" ? 0.01 : 100;
+    let low = 0;
+    let high = lever === "emiStepUp" ? 100 : principal;
+    if (!meets(analyze(high))) return { lever, amount: null };
+    // More of any lever only ends the loan sooner
+    while (high - low > tolerance) {
+      const mid = (low + high) / 2;
+      if (meets(analyze(mid))) high = mid;
+      else low = mid;
+    }
+    // Rounded up, so the amount shown still meets the goal
+    const amount = Number((Math.ceil(high / tolerance) * tolerance).toFixed(2));
+    return { lever, amount, ...figures(analyze(amount)) };
+  });
+
+  return {
+    baseline: {
+      emi: base.originalEmi,
+      tenureMonths: base.originalTenureMonths,
+      totalInterest: totalInterest(base.originalAmortization),
+    },
+    targetMonths,
+    solutions,
+  };
+};
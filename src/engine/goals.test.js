@@ -0,0 +1,97 @@
+import { totalInterest } from "./amortization";
+import { analyzeScenario } from "./analyzeScenario";
+import { goalMonth, goalScenario, solveGoal } from "./goals";
+
+const loan = {
+  firstEmiDate: new Date(2026, 10, 1),
+  startFinancialYear: 2026,
+};
+const byDate = (goalPayoffDate) =>
+  solveGoal({ ...loan, goalType: "payoffDate", goalPayoffDate });
+const lever = (goal, key) =>
+  goal.solutions.find((solution) => solution.lever === key);
+
+describe("goalMonth", () => {
+  test("counts the next EMI as month 1", () => {
+    expect(goalMonth("2026-11", loan.firstEmiDate)).toBe(1);
+    expect(goalMonth("2036-10", loan.firstEmiDate)).toBe(120);
+    expect(goalMonth("2026-10", loan.firstEmiDate)).toBe(0);
+    expect(goalMonth("", loan.firstEmiDate)).toBeNull();
+  });
+});
+
+describe("goalScenario", () => {
+  test("raises the EMI every year from the second", () => {
+    const scenario = goalScenario(
+      { ...loan, prepaymentPlan: [{ id: 1, amount: 1000 }] },
+      "emiStepUp",
+      10
+    );
+    expect(scenario.extraCash).toBe(0);
+    expect(scenario.prepaymentPlan).toEqual([]);
+    expect(scenario.emiStepUps).toEqual([
+      { id: 1, frequency: "yearly", startMonth: 13, percent: 10, amount: 0 },
+    ]);
+  });
+});
+
+describe("solveGoal", () => {
+  const goal = byDate("2036-10");
+
+  test("finds the smallest payment of each lever for a payoff date", () => {
+    expect(goal.targetMonths).toBe(120);
+    expect(goal.baseline.tenureMonths).toBe(240);
+    goal.solutions.forEach((solution) => {
+      expect(solution.amount).toBeGreaterThan(0);
+      expect(solution.tenureMonths).toBeLessThanOrEqual(120);
+    });
+    // ₹100 less of the lump sum misses the date
+    const { amount } = lever(goal, "lumpSum");
+    const short = analyzeScenario(
+      goalScenario({ ...loan }, "lumpSum", amount - 100)
+    );
+    expect(short.newTenureMonths).toBeGreaterThan(120);
+  });
+
+  test("compares each lever with investing the same payments", () => {
+    const monthly = lever(goal, "monthlyExtra");
+    const results = analyzeScenario(
+      goalScenario(loan, "monthlyExtra", monthly.amount)
+    );
+    // The last one only clears what is left
+    expect(monthly.totalPaid).toBeLessThanOrEqual(120 * monthly.amount);
+    expect(monthly.totalPaid).toBeGreaterThan(119 * monthly.amount);
+    expect(monthly.netBenefitInvesting).toBeCloseTo(
+      results.netBenefitInvesting
+    );
+    expect(monthly.netBenefitPrepaying).toBeCloseTo(
+      results.netBenefitPrepaying
+    );
+  });
+
+  test("needs nothing for a goal the loan already meets", () => {
+    expect(byDate("2050-01").solutions.map((s) => s.amount)).toEqual([0, 0, 0]);
+  });
+
+  test("reports the levers that can't reach the goal", () => {
+    // A step-up only starts in year 2
+    const soon = byDate("2027-06");
+    expect(lever(soon, "emiStepUp").amount).toBeNull();
+    expect(lever(soon, "lumpSum").tenureMonths).toBeLessThanOrEqual(8);
+  });
+
+  test("meets a total interest budget", () => {
+    const budget = solveGoal({
+      ...loan,
+      goalType: "totalInterest",
+      goalTotalInterest: 3000000,
+    });
+    budget.solutions.forEach((solution) => {
+      expect(solution.totalInterest).toBeLessThanOrEqual(3000000);
+      expect(solution.totalInterest).toBeGreaterThan(2900000);
+    });
+    expect(budget.baseline.totalInterest).toBeCloseTo(
+      totalInterest(analyzeScenario(loan).originalAmortization)
+    );
+  });
+});
@@ -0,0 +1,8 @@
+// Solves the payoff goals off the main thread, answering each `id` like the
+// Monte Carlo worker.
+import { solveGoal } from "./goals";
+
+globalThis.onmessage = (event) => {
+  const { id, params } = event.data;
+  globalThis.postMessage({ id, result: solveGoal(params) });
+};
@@ -0,0 +1,22 @@
+// Pure calculation engine behind the advisor UI. Import from here in
+// scripts and other screens: no React, no DOM.
+export * from "./amortization";
+export * from "./charges";
+export * from "./schedule";
+export * from "./loanDetails";
+export * from "./investment";
+export * from "./tax";
+export * from "./taxRules";
+export * from "./analyzeScenario";
+export * from "./monteCarlo";
+export * from "./optimizer";
+export * from "./sensitivity";
+export * from "./valuation";
+export * from "./portfolio";
+export * from "./refinance";
+export * from "./reconcile";
+export * from "./overdraft";
+export * from "./ledger";
+export * from "./validation";
+export * from "./goals";
+export * from "./stepUp";
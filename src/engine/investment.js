@@ -0,0 +1,20 @@
+// Growth of lump sums and SIP-style contributions at a fixed annual return.
+
+/**
+ * Value at `month` of a list of contributions ({ month, amount }), each
+ * compounded annually at `annualReturn`% from the month it was invested.
+ * Contributions after `month` are ignored.
+ */
+export const investmentValueAt = (outflows, annualReturn, month) =>
+  outflows
+    .filter((flow) => flow.month <= month)
+    .reduce(
+      (acc, flow) =>
+        acc +
+        flow.amount *
+          Math.pow(1 + annualReturn / 100, (month - flow.month) / 12),
+      0
+    );
+
+export const totalContributed = (outflows) =>
+  outflows.reduce((acc, flow) => acc + flow.amount, 0);
@@ -0,0 +1,145 @@
+// Month-by-month cash flows of both strategies over the same horizon. Each
+// month both have the same money to spend: the original loan's payment
+// plus any cash planned for that month. Whatever a strategy doesn't pay
+// into the loan, and every tax refund, is invested at the chosen return,
+// so what each is worth at the horizon can be compared directly.
+
+import { monthlyLoanPayments } from "./amortization";
+import { totalContributed } from "./investment";
+import { calculateInvestmentTax } from "./tax";
+
+/**
+ * Yearly tax refunds ({ month, amount }) received at the end of each loan
+ * year, the last one no later than `horizonMonths`.
+ */
+export const refundFlows = (yearlyBenefits, horizonMonths) =>
+  yearlyBenefits
+    .map((amount, year) => ({
+      month: Math.min((year + 1) * 12, horizonMonths),
+      amount,
+    }))
+    .filter((flow) => flow.amount !== 0);
+
+/**
+ * A pot of `contributions` ({ month, amount }; negative amounts are taken
+ * out) invested at `annualReturn`% until `horizonMonths` and redeemed then
+ * (see calculateInvestmentTax for the rest of the options).
+ *
+ * Returns { contributions (one per month), values (by month, 0..horizon),
+ * contributed, value, tax, gain (after tax), wealth (value after tax) }.
+ */
+export const investPot = (contributions, options) => {
+  const { annualReturn, horizonMonths } = options;
+  const byMonth = new Array(horizonMonths + 1).fill(0);
+  contributions.forEach((flow) => {
+    if (flow.month <= horizonMonths) byMonth[flow.month] += flow.amount;
+  });
+  const merged = [];
+  byMonth.forEach((amount, month) => {
+    if (amount !== 0) merged.push({ month, amount });
+  });
+  // Same monthly compounding as investmentValueAt, one month at a time
+  const growth = Math.pow(1 + annualReturn / 100, 1 / 12);
+  const values = [];
+  byMonth.forEach((amount, month) => {
+    values.push((month > 0 ? values[month - 1] * growth : 0) + amount);
+  });
+  const contributed = totalContributed(merged);
+  const value = values[horizonMonths];
+  const tax = calculateInvestmentTax(merged, options);
+  return {
+    contributions: merged,
+    values,
+    contributed,
+    value,
+    tax,
+    gain: value - contributed - tax,
+    wealth: value - tax,
+  };
+};
+
+/**
+ * Ledger of both strategies for months 0..`horizonMonths`.
+ *
+ * Investing: the original loan is paid, and the extra cash, each planned
+ * prepayment and EMI raise (`outflows`) and the original loan's tax refunds
+ * are invested. Prepaying: the cash goes into the loan; every month the
+ * prepaid loan takes less than the original's EMI and that month's planned
+ * cash (all of it once the loan is repaid) the difference is invested, as
+ * are its tax refunds and any cash beyond the loan. Prepayment charges are
+ * paid on top, taken out of its investments in the month they fall due.
+ *
+ * `investment` holds calculateInvestmentTax's options besides the
+ * horizon. Returns { rows: [{ month, invest: { loanPayment, invested,
+ * taxRefund, value }, prepay: { loanPayment, invested, taxRefund, charges,
+ * value } }], invest, prepay, baseline } with the investPot of each
+ * strategy and of the original loan's refunds alone.
+ */
+export const buildCashFlowLedger = ({
+  originalAmortization,
+  prepaidAmortization,
+  outflows,
+  originalYearlyTaxBenefits,
+  prepaidYearlyTaxBenefits,
+  prepaymentCharges = [],
+  unusedCash = 0,
+  horizonMonths,
+  investment,
+}) => {
+  const options = { ...investment, horizonMonths };
+  const originalPayments = monthlyLoanPayments(originalAmortization);
+  const prepaidPayments = monthlyLoanPayments(prepaidAmortization);
+  const originalRefunds = refundFlows(originalYearlyTaxBenefits, horizonMonths);
+  const prepaidRefunds = refundFlows(prepaidYearlyTaxBenefits, horizonMonths);
+
+  // Planned prepayments and EMI raises are paid from the planned cash, not
+  // the EMI budget
+  const planned = new Array(horizonMonths + 1).fill(0);
+  outflows.forEach((flow) => {
+    if (flow.month <= horizonMonths) planned[flow.month] += flow.amount;
+  });
+  const freed = [{ month: 0, amount: unusedCash }];
+  for (let month = 1; month <= horizonMonths; month++) {
+    const paid = (prepaidPayments[month - 1] || 0) - planned[month];
+    freed.push({ month, amount: (originalPayments[month - 1] || 0) - paid });
+  }
+
+  const charged = prepaymentCharges
+    .filter((prepayment) => prepayment.charge > 0)
+    .map((prepayment) => ({
+      month: prepayment.month,
+      amount: -prepayment.charge,
+    }));
+
+  const invest = investPot([...outflows, ...originalRefunds], options);
+  const prepay = investPot([...freed, ...prepaidRefunds, ...charged], options);
+  const baseline = investPot(originalRefunds, options);
+
+  const inMonth = (flows, month) =>
+    flows
+      .filter((flow) => flow.month === month)
+      .reduce((acc, flow) => acc + flow.amount, 0);
+  const rows = [];
+  for (let month = 0; month <= horizonMonths; month++) {
+    rows.push({
+      month,
+      invest: {
+        loanPayment: originalPayments[month - 1] || 0,
+        invested: inMonth(outflows, month),
+        taxRefund: inMonth(originalRefunds, month),
+        value: invest.values[month],
+      },
+      prepay: {
+        loanPayment:
+          month === 0
+            ? inMonth(outflows, 0) - unusedCash
+            : prepaidPayments[month - 1] || 0,
+        invested: freed[month].amount,
+        taxRefund: inMonth(prepaidRefunds, month),
+        charges: -inMonth(charged, month),
+        value: prepay.values[month],
+      },
+    });
+  }
+  return { rows, invest, prepay, baseline };
+};
@@ -0,0 +1,100 @@
+import { analyzeScenario } from "./analyzeScenario";
+import { investPot, refundFlows } from "./ledger";
+
+const potOptions = {
+  annualReturn: 12,
+  horizonMonths: 24,
+  investmentType: "equity",
+  taxRegime: "old",
+  annualIncome: 0,
+  startFinancialYear: 2025,
+};
+
+describe("refundFlows", () => {
+  test("lands each refund at the end of its year, none after the horizon", () => {
+    expect(refundFlows([100, 0, 300], 30)).toEqual([
+      { month: 12, amount: 100 },
+      { month: 30, amount: 300 },
+    ]);
+  });
+});
+
+describe("investPot", () => {
+  test("grows contributions month by month and taxes them at redemption", () => {
+    const pot = investPot(
+      [
+        { month: 0, amount: 100000 },
+        { month: 0, amount: 50000 },
+        { month: 12, amount: 100000 },
+      ],
+      potOptions
+    );
+    expect(pot.contributions).toEqual([
+      { month: 0, amount: 150000 },
+      { month: 12, amount: 100000 },
+    ]);
+    expect(pot.values[12]).toBeCloseTo(150000 * 1.12 + 100000);
+    expect(pot.value).toBeCloseTo(150000 * 1.12 * 1.12 + 112000);
+    expect(pot.wealth).toBeCloseTo(pot.value - pot.tax);
+    expect(pot.gain).toBeCloseTo(pot.wealth - 250000);
+  });
+});
+
+describe("buildCashFlowLedger", () => {
+  test("without returns the net benefits are the interest and tax saved", () => {
+    const results = analyzeScenario({
+      investmentReturn: 0,
+      prepaymentChargeRate: 1,
+    });
+    expect(results.netBenefitInvesting).toBeCloseTo(
+      results.originalLoanTaxBenefit,
+      2
+    );
+    expect(results.netBenefitPrepaying).toBeCloseTo(
+      results.interestSaved +
+        results.prepaidLoanTaxBenefit -
+        results.totalPrepaymentCharges,
+      2
+    );
+  });
+
+  test("reducing the EMI frees the difference every month", () => {
+    const results = analyzeScenario({ prepaymentMethod: "reduceEmi" });
+    const { rows } = results.ledger;
+    expect(rows[0].prepay.loanPayment).toBe(500000);
+    expect(rows[0].prepay.invested).toBe(0);
+    [1, 100, 240].forEach((month) =>
+      expect(rows[month].prepay.invested).toBeCloseTo(
+        results.originalEmi - results.newEmi,
+        2
+      )
+    );
+  });
+
+  test("reducing the tenure frees the whole EMI once the loan is repaid", () => {
+    const results = analyzeScenario();
+    const { rows } = results.ledger;
+    expect(rows[1].prepay.invested).toBeCloseTo(0, 2);
+    expect(rows[200].prepay.loanPayment).toBe(0);
+    expect(rows[200].prepay.invested).toBeCloseTo(results.originalEmi, 2);
+  });
+
+  test("tax refunds are reinvested at the end of each loan year", () => {
+    const results = analyzeScenario();
+    const { rows } = results.ledger;
+    expect(rows[12].invest.taxRefund).toBeCloseTo(
+      results.originalYearlyTaxBenefits[0]
+    );
+    expect(rows[12].prepay.taxRefund).toBeCloseTo(
+      results.prepaidYearlyTaxBenefits[0]
+    );
+    expect(rows[11].invest.taxRefund).toBe(0);
+    expect(rows[240].invest.value).toBeCloseTo(results.ledger.invest.value);
+  });
+
+  test("cash beyond the loan is invested by the prepaying side too", () => {
+    const results = analyzeScenario({ loanAmount: 400000, tenureYears: 5 });
+    expect(results.ledger.rows[0].prepay.loanPayment).toBe(400000);
+    expect(results.ledger.rows[0].prepay.invested).toBe(100000);
+  });
+});
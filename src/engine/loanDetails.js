@@ -0,0 +1,118 @@
+// The loan as it stands today: either entered as its remaining balance and
+// tenure, or derived from what was sanctioned and how much has been repaid.
+import {
+  calculateEMI,
+  calculateNewTenure,
+  generateFullAmortization,
+} from "./amortization";
+import { DEFAULT_INPUTS } from "./analyzeScenario";
+import { defaultFirstEmiDate, emiDate } from "./schedule";
+import { financialYearOf } from "./taxRules";
+
+// 1st of the month in a 'YYYY-MM' string, or null when it isn't one
+export const parseMonth = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || "");
+  if (!match || match[2] < "01" || match[2] > "12") return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+};
+
+/**
+ * Resolves the loan to analyze from `inputs`. Returns { inputs, details }:
+ * the inputs with `loanAmount`, `tenureYears` and `emisPaid` set to what is
+ * left and paid, a `firstEmiDate` for the next EMI and the
+ * `startFinancialYear` it falls in, so schedules get real dates and tax
+ * years follow April-March.
+ *
+ * 'remaining': the entered balance, with the next EMI due next month.
+ *
+ * 'sanction': the balance after `emisPaid` EMIs of the original schedule,
+ * or the statement outstanding when given (the EMI is kept and the tenure
+ * is what it takes to repay that). EMIs start the month after disbursement;
+ * without a disbursement date the last one paid is this month's.
+ *
+ * Details: { emi, emisPaid, outstanding, principalRepaid, remainingMonths,
+ * nextEmiDate, lastEmiDate, fromStatement }.
+ */
+export const resolveLoan = (inputs = {}, today = new Date()) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  const r = parseFloat(merged.interestRate);
+
+  if (merged.loanDetailsMode !== "sanction") {
+    const outstanding = parseFloat(merged.loanAmount);
+    const remainingMonths = Math.round(parseFloat(merged.tenureYears) * 12);
+    const nextEmiDate = defaultFirstEmiDate(today);
+    return {
+      inputs: {
+        ...merged,
+        tenureYears: remainingMonths / 12,
+        emisPaid: 0,
+        firstEmiDate: nextEmiDate,
+        startFinancialYear: financialYearOf(nextEmiDate),
+      },
+      details: {
+        emi: calculateEMI(outstanding, r, remainingMonths),
+        emisPaid: 0,
+        outstanding,
+        principalRepaid: 0,
+        remainingMonths,
+        nextEmiDate,
+        lastEmiDate: emiDate(nextEmiDate, remainingMonths),
+        fromStatement: false,
+      },
+    };
+  }
+
+  const sanction = parseFloat(merged.sanctionAmount);
+  const originalMonths = Math.round(
+    parseFloat(merged.originalTenureYears) * 12
+  );
+  // At least one EMI is always left to analyze
+  const emisPaid = Math.min(
+    Math.max(0, Math.round(parseFloat(merged.emisPaid) || 0)),
+    Math.max(0, originalMonths - 1)
+  );
+  const emi = calculateEMI(sanction, r, originalMonths);
+  const original = generateFullAmortization(sanction, r, originalMonths, emi);
+  const scheduled =
+    emisPaid > 0 && original[emisPaid - 1]
+      ? original[emisPaid - 1].endingBalance
+      : sanction;
+
+  const statement = parseFloat(merged.statementOutstanding) || 0;
+  const fromStatement = statement > 0;
+  const outstanding = fromStatement ? statement : scheduled;
+  let remainingMonths = originalMonths - emisPaid;
+  if (fromStatement) {
+    const months = calculateNewTenure(outstanding, emi, r);
+    // An EMI that can't repay the statement balance keeps the original end.
+    // A part month is one more, smaller, EMI.
+    if (Number.isFinite(months) && months > 0)
+      remainingMonths = Math.ceil(months - 1e-9);
+  }
+
+  const disbursed = parseMonth(merged.disbursementDate);
+  const nextEmiDate = disbursed
+    ? emiDate(disbursed, emisPaid + 2)
+    : defaultFirstEmiDate(today);
+
+  return {
+    inputs: {
+      ...merged,
+      loanAmount: outstanding,
+      tenureYears: remainingMonths / 12,
+      emisPaid,
+      firstEmiDate: nextEmiDate,
+      startFinancialYear: financialYearOf(nextEmiDate),
+    },
+    details: {
+      emi,
+      emisPaid,
+      outstanding,
+      principalRepaid: sanction - outstanding,
+      remainingMonths,
+      nextEmiDate,
+      lastEmiDate: emiDate(nextEmiDate, remainingMonths),
+      fromStatement,
+    },
+  };
+};
@@ -0,0 +1,108 @@
+import { calculateEMI, generateFullAmortization } from "./amortization";
+import { analyzeScenario, DEFAULT_INPUTS } from "./analyzeScenario";
+import { parseMonth, resolveLoan } from "./loanDetails";
+
+const today = new Date(2026, 9, 18);
+const sanctioned = {
+  loanDetailsMode: "sanction",
+  sanctionAmount: 6000000,
+  interestRate: 9,
+  originalTenureYears: 25,
+  disbursementDate: "2021-03",
+  emisPaid: 60,
+};
+
+describe("parseMonth", () => {
+  test("reads 'YYYY-MM' as the 1st of that month", () => {
+    expect(parseMonth("2021-03")).toEqual(new Date(2021, 2, 1));
+    expect(parseMonth("2021-13")).toBeNull();
+    expect(parseMonth("")).toBeNull();
+  });
+});
+
+describe("resolveLoan", () => {
+  test("keeps the remaining balance, due from next month", () => {
+    const { inputs, details } = resolveLoan(DEFAULT_INPUTS, today);
+    expect(inputs.loanAmount).toBe(DEFAULT_INPUTS.loanAmount);
+    expect(inputs.firstEmiDate).toEqual(new Date(2026, 10, 1));
+    expect(inputs.startFinancialYear).toBe(2026);
+    expect(details.lastEmiDate).toEqual(new Date(2046, 9, 1));
+  });
+
+  test("derives the outstanding and dates from the sanction", () => {
+    const { inputs, details } = resolveLoan(sanctioned, today);
+    const emi = calculateEMI(6000000, 9, 300);
+    const schedule = generateFullAmortization(6000000, 9, 300, emi);
+    expect(details.outstanding).toBeCloseTo(schedule[59].endingBalance, 2);
+    expect(details.emi).toBeCloseTo(emi, 6);
+    expect(inputs.loanAmount).toBe(details.outstanding);
+    expect(inputs.tenureYears * 12).toBe(240);
+    // First EMI in April 2021, so the 61st falls in April 2026
+    expect(inputs.firstEmiDate).toEqual(new Date(2026, 3, 1));
+    expect(inputs.startFinancialYear).toBe(2026);
+    expect(details.lastEmiDate).toEqual(new Date(2046, 2, 1));
+    // The remaining loan repays with the same EMI
+    expect(analyzeScenario(inputs).originalEmi).toBeCloseTo(emi, 2);
+  });
+
+  test("counts a lock-in from the first EMI, not from today", () => {
+    const charged = {
+      ...sanctioned,
+      prepaymentChargeRate: 2,
+      prepaymentFreeAfterMonths: 36,
+    };
+    // 60 EMIs paid: the 3-year lock-in is long over
+    const { inputs } = resolveLoan(charged, today);
+    expect(inputs.emisPaid).toBe(60);
+    expect(analyzeScenario(inputs).totalPrepaymentCharges).toBe(0);
+    const { inputs: early } = resolveLoan({ ...charged, emisPaid: 12 }, today);
+    expect(analyzeScenario(early).totalPrepaymentCharges).toBeGreaterThan(0);
+    // Remaining mode knows nothing of EMIs paid
+    expect(
+      resolveLoan({ ...DEFAULT_INPUTS, emisPaid: 60 }, today).inputs
+    ).toMatchObject({ emisPaid: 0 });
+  });
+
+  test("a statement outstanding keeps the EMI and resets the tenure", () => {
+    const { details } = resolveLoan(
+      { ...sanctioned, statementOutstanding: 4000000 },
+      today
+    );
+    expect(details.fromStatement).toBe(true);
+    expect(details.outstanding).toBe(4000000);
+    expect(details.principalRepaid).toBe(2000000);
+    expect(details.remainingMonths).toBeLessThan(240);
+  });
+
+  test("rounds the remaining tenure to whole EMIs", () => {
+    const { inputs, details } = resolveLoan(
+      { ...DEFAULT_INPUTS, tenureYears: 15.3 },
+      today
+    );
+    expect(details.remainingMonths).toBe(184);
+    expect(inputs.tenureYears * 12).toBeCloseTo(184);
+    // A statement balance the EMI doesn't divide into leaves a part EMI
+    const statement = resolveLoan(
+      { ...sanctioned, statementOutstanding: 4000000 },
+      today
+    );
+    expect(Number.isInteger(statement.details.remainingMonths)).toBe(true);
+    expect(statement.inputs.tenureYears * 12).toBeCloseTo(
+      statement.details.remainingMonths
+    );
+  });
+
+  test("without a disbursement date the next EMI is next month's", () => {
+    const { inputs } = resolveLoan(
+      { ...sanctioned, disbursementDate: "" },
+      today
+    );
+    expect(inputs.firstEmiDate).toEqual(new Date(2026, 10, 1));
+  });
+
+  test("always leaves at least one EMI to pay", () => {
+    const { details } = resolveLoan({ ...sanctioned, emisPaid: 500 }, today);
+    expect(details.emisPaid).toBe(299);
+    expect(details.remainingMonths).toBe(1);
+  });
+});
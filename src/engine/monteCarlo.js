@@ -0,0 +1,117 @@
+// Monte Carlo simulation of investment returns: instead of one fixed
+// expected return, every path draws a random return each month.
+
+// Typical long-run mean and volatility (% p.a.) of Indian asset classes
+export const RETURN_PRESETS = {
+  equity: { label: "Equity", mean: 12, volatility: 18 },
+  debt: { label: "Debt Fund", mean: 7.5, volatility: 4 },
+  fd: { label: "Fixed Deposit", mean: 7, volatility: 0.5 },
+};
+
+// Small seeded PRNG (mulberry32) so simulations are reproducible
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const normal = (random) => {
+  const u = 1 - random(); // (0, 1], keeps the log finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const percentile = (sorted, p) =>
+  sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * Simulates `paths` random return paths for the investment contributions
+ * (`outflows`, [{ month, amount }]) until `horizonMonths`. Returns are
+ * log-normal with an arithmetic `mean` and `volatility` in % p.a.
+ *
+ * Each path's gain is taxed at `taxRate` (the effective rate of the fixed-
+ * return analysis) and compared against `netBenefitPrepaying`, counting the
+ * `originalLoanTaxBenefit` on the investing side as the analysis does. The
+ * savings prepaying reinvests (`prepayOutflows`) ride the same path, their
+ * gain taxed alike and added to `netBenefitPrepaying`.
+ *
+ * Returns { paths, probabilityInvestingWins, yearly: [{ year, p10, p50,
+ * p90 }] of the investment value, netBenefitInvesting: { p10, p50, p90 } }.
+ */
+export const runMonteCarlo = ({
+  outflows,
+  horizonMonths,
+  mean,
+  volatility,
+  taxRate = 0,
+  originalLoanTaxBenefit = 0,
+  netBenefitPrepaying = 0,
+  prepayOutflows = [],
+  paths = 2000,
+  seed = 1,
+}) => {
+  const random = createRandom(seed);
+  const sigmaYear = Math.sqrt(
+    Math.log(1 + Math.pow(volatility / 100, 2) / Math.pow(1 + mean / 100, 2))
+  );
+  const muYear = Math.log(1 + mean / 100) - (sigmaYear * sigmaYear) / 2;
+  const muMonth = muYear / 12;
+  const sigmaMonth = sigmaYear / Math.sqrt(12);
+
+  const byMonth = (flows) => {
+    const amounts = new Array(horizonMonths + 1).fill(0);
+    flows.forEach((flow) => {
+      if (flow.month <= horizonMonths) amounts[flow.month] += flow.amount;
+    });
+    return amounts;
+  };
+  const total = (amounts) => amounts.reduce((acc, amount) => acc + amount, 0);
+  const contributions = byMonth(outflows);
+  const savings = byMonth(prepayOutflows);
+  const invested = total(contributions);
+  const saved = total(savings);
+  const afterTax = (gain) => (gain > 0 ? gain * (1 - taxRate) : gain);
+
+  const years = Math.ceil(horizonMonths / 12);
+  const yearlyValues = Array.from({ length: years }, () => []);
+  const netBenefits = [];
+  let wins = 0;
+  for (let path = 0; path < paths; path++) {
+    let value = contributions[0];
+    let savingsValue = savings[0];
+    for (let month = 1; month <= horizonMonths; month++) {
+      const growth = Math.exp(muMonth + sigmaMonth * normal(random));
+      value = value * growth + contributions[month];
+      savingsValue = savingsValue * growth + savings[month];
+      if (month % 12 === 0 || month === horizonMonths)
+        yearlyValues[Math.ceil(month / 12) - 1].push(value);
+    }
+    const netBenefit = afterTax(value - invested) + originalLoanTaxBenefit;
+    netBenefits.push(netBenefit);
+    if (netBenefit > netBenefitPrepaying + afterTax(savingsValue - saved))
+      wins++;
+  }
+
+  const bands = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+    };
+  };
+  return {
+    paths,
+    probabilityInvestingWins: paths > 0 ? wins / paths : 0,
+    yearly: yearlyValues.map((values, i) => ({
+      year: i + 1,
+      ...bands(values),
+    })),
+    netBenefitInvesting: bands(netBenefits),
+  };
+};
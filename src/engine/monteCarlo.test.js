@@ -0,0 +1,82 @@
+import { runMonteCarlo, createRandom } from "./monteCarlo";
+import { investmentValueAt } from "./investment";
+
+const outflows = [
+  { month: 0, amount: 500000 },
+  { month: 12, amount: 100000 },
+];
+
+describe("createRandom", () => {
+  test("repeats the same sequence for the same seed", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const drawsA = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(drawsA);
+    drawsA.forEach((draw) => {
+      expect(draw).toBeGreaterThanOrEqual(0);
+      expect(draw).toBeLessThan(1);
+    });
+  });
+});
+
+describe("runMonteCarlo", () => {
+  const params = {
+    outflows,
+    horizonMonths: 120,
+    mean: 12,
+    volatility: 18,
+    paths: 500,
+  };
+
+  test("collapses to the fixed-return value without volatility", () => {
+    const result = runMonteCarlo({ ...params, volatility: 0, paths: 10 });
+    const expected = investmentValueAt(outflows, 12, 120);
+    expect(result.yearly[9].p10).toBeCloseTo(expected, 0);
+    expect(result.yearly[9].p90).toBeCloseTo(expected, 0);
+  });
+
+  test("reports ordered percentile bands for every year", () => {
+    const result = runMonteCarlo(params);
+    expect(result.yearly).toHaveLength(10);
+    result.yearly.forEach((band) => {
+      expect(band.p10).toBeLessThanOrEqual(band.p50);
+      expect(band.p50).toBeLessThanOrEqual(band.p90);
+    });
+    // Volatility drags the median below the mean path
+    expect(result.yearly[9].p50).toBeLessThan(
+      investmentValueAt(outflows, 12, 120)
+    );
+  });
+
+  test("counts the paths in which investing beats prepaying", () => {
+    const always = runMonteCarlo({ ...params, netBenefitPrepaying: -Infinity });
+    const never = runMonteCarlo({ ...params, netBenefitPrepaying: Infinity });
+    const sometimes = runMonteCarlo({
+      ...params,
+      netBenefitPrepaying: investmentValueAt(outflows, 12, 120) - 600000,
+    });
+    expect(always.probabilityInvestingWins).toBe(1);
+    expect(never.probabilityInvestingWins).toBe(0);
+    expect(sometimes.probabilityInvestingWins).toBeGreaterThan(0.2);
+    expect(sometimes.probabilityInvestingWins).toBeLessThan(0.8);
+  });
+
+  test("grows the savings prepaying reinvests along the same path", () => {
+    // Equal pots either side: only the fixed parts decide, in every path
+    const same = { ...params, prepayOutflows: outflows };
+    expect(
+      runMonteCarlo({ ...same, originalLoanTaxBenefit: 1 })
+        .probabilityInvestingWins
+    ).toBe(1);
+    expect(
+      runMonteCarlo({ ...same, netBenefitPrepaying: 1 })
+        .probabilityInvestingWins
+    ).toBe(0);
+  });
+
+  test("is reproducible for a given seed", () => {
+    expect(runMonteCarlo({ ...params, seed: 7 })).toEqual(
+      runMonteCarlo({ ...params, seed: 7 })
+    );
+  });
+});
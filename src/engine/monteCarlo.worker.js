@@ -0,0 +1,8 @@
+// Runs Monte Carlo simulations off the main thread. Messages carry an `id`
+// so the caller can drop results for inputs that have since changed.
+import { runMonteCarlo } from "./monteCarlo";
+
+globalThis.onmessage = (event) => {
+  const { id, params } = event.data;
+  globalThis.postMessage({ id, result: runMonteCarlo(params) });
+};
@@ -0,0 +1,134 @@
+// Splitting the extra cash between prepaying and investing, instead of the
+// all-or-nothing choice of analyzeScenario.
+
+import { investmentValueAt } from "./investment";
+import { investPot } from "./ledger";
+import { calculateInvestmentTax } from "./tax";
+import { analyzeScenario, mergeInputs } from "./analyzeScenario";
+
+const scalePlan = (plan, factor) =>
+  plan.map((item) => ({
+    ...item,
+    amount: (parseFloat(item.amount) || 0) * factor,
+  }));
+
+/**
+ * Net benefit of prepaying `share` (0..1) of the extra cash and of every
+ * planned prepayment, and investing the rest. With `month` > 0 the prepaid
+ * part of the day-one cash is invested until then and prepaid in that month;
+ * the post-tax gain it earned meanwhile stays invested until the horizon.
+ *
+ * share = 0 and share = 1 (month 0) match analyzeScenario's
+ * netBenefitInvesting and netBenefitPrepaying.
+ */
+export const splitNetBenefit = (inputs, share, month = 0) => {
+  const merged = mergeInputs(inputs);
+  const cash = parseFloat(merged.extraCash) || 0;
+  const prepaidCash = cash * share;
+
+  const prepaid = analyzeScenario({
+    ...merged,
+    extraCash: month > 0 ? 0 : prepaidCash,
+    prepaymentPlan: [
+      ...(month > 0 && prepaidCash > 0
+        ? [{ frequency: "once", amount: prepaidCash, startMonth: month }]
+        : []),
+      ...scalePlan(merged.prepaymentPlan, share),
+    ],
+  });
+  const invested = analyzeScenario({
+    ...merged,
+    extraCash: cash - prepaidCash,
+    prepaymentPlan: scalePlan(merged.prepaymentPlan, 1 - share),
+  });
+
+  // The prepaid part's post-tax gain until `month` stays invested, growing
+  // with the rest of the ledger to the horizon
+  let interimWealth = 0;
+  if (month > 0 && prepaidCash > 0) {
+    const outflows = [{ month: 0, amount: prepaidCash }];
+    const investment = {
+      annualReturn: parseFloat(merged.investmentReturn),
+      investmentType: merged.investmentType,
+      taxRegime: merged.taxRegime,
+      annualIncome: parseFloat(merged.annualIncome),
+      startFinancialYear: merged.startFinancialYear,
+    };
+    const interimGain =
+      investmentValueAt(outflows, investment.annualReturn, month) -
+      prepaidCash -
+      calculateInvestmentTax(outflows, {
+        ...investment,
+        horizonMonths: month,
+      });
+    interimWealth = investPot([{ month, amount: interimGain }], {
+      ...investment,
+      horizonMonths: prepaid.horizonMonths,
+    }).wealth;
+  }
+
+  // The loan's own tax refunds grow in both halves; count them once
+  return (
+    prepaid.netBenefitPrepaying +
+    invested.netBenefitInvesting -
+    invested.ledger.baseline.wealth +
+    interimWealth
+  );
+};
+
+/**
+ * Sweeps the prepaid share from 0 to 100% in `steps` steps for each month in
+ * `timings` (0 = prepay on day one) before the loan's last EMI; a later
+ * prepayment would never be made.
+ *
+ * Returns `curves` ([{ month, points: [{ share (%), netBenefit }] }]) and the
+ * `best` { share, month, netBenefit } across all of them.
+ */
+export const optimizeSplit = (inputs, { steps = 10, timings = [0] } = {}) => {
+  const remainingMonths = analyzeScenario(inputs).originalTenureMonths;
+  let best = null;
+  const curves = timings
+    .filter((month) => month < remainingMonths)
+    .map((month) => {
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const share = (i / steps) * 100;
+        const netBenefit = splitNetBenefit(inputs, i / steps, month);
+        points.push({ share, netBenefit });
+        if (!best || netBenefit > best.netBenefit)
+          best = { share, month, netBenefit };
+      }
+      return { month, points };
+    });
+  return { curves, best };
+};
+
+/**
+ * Investment return (% p.a.) at which investing all the extra cash and
+ * prepaying with it come out equal, found by bisection between `low` and
+ * `high`. Returns null when one option wins across the whole range.
+ */
+export const breakEvenReturn = (
+  inputs,
+  { low = 0, high = 30, tolerance = 0.01 } = {}
+) => {
+  const advantage = (investmentReturn) => {
+    const results = analyzeScenario({ ...inputs, investmentReturn });
+    return results.netBenefitInvesting - results.netBenefitPrepaying;
+  };
+  // Investing only gains on prepaying as the return rises
+  if (advantage(low) > 0 || advantage(high) < 0) return null;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (advantage(mid) < 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// The split sweep over `timings` and the break-even return at once, for the
+// optimizer worker
+export const runOptimizer = ({ inputs, timings }) => ({
+  ...optimizeSplit(inputs, { timings }),
+  breakEven: breakEvenReturn(inputs),
+});
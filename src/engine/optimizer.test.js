@@ -0,0 +1,98 @@
+import { analyzeScenario } from "./analyzeScenario";
+import {
+  breakEvenReturn,
+  optimizeSplit,
+  runOptimizer,
+  splitNetBenefit,
+} from "./optimizer";
+
+describe("optimizeSplit", () => {
+  const results = analyzeScenario();
+
+  test("the all-invest and all-prepay splits match analyzeScenario", () => {
+    expect(splitNetBenefit({}, 0)).toBeCloseTo(results.netBenefitInvesting, 2);
+    expect(splitNetBenefit({}, 1)).toBeCloseTo(results.netBenefitPrepaying, 2);
+  });
+
+  test("planned prepayments are split as well", () => {
+    const inputs = {
+      prepaymentPlan: [{ frequency: "yearly", amount: 100000, startMonth: 12 }],
+    };
+    const planned = analyzeScenario(inputs);
+    expect(splitNetBenefit(inputs, 0)).toBeCloseTo(
+      planned.netBenefitInvesting,
+      2
+    );
+    expect(splitNetBenefit(inputs, 1)).toBeCloseTo(
+      planned.netBenefitPrepaying,
+      2
+    );
+  });
+
+  test("reports the best point of every timing curve", () => {
+    const { curves, best } = optimizeSplit({}, { steps: 4, timings: [0, 12] });
+    expect(curves.map((curve) => curve.month)).toEqual([0, 12]);
+    expect(curves[0].points.map((point) => point.share)).toEqual([
+      0, 25, 50, 75, 100,
+    ]);
+    const all = curves.flatMap((curve) => curve.points);
+    expect(best.netBenefit).toBe(
+      Math.max(...all.map((point) => point.netBenefit))
+    );
+  });
+
+  test("leaves out timings after the last EMI", () => {
+    const { curves } = optimizeSplit(
+      { tenureYears: 3 },
+      { steps: 2, timings: [0, 12, 24, 36, 60] }
+    );
+    expect(curves.map((curve) => curve.month)).toEqual([0, 12, 24]);
+  });
+
+  test("a costly loan and a poor return favour prepaying everything", () => {
+    const { best } = optimizeSplit(
+      { interestRate: 14, investmentReturn: 4 },
+      { steps: 4 }
+    );
+    expect(best).toMatchObject({ share: 100, month: 0 });
+  });
+
+  test("delaying the prepayment earns the interim investment gain", () => {
+    // Prepaying a year late saves less interest but keeps a year's returns
+    const late = splitNetBenefit({}, 1, 12);
+    expect(late).not.toBeCloseTo(results.netBenefitPrepaying, 0);
+    // The year's 12% on ₹5L (under the LTCG exemption) keeps growing
+    const prepaidLate = analyzeScenario({
+      extraCash: 0,
+      prepaymentPlan: [{ frequency: "once", amount: 500000, startMonth: 12 }],
+    });
+    expect(late - prepaidLate.netBenefitPrepaying).toBeGreaterThan(60000 * 2);
+  });
+});
+
+describe("breakEvenReturn", () => {
+  test("both options are equal at the break-even return", () => {
+    const investmentReturn = breakEvenReturn({});
+    expect(investmentReturn).toBeGreaterThan(0);
+    expect(investmentReturn).toBeLessThan(12);
+    const results = analyzeScenario({ investmentReturn });
+    expect(
+      Math.abs(results.netBenefitInvesting - results.netBenefitPrepaying) /
+        results.netBenefitPrepaying
+    ).toBeLessThan(0.01);
+  });
+
+  test("is null when one option wins across the range", () => {
+    expect(breakEvenReturn({}, { low: 10, high: 30 })).toBeNull();
+  });
+});
+
+test("runOptimizer returns the sweep and the break-even return", () => {
+  const { curves, best, breakEven } = runOptimizer({
+    inputs: {},
+    timings: [0, 12],
+  });
+  expect(curves.map((curve) => curve.month)).toEqual([0, 12]);
+  expect(best).toEqual(optimizeSplit({}, { timings: [0, 12] }).best);
+  expect(breakEven).toBe(breakEvenReturn({}));
+});
@@ -0,0 +1,8 @@
+// Sweeps the prepay/invest splits off the main thread, answering each `id`
+// like the Monte Carlo worker.
+import { runOptimizer } from "./optimizer";
+
+globalThis.onmessage = (event) => {
+  const { id, params } = event.data;
+  globalThis.postMessage({ id, result: runOptimizer(params) });
+};
@@ -0,0 +1,297 @@
+// A home loan run as an overdraft (MaxGain-style): money parked in the
+// linked account is set off against the balance when the lender works out
+// the daily interest, but can be withdrawn at any time.
+
+import {
+  calculateEMI,
+  calculateNewTenure,
+  daysBetween,
+  monthlyLoanPayments,
+  rateForMonth,
+  totalInterest,
+  MAX_TENURE_MONTHS,
+} from "./amortization";
+import { analyzeScenario, borrowersOf, mergeInputs } from "./analyzeScenario";
+import { defaultFirstEmiDate, emiDate } from "./schedule";
+import { investPot, refundFlows } from "./ledger";
+import { calculateYearlyBorrowerTaxBenefits } from "./tax";
+import { internalRateOfReturn, valueStrategies } from "./valuation";
+
+// The three uses of the extra cash, and how easily each gives it back
+export const CASH_STRATEGIES = {
+  invest: { label: "Invest", liquidity: "Redeemable, after capital gains tax" },
+  prepay: { label: "Prepay", liquidity: "Locked into the loan" },
+  overdraft: { label: "Overdraft Account", liquidity: "Withdrawable any time" },
+};
+
+/**
+ * Amortization of an overdraft loan paying a fixed `emi`. Each day's
+ * interest is on the balance less what is parked, at `annualRate`% / 365.
+ * `deposits` (indexed by month, 0 = today) are parked after that month's
+ * EMI; `monthlyDeposit` goes in at the start of every month and
+ * `monthlyWithdrawal` comes out evenly through it, never taking more than
+ * is parked. Nothing more is parked once the loan is repaid.
+ *
+ * Rate resets follow generateFullAmortization's rules: `rateResetMode`
+ * 'recalculateEmi' re-amortizes the balance over what is left of `months`;
+ * 'keepEmi' stretches the loan, raising the EMI only when it couldn't
+ * otherwise close within `maxMonths`. A month whose interest is more than
+ * the EMI repays nothing and is paid in full, so the balance never grows.
+ *
+ * Rows are generateFullAmortization's, plus `deposited` (the month's
+ * change in what is parked, negative when more was withdrawn), `withdrawn`
+ * (what actually came out) and `parked` (after its EMI).
+ */
+export const generateOverdraftAmortization = (
+  principal,
+  annualRate,
+  emi,
+  {
+    deposits = [],
+    monthlyDeposit = 0,
+    monthlyWithdrawal = 0,
+    rateChanges = [],
+    rateResetMode = "keepEmi",
+    firstEmiDate = defaultFirstEmiDate(),
+    maxMonths = MAX_TENURE_MONTHS,
+    months = maxMonths,
+  } = {}
+) => {
+  const schedule = [];
+  const resets = rateChanges
+    .filter((change) => change.month >= 1 && change.rate > 0)
+    .sort((a, b) => a.month - b.month);
+  let balance = principal;
+  let parked = deposits[0] || 0;
+  let currentEmi = emi;
+  let currentRate = annualRate;
+  for (let month = 1; month <= maxMonths && balance > 0.01; month++) {
+    const rate = rateForMonth(annualRate, resets, month);
+    if (rate !== currentRate) {
+      currentRate = rate;
+      if (rateResetMode === "recalculateEmi") {
+        currentEmi = calculateEMI(
+          balance,
+          rate,
+          Math.max(1, months - month + 1)
+        );
+      } else if (
+        calculateNewTenure(balance, currentEmi, rate) >
+        maxMonths - month + 1
+      ) {
+        currentEmi = calculateEMI(balance, rate, maxMonths - month + 1);
+      }
+    }
+    const days = daysBetween(
+      emiDate(firstEmiDate, month - 1),
+      emiDate(firstEmiDate, month)
+    );
+    let interest = 0;
+    for (let day = 1; day <= days; day++) {
+      const available = Math.max(
+        0,
+        parked + monthlyDeposit - (monthlyWithdrawal * day) / days
+      );
+      interest += (Math.max(0, balance - available) * rate) / 100 / 365;
+    }
+    // Interest beyond the EMI is paid on top rather than added to the loan
+    const principalPaid = Math.min(balance, Math.max(0, currentEmi - interest));
+    balance -= principalPaid;
+    const opening = parked;
+    const withdrawn = Math.min(monthlyWithdrawal, parked + monthlyDeposit);
+    parked =
+      parked +
+      monthlyDeposit -
+      withdrawn +
+      (balance > 0.01 ? deposits[month] || 0 : 0);
+    schedule.push({
+      month,
+      rate,
+      interest,
+      principal: principalPaid,
+      prepayment: 0,
+      totalPayment: interest + principalPaid,
+      endingBalance: balance > 0.01 ? balance : 0,
+      deposited: parked - opening,
+      withdrawn,
+      parked,
+    });
+  }
+  return schedule;
+};
+
+/**
+ * Parks the extra cash and every planned prepayment of `inputs` (see
+ * analyzeScenario) in the loan's overdraft account instead, with
+ * `overdraftMonthlyDeposit` and `overdraftMonthlyWithdrawal` on top, and
+ * compares that with investing and prepaying. The EMI stays that of the
+ * loan; what is still parked comes back when it is repaid, and withdrawals
+ * come back as they are made. Like the other two (see buildCashFlowLedger),
+ * the loan payments this saves, the tax refunds and the money given back
+ * are reinvested until the same horizon.
+ *
+ * The other two never get the monthly deposits, so the net benefit is
+ * charged what they would have been worth invested instead: they only add
+ * to it when parking them beats investing them.
+ *
+ * Returns the overdraft `schedule`, `tenureMonths`, `interestSaved` against
+ * the original loan, its `taxBenefit`, the `reinvestedGain` after tax,
+ * `netBenefit`, the borrower's monthly cash `flows` ({ month, amount }),
+ * summing to the net benefit plus the `forgoneGrowth` of the monthly
+ * deposits, `irr`, `parkedAtClose`, and `strategies`
+ * [{ key, label, liquidity, netBenefit, irr }] for CASH_STRATEGIES with the
+ * `best` key by net benefit. IRRs leave out what the loan's own tax refunds
+ * grow to anyway (see valueStrategies). Pass analyzeScenario's results for
+ * the same inputs as `analyzed` when they are at hand, to save running it
+ * again.
+ */
+export const analyzeOverdraft = (
+  inputs = {},
+  analyzed = null,
+  today = new Date()
+) => {
+  const merged = mergeInputs(inputs, today);
+  const results = analyzed || analyzeScenario(merged, today);
+  const original = results.originalAmortization;
+  const principal =
+    original.length > 0 ? original[0].endingBalance + original[0].principal : 0;
+
+  const deposits = [];
+  results.investmentOutflows.forEach(({ month, amount }) => {
+    deposits[month] = (deposits[month] || 0) + amount;
+  });
+  const schedule = generateOverdraftAmortization(
+    principal,
+    parseFloat(merged.interestRate),
+    results.originalEmi,
+    {
+      deposits,
+      monthlyDeposit: parseFloat(merged.overdraftMonthlyDeposit) || 0,
+      monthlyWithdrawal: parseFloat(merged.overdraftMonthlyWithdrawal) || 0,
+      rateChanges: merged.rateChanges,
+      rateResetMode: merged.rateResetMode,
+      months: results.originalTenureMonths,
+      firstEmiDate: merged.firstEmiDate || defaultFirstEmiDate(today),
+      maxMonths: Math.max(results.horizonMonths, MAX_TENURE_MONTHS),
+    }
+  );
+
+  const yearlyBenefits = calculateYearlyBorrowerTaxBenefits(schedule, {
+    taxRegime: merged.taxRegime,
+    propertyUse: merged.propertyUse,
+    annualRent: parseFloat(merged.annualRent),
+    borrowers: borrowersOf(merged),
+    startFinancialYear: merged.startFinancialYear,
+    years: Math.ceil(results.horizonMonths / 12),
+    firstEmiDate: merged.firstEmiDate,
+  });
+  const yearlyTaxBenefits = yearlyBenefits[0].map((_, year) =>
+    yearlyBenefits.reduce((acc, benefits) => acc + benefits[year], 0)
+  );
+  const taxBenefit = yearlyTaxBenefits.reduce((acc, amount) => acc + amount, 0);
+  const interestSaved = totalInterest(original) - totalInterest(schedule);
+
+  // Planned cash parked while the loan runs, and the borrower's own
+  // deposits and withdrawals on top
+  const { horizonMonths } = results;
+  const parkedMonths = Math.min(schedule.length, horizonMonths);
+  const made = deposits
+    .map((amount, month) => ({ month, amount: amount || 0 }))
+    .filter((flow) => flow.month < parkedMonths && flow.amount > 0);
+  const plannedParked = made.reduce((acc, flow) => acc + flow.amount, 0);
+  const open = schedule.slice(0, parkedMonths);
+  // Each monthly deposit goes in at the start of its month
+  const monthlyDeposits = open
+    .map((row) => ({
+      month: row.month - 1,
+      amount: parseFloat(merged.overdraftMonthlyDeposit) || 0,
+    }))
+    .filter((flow) => flow.amount > 0);
+  const withdrawals = open
+    .map((row) => ({ month: row.month, amount: row.withdrawn }))
+    .filter((flow) => flow.amount > 0);
+  const closing = open[open.length - 1];
+  // Cut short by the horizon, the month's planned deposit isn't counted
+  const parkedAtEnd = closing
+    ? closing.parked -
+      (closing.endingBalance > 0 ? deposits[parkedMonths] || 0 : 0)
+    : 0;
+
+  const potOptions = {
+    annualReturn: parseFloat(merged.investmentReturn),
+    horizonMonths,
+    investmentType: merged.investmentType,
+    taxRegime: merged.taxRegime,
+    annualIncome: parseFloat(merged.annualIncome),
+    startFinancialYear: merged.startFinancialYear,
+  };
+  const originalPayments = monthlyLoanPayments(original);
+  const overdraftPayments = monthlyLoanPayments(schedule);
+  const saved = [{ month: parkedMonths, amount: parkedAtEnd }, ...withdrawals];
+  for (let month = 1; month <= horizonMonths; month++) {
+    saved.push({
+      month,
+      amount:
+        (originalPayments[month - 1] || 0) -
+        (overdraftPayments[month - 1] || 0),
+    });
+  }
+  const pot = investPot(
+    [...saved, ...refundFlows(yearlyTaxBenefits, horizonMonths)],
+    potOptions
+  );
+  const deposited = monthlyDeposits.reduce((acc, flow) => acc + flow.amount, 0);
+  const forgoneGrowth =
+    monthlyDeposits.length > 0
+      ? investPot(monthlyDeposits, potOptions).wealth - deposited
+      : 0;
+  const netBenefit = pot.wealth - plannedParked - deposited - forgoneGrowth;
+
+  const flows = [
+    ...[...made, ...monthlyDeposits].map((flow) => ({
+      month: flow.month,
+      amount: -flow.amount,
+    })),
+    { month: horizonMonths, amount: pot.wealth },
+  ];
+  const irr = internalRateOfReturn([
+    ...flows,
+    { month: horizonMonths, amount: -results.ledger.baseline.wealth },
+  ]);
+
+  const valuation = valueStrategies(results, {
+    inflationRate: parseFloat(merged.inflationRate),
+    discountRate: parseFloat(merged.discountRate),
+  });
+  const strategies = [
+    {
+      key: "invest",
+      netBenefit: results.netBenefitInvesting,
+      irr: valuation.invest.irr,
+    },
+    {
+      key: "prepay",
+      netBenefit: results.netBenefitPrepaying,
+      irr: valuation.prepay.irr,
+    },
+    { key: "overdraft", netBenefit, irr },
+  ].map((strategy) => ({ ...strategy, ...CASH_STRATEGIES[strategy.key] }));
+  const best = strategies.reduce((a, b) =>
+    b.netBenefit > a.netBenefit ? b : a
+  );
+
+  return {
+    schedule,
+    tenureMonths: schedule.length,
+    interestSaved,
+    taxBenefit,
+    reinvestedGain: netBenefit - interestSaved - taxBenefit,
+    netBenefit,
+    flows,
+    forgoneGrowth,
+    irr,
+    parkedAtClose: parkedAtEnd,
+    strategies,
+    best: best.key,
+  };
+};
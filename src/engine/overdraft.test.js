@@ -0,0 +1,183 @@
+import { analyzeScenario } from "./analyzeScenario";
+import {
+  calculateEMI,
+  generateFullAmortization,
+  totalInterest,
+} from "./amortization";
+import { analyzeOverdraft, generateOverdraftAmortization } from "./overdraft";
+
+const firstEmiDate = new Date(2026, 4, 1);
+const emi = calculateEMI(5000000, 9, 240);
+
+describe("generateOverdraftAmortization", () => {
+  test("with nothing parked it is a daily reducing loan", () => {
+    const overdraft = generateOverdraftAmortization(5000000, 9, emi, {
+      firstEmiDate,
+    });
+    const daily = generateFullAmortization(5000000, 9, 240, emi, {
+      dayCount: "actual/365",
+      firstEmiDate,
+    });
+    daily.slice(0, 12).forEach((row, i) => {
+      expect(overdraft[i].interest).toBeCloseTo(row.interest, 2);
+      expect(overdraft[i].endingBalance).toBeCloseTo(row.endingBalance, 2);
+    });
+  });
+
+  test("follows the rate reset mode like the other schedules", () => {
+    const rates = { rateChanges: [{ month: 13, rate: 10 }], firstEmiDate };
+    ["keepEmi", "recalculateEmi"].forEach((rateResetMode) => {
+      const overdraft = generateOverdraftAmortization(5000000, 9, emi, {
+        ...rates,
+        rateResetMode,
+        months: 240,
+      });
+      const daily = generateFullAmortization(5000000, 9, 240, emi, {
+        ...rates,
+        rateResetMode,
+        dayCount: "actual/365",
+      });
+      [12, 13, 60].forEach((month) =>
+        expect(overdraft[month - 1].totalPayment).toBeCloseTo(
+          daily[month - 1].totalPayment,
+          2
+        )
+      );
+    });
+  });
+
+  test("an EMI short of the interest never grows the balance", () => {
+    const schedule = generateOverdraftAmortization(5000000, 9, 30000, {
+      firstEmiDate,
+      maxMonths: 12,
+    });
+    schedule.forEach((row) => {
+      expect(row.principal).toBe(0);
+      expect(row.endingBalance).toBe(5000000);
+      expect(row.totalPayment).toBe(row.interest);
+    });
+  });
+
+  test("parking the whole balance leaves no interest to pay", () => {
+    const schedule = generateOverdraftAmortization(5000000, 9, emi, {
+      deposits: [5000000],
+      firstEmiDate,
+    });
+    expect(totalInterest(schedule)).toBe(0);
+    // The EMIs repay the balance while the money stays parked
+    expect(schedule).toHaveLength(Math.ceil(5000000 / emi));
+    expect(schedule[schedule.length - 1].parked).toBe(5000000);
+  });
+
+  test("withdrawals are spread over the month and stop at nothing parked", () => {
+    const options = { deposits: [300000], firstEmiDate };
+    const parked = generateOverdraftAmortization(5000000, 9, emi, options);
+    const drawn = generateOverdraftAmortization(5000000, 9, emi, {
+      ...options,
+      monthlyWithdrawal: 100000,
+    });
+    // Half the month's withdrawal is out on average
+    expect(parked[0].interest - drawn[0].interest).toBeCloseTo(
+      (-50000 * 0.09 * 31) / 365,
+      -1
+    );
+    expect(drawn[0].deposited).toBe(-100000);
+    expect(drawn[3].parked).toBe(0);
+    expect(drawn[3].deposited).toBe(0);
+  });
+});
+
+describe("analyzeOverdraft", () => {
+  test("parking the cash saves about what prepaying it does", () => {
+    const overdraft = analyzeOverdraft({ firstEmiDate });
+    const results = analyzeScenario({ firstEmiDate });
+    expect(overdraft.interestSaved / results.interestSaved).toBeCloseTo(1, 1);
+    // The parked cash is repaid by EMIs too, so the loan runs longer
+    expect(overdraft.tenureMonths).toBeGreaterThan(results.newTenureMonths);
+    expect(overdraft.parkedAtClose).toBe(500000);
+    const sum = overdraft.flows.reduce((acc, flow) => acc + flow.amount, 0);
+    expect(sum).toBeCloseTo(overdraft.netBenefit, 0);
+    // Like the freed EMIs of prepaying, what it saves is reinvested
+    expect(overdraft.reinvestedGain).toBeGreaterThan(0);
+    const idle = analyzeOverdraft({ firstEmiDate, investmentReturn: 0 });
+    expect(idle.netBenefit).toBeCloseTo(
+      idle.interestSaved + idle.taxBenefit,
+      0
+    );
+    expect(overdraft.irr).toBeGreaterThan(0);
+  });
+
+  test("monthly withdrawals cut the interest saved", () => {
+    const parked = analyzeOverdraft({ firstEmiDate });
+    const drawn = analyzeOverdraft({
+      firstEmiDate,
+      overdraftMonthlyDeposit: 50000,
+      overdraftMonthlyWithdrawal: 60000,
+    });
+    expect(drawn.interestSaved).toBeLessThan(parked.interestSaved);
+  });
+
+  test("charges the monthly deposits what they'd have made invested", () => {
+    const parked = analyzeOverdraft({ firstEmiDate });
+    const topped = analyzeOverdraft({
+      firstEmiDate,
+      overdraftMonthlyDeposit: 50000,
+    });
+    // At 12% the deposits would have grown more invested than parked
+    expect(topped.forgoneGrowth).toBeGreaterThan(0);
+    expect(topped.netBenefit).toBeLessThan(parked.netBenefit);
+    expect(topped.best).toBe(parked.best);
+    const sum = topped.flows.reduce((acc, flow) => acc + flow.amount, 0);
+    expect(sum).toBeCloseTo(topped.netBenefit + topped.forgoneGrowth, 0);
+    // Earning nothing invested, parking them only saves interest
+    const idle = analyzeOverdraft({
+      firstEmiDate,
+      investmentReturn: 0,
+      overdraftMonthlyDeposit: 50000,
+    });
+    expect(idle.forgoneGrowth).toBe(0);
+    expect(idle.netBenefit).toBeCloseTo(
+      idle.interestSaved + idle.taxBenefit,
+      0
+    );
+  });
+
+  test("gives back only what is still parked at close", () => {
+    const drawn = analyzeOverdraft({
+      firstEmiDate,
+      investmentReturn: 0,
+      overdraftMonthlyWithdrawal: 10000,
+    });
+    expect(drawn.parkedAtClose).toBe(0);
+    const withdrawn = drawn.schedule.reduce(
+      (acc, row) => acc + row.withdrawn,
+      0
+    );
+    expect(withdrawn).toBeCloseTo(500000, 2);
+    // The withdrawals come back as they are made, nothing more at close
+    expect(drawn.netBenefit).toBeCloseTo(
+      drawn.interestSaved + drawn.taxBenefit,
+      0
+    );
+  });
+
+  test("compares all three strategies", () => {
+    const { strategies, best } = analyzeOverdraft({ firstEmiDate });
+    const results = analyzeScenario({ firstEmiDate });
+    expect(strategies.map((strategy) => strategy.key)).toEqual([
+      "invest",
+      "prepay",
+      "overdraft",
+    ]);
+    // The analysis at hand is used instead of running it again
+    expect(analyzeOverdraft({ firstEmiDate }, results).strategies).toEqual(
+      strategies
+    );
+    expect(strategies[0].netBenefit).toBe(results.netBenefitInvesting);
+    expect(strategies[1].netBenefit).toBe(results.netBenefitPrepaying);
+    const top = Math.max(...strategies.map((strategy) => strategy.netBenefit));
+    expect(
+      strategies.find((strategy) => strategy.key === best).netBenefit
+    ).toBe(top);
+  });
+});
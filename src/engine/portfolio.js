@@ -0,0 +1,311 @@
+// Several loans at once: which to prepay first with the extra cash, and
+// whether prepaying any of them beats investing it.
+
+import {
+  calculateEMI,
+  calculateNewTenure,
+  generateFullAmortization,
+  monthlyLoanPayments,
+  totalInterest,
+} from "./amortization";
+import { investmentValueAt } from "./investment";
+import {
+  groupByLoanYear,
+  calculateYearlyBorrowerTaxBenefits,
+  calculateInvestmentTax,
+} from "./tax";
+import { rulesForYear } from "./taxRules";
+import { mergeInputs } from "./analyzeScenario";
+import { refundFlows } from "./ledger";
+
+// Home loans get 80C and 24(b), education loans 80E, the rest nothing
+export const LOAN_TYPES = {
+  home: "Home Loan",
+  education: "Education Loan",
+  car: "Car Loan",
+  personal: "Personal Loan",
+};
+
+export const ALLOCATION_STRATEGIES = {
+  avalanche: "Avalanche (highest rate first)",
+  snowball: "Snowball (smallest balance first)",
+  taxAdjusted: "Tax-adjusted rate first",
+};
+
+const parseLoan = (loan) => ({
+  ...loan,
+  principal: parseFloat(loan.principal),
+  interestRate: parseFloat(loan.interestRate),
+  months: parseFloat(loan.tenureYears) * 12,
+});
+
+// Schedule of a loan after prepaying `prepayment` on day one
+const loanSchedule = (loan, prepayment, prepaymentMethod) => {
+  const { principal, interestRate, months } = loan;
+  const emi = calculateEMI(principal, interestRate, months);
+  const balance = principal - prepayment;
+  if (balance <= 0) return [];
+  if (prepayment === 0)
+    return generateFullAmortization(balance, interestRate, months, emi);
+  if (prepaymentMethod === "reduceEmi")
+    return generateFullAmortization(
+      balance,
+      interestRate,
+      months,
+      calculateEMI(balance, interestRate, months)
+    );
+  return generateFullAmortization(
+    balance,
+    interestRate,
+    calculateNewTenure(balance, emi, interestRate),
+    emi
+  );
+};
+
+/**
+ * Tax saved each loan year on a portfolio's schedules (in the order of
+ * `loans`). In the old regime home loans share one 80C limit and one
+ * self-occupied 24(b) cap, and education loan interest is deducted in full
+ * under 80E for its first eight years. The new regime allows neither.
+ */
+export const portfolioYearlyTaxBenefits = (
+  loans,
+  schedules,
+  { taxRegime, slab, used80C, startFinancialYear, years }
+) => {
+  if (taxRegime !== "old") return [];
+  const homeMonths = [];
+  loans.forEach((loan, i) => {
+    if (loan.type !== "home") return;
+    schedules[i].forEach((row, month) => {
+      const combined = homeMonths[month] || { interest: 0, principal: 0 };
+      homeMonths[month] = {
+        interest: combined.interest + row.interest,
+        principal: combined.principal + row.principal + (row.prepayment || 0),
+      };
+    });
+  });
+  const benefits = calculateYearlyBorrowerTaxBenefits(homeMonths, {
+    taxRegime,
+    borrowers: [{ share: 100, slab, used80C }],
+    startFinancialYear,
+    years,
+  })[0];
+  const eightyEYears = rulesForYear(startFinancialYear).section80EYears;
+  loans.forEach((loan, i) => {
+    if (loan.type !== "education") return;
+    groupByLoanYear(schedules[i])
+      .slice(0, eightyEYears)
+      .forEach((year, y) => {
+        benefits[y] = (benefits[y] || 0) + year.interest * slab;
+      });
+  });
+  return benefits;
+};
+
+/** Total tax saved on a portfolio's schedules (see portfolioYearlyTaxBenefits). */
+export const portfolioTaxBenefit = (loans, schedules, taxOptions) =>
+  portfolioYearlyTaxBenefits(loans, schedules, taxOptions).reduce(
+    (acc, benefit) => acc + benefit,
+    0
+  );
+
+/**
+ * Rate (%) each rupee prepaid on `loan` really saves once tax is counted:
+ * deductible interest costs `slab` less. Home loan interest only counts
+ * while the portfolio's first-year home interest is under the 24(b) cap.
+ */
+export const effectiveLoanRate = (
+  loan,
+  loans,
+  { taxRegime, slab, startFinancialYear }
+) => {
+  const { interestRate } = parseLoan(loan);
+  if (taxRegime !== "old") return interestRate;
+  if (loan.type === "education") return interestRate * (1 - slab);
+  if (loan.type !== "home") return interestRate;
+  const homeInterest = loans
+    .filter((other) => other.type === "home")
+    .map(parseLoan)
+    .reduce(
+      (acc, other) => acc + (other.principal * other.interestRate) / 100,
+      0
+    );
+  return homeInterest < rulesForYear(startFinancialYear).section24bSopLimit
+    ? interestRate * (1 - slab)
+    : interestRate;
+};
+
+// Loans in the order a strategy prepays them
+const strategyOrder = (strategy, loans, taxOptions) => {
+  const ranked = loans.map((loan) => ({
+    loan,
+    rate: parseFloat(loan.interestRate),
+    balance: parseFloat(loan.principal),
+    effectiveRate: effectiveLoanRate(loan, loans, taxOptions),
+  }));
+  const compare = {
+    avalanche: (a, b) => b.rate - a.rate,
+    snowball: (a, b) => a.balance - b.balance,
+    taxAdjusted: (a, b) => b.effectiveRate - a.effectiveRate,
+  }[strategy];
+  return ranked.sort(compare).map((entry) => entry.loan);
+};
+
+/**
+ * Compares investing `extraCash` against prepaying a portfolio of `loans`
+ * ({ id, type, principal, interestRate, tenureYears }) with it under each
+ * ALLOCATION_STRATEGIES entry. A strategy fills loans in its order, on day
+ * one; cash left after clearing every loan is invested, and so are the
+ * loan payments the prepayments free up and every tax refund. Everything
+ * is compared over the longest loan. Other settings come from `inputs` (see
+ * mergeInputs).
+ *
+ * Returns `investing` and `strategies` ({ strategy, allocations,
+ * interestSaved, freedPaymentsGain, taxBenefit, leftoverGain }), each with
+ * its `netBenefit`, the
+ * `best` option ('invest' or a strategy) and per-loan `loans` details.
+ */
+export const analyzePortfolio = (loans, inputs = {}, today = new Date()) => {
+  const {
+    extraCash,
+    investmentReturn,
+    investmentType,
+    taxRegime,
+    taxSlab,
+    used80C,
+    annualIncome,
+    startFinancialYear,
+    prepaymentMethod,
+  } = mergeInputs(inputs, today);
+  const cash = parseFloat(extraCash);
+  const annualReturn = parseFloat(investmentReturn);
+  const slab = parseFloat(taxSlab) / 100;
+  const parsed = loans.map(parseLoan);
+
+  const originalSchedules = parsed.map((loan) =>
+    loanSchedule(loan, 0, prepaymentMethod)
+  );
+  const horizonMonths = Math.max(
+    12,
+    ...originalSchedules.map((schedule) => schedule.length)
+  );
+  const taxOptions = {
+    taxRegime,
+    slab,
+    used80C: parseFloat(used80C),
+    startFinancialYear,
+    years: Math.ceil(horizonMonths / 12),
+  };
+  const originalRefunds = portfolioYearlyTaxBenefits(
+    parsed,
+    originalSchedules,
+    taxOptions
+  );
+  const originalTaxBenefit = originalRefunds.reduce(
+    (acc, benefit) => acc + benefit,
+    0
+  );
+
+  // Post-tax gain of investing cash flows ({ month, amount }) until the
+  // horizon
+  const investmentGain = (outflows) => {
+    const invested = outflows.reduce((acc, flow) => acc + flow.amount, 0);
+    if (invested <= 0) return 0;
+    return (
+      investmentValueAt(outflows, annualReturn, horizonMonths) -
+      invested -
+      calculateInvestmentTax(outflows, {
+        annualReturn,
+        horizonMonths,
+        investmentType,
+        taxRegime,
+        annualIncome: parseFloat(annualIncome),
+        startFinancialYear,
+      })
+    );
+  };
+
+  // Tax refunds are reinvested as they come in, as in analyzeScenario
+  const investing = {
+    postTaxInvestmentGain: investmentGain([
+      { month: 0, amount: cash },
+      ...refundFlows(originalRefunds, horizonMonths),
+    ]),
+    taxBenefit: originalTaxBenefit,
+  };
+  investing.netBenefit = investing.postTaxInvestmentGain + originalTaxBenefit;
+
+  const strategies = Object.keys(ALLOCATION_STRATEGIES).map((strategy) => {
+    let remaining = cash;
+    const allocations = {};
+    strategyOrder(strategy, loans, taxOptions).forEach((loan) => {
+      const amount = Math.min(remaining, parseFloat(loan.principal));
+      allocations[loan.id] = amount;
+      remaining -= amount;
+    });
+    const schedules = parsed.map((loan) =>
+      loanSchedule(loan, allocations[loan.id], prepaymentMethod)
+    );
+    const interestSaved = schedules.reduce(
+      (acc, schedule, i) =>
+        acc + totalInterest(originalSchedules[i]) - totalInterest(schedule),
+      0
+    );
+    const refunds = portfolioYearlyTaxBenefits(parsed, schedules, taxOptions);
+    const taxBenefit = refunds.reduce((acc, benefit) => acc + benefit, 0);
+    const leftoverGain = investmentGain([{ month: 0, amount: remaining }]);
+    // Loans end at different times: what each prepayment frees up every
+    // month, and the tax refunds, are invested until the longest loan ends
+    const freedPayments = [];
+    schedules.forEach((schedule, i) => {
+      const after = monthlyLoanPayments(schedule);
+      monthlyLoanPayments(originalSchedules[i]).forEach((payment, month) => {
+        const freed = payment - (after[month] || 0);
+        if (freed > 0) freedPayments.push({ month: month + 1, amount: freed });
+      });
+    });
+    const freedPaymentsGain = investmentGain([
+      ...freedPayments,
+      ...refundFlows(refunds, horizonMonths),
+    ]);
+    return {
+      strategy,
+      allocations: loans.map((loan, i) => ({
+        id: loan.id,
+        amount: allocations[loan.id],
+        newTenureMonths: schedules[i].length,
+      })),
+      interestSaved,
+      taxBenefit,
+      freedPaymentsGain,
+      leftoverGain,
+      netBenefit: interestSaved + freedPaymentsGain + taxBenefit + leftoverGain,
+    };
+  });
+
+  const bestStrategy = strategies.reduce(
+    (best, entry) =>
+      !best || entry.netBenefit > best.netBenefit ? entry : best,
+    null
+  );
+  return {
+    horizonMonths,
+    investing,
+    strategies,
+    best:
+      !bestStrategy || investing.netBenefit >= bestStrategy.netBenefit
+        ? "invest"
+        : bestStrategy.strategy,
+    loans: loans.map((loan, i) => ({
+      id: loan.id,
+      emi: calculateEMI(
+        parsed[i].principal,
+        parsed[i].interestRate,
+        parsed[i].months
+      ),
+      tenureMonths: originalSchedules[i].length,
+      effectiveRate: effectiveLoanRate(loan, loans, taxOptions),
+    })),
+  };
+};
@@ -0,0 +1,151 @@
+import { analyzeScenario } from "./analyzeScenario";
+import {
+  analyzePortfolio,
+  effectiveLoanRate,
+  portfolioTaxBenefit,
+} from "./portfolio";
+
+const home = {
+  id: 1,
+  type: "home",
+  principal: 5000000,
+  interestRate: 9,
+  tenureYears: 20,
+};
+const car = {
+  id: 2,
+  type: "car",
+  principal: 600000,
+  interestRate: 10,
+  tenureYears: 5,
+};
+const personal = {
+  id: 3,
+  type: "personal",
+  principal: 300000,
+  interestRate: 14,
+  tenureYears: 3,
+};
+const education = {
+  id: 4,
+  type: "education",
+  principal: 1000000,
+  interestRate: 11,
+  tenureYears: 10,
+};
+const taxOptions = { taxRegime: "old", slab: 0.3, startFinancialYear: 2025 };
+
+describe("analyzePortfolio", () => {
+  const loans = [home, car, personal, education];
+  const analysis = analyzePortfolio(loans);
+  const strategy = (name) =>
+    analysis.strategies.find((entry) => entry.strategy === name);
+  const allocated = (name) =>
+    Object.fromEntries(
+      strategy(name).allocations.map((entry) => [entry.id, entry.amount])
+    );
+
+  test("avalanche pays the highest rate first", () => {
+    // ₹5L: ₹3L clears the 14% personal loan, ₹2L goes to the 11% one
+    expect(allocated("avalanche")).toEqual({
+      1: 0,
+      2: 0,
+      3: 300000,
+      4: 200000,
+    });
+  });
+
+  test("snowball clears the smallest balance first", () => {
+    expect(allocated("snowball")).toEqual({ 1: 0, 2: 200000, 3: 300000, 4: 0 });
+  });
+
+  test("the tax-adjusted order discounts deductible interest", () => {
+    // 11% under 80E costs 7.7% at 30%, less than the 10% car loan
+    expect(allocated("taxAdjusted")).toEqual({
+      1: 0,
+      2: 200000,
+      3: 300000,
+      4: 0,
+    });
+    const cleared = strategy("taxAdjusted").allocations.find(
+      (entry) => entry.id === 3
+    );
+    expect(cleared.newTenureMonths).toBe(0);
+  });
+
+  test("invests what is left once every loan is cleared", () => {
+    const { strategies } = analyzePortfolio([personal], { extraCash: 500000 });
+    expect(strategies[0].allocations[0].amount).toBe(300000);
+    expect(strategies[0].leftoverGain).toBeGreaterThan(0);
+  });
+
+  test("picks the option with the highest net benefit", () => {
+    const best = Math.max(
+      analysis.investing.netBenefit,
+      ...analysis.strategies.map((entry) => entry.netBenefit)
+    );
+    const chosen =
+      analysis.best === "invest" ? analysis.investing : strategy(analysis.best);
+    expect(chosen.netBenefit).toBe(best);
+  });
+
+  test("a single home loan matches the single-loan investing side", () => {
+    const single = analyzePortfolio([home]);
+    const results = analyzeScenario();
+    expect(single.investing.netBenefit).toBeCloseTo(
+      results.netBenefitInvesting,
+      0
+    );
+    expect(single.strategies[0].interestSaved).toBeCloseTo(
+      results.interestSaved,
+      0
+    );
+  });
+});
+
+describe("portfolio tax treatment", () => {
+  test("only home loans under the 24(b) cap get a tax-adjusted rate", () => {
+    expect(effectiveLoanRate(home, [home], taxOptions)).toBe(9);
+    const smallHome = { ...home, principal: 1500000 };
+    expect(effectiveLoanRate(smallHome, [smallHome], taxOptions)).toBeCloseTo(
+      6.3
+    );
+    expect(effectiveLoanRate(car, [car], taxOptions)).toBe(10);
+    expect(
+      effectiveLoanRate(education, [education], {
+        ...taxOptions,
+        taxRegime: "new",
+      })
+    ).toBe(11);
+  });
+
+  test("80E covers education loan interest for eight years", () => {
+    const month = { interest: 10000, principal: 5000, prepayment: 0 };
+    const schedule = Array.from({ length: 120 }, () => month);
+    const benefit = portfolioTaxBenefit([education], [schedule], {
+      ...taxOptions,
+      used80C: 150000,
+      years: 10,
+    });
+    expect(benefit).toBeCloseTo(120000 * 8 * 0.3);
+    expect(
+      portfolioTaxBenefit([education], [schedule], {
+        ...taxOptions,
+        taxRegime: "new",
+        used80C: 150000,
+        years: 10,
+      })
+    ).toBe(0);
+  });
+
+  test("home loans share one 24(b) cap", () => {
+    const month = { interest: 15000, principal: 0, prepayment: 0 };
+    const schedule = Array.from({ length: 12 }, () => month);
+    const benefit = portfolioTaxBenefit(
+      [home, { ...home, id: 5 }],
+      [schedule, schedule],
+      { ...taxOptions, used80C: 150000, years: 1 }
+    );
+    expect(benefit).toBeCloseTo(200000 * 0.3);
+  });
+});
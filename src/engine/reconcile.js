@@ -0,0 +1,49 @@
+// Row-by-row comparison of a lender's amortization statement with the
+// schedule computed here.
+import { totalInterest } from "./amortization";
+
+const FIELDS = ["interest", "principal", "endingBalance"];
+
+/**
+ * Compares `imported` and `computed` schedules month by month. Rows match
+ * when every field is within `tolerance` rupees; a month missing from either
+ * side never matches.
+ *
+ * Returns { rows: [{ month, imported, computed, difference, matches }],
+ * mismatches, interestGap, firstMismatch }, where `difference` is imported
+ * minus computed and `interestGap` is the same for total interest.
+ */
+export const reconcileSchedules = (
+  imported,
+  computed,
+  { tolerance = 1 } = {}
+) => {
+  const length = Math.max(imported.length, computed.length);
+  const rows = [];
+  for (let i = 0; i < length; i++) {
+    const bank = imported[i] || null;
+    const ours = computed[i] || null;
+    const difference =
+      bank && ours
+        ? Object.fromEntries(
+            FIELDS.map((field) => [field, bank[field] - ours[field]])
+          )
+        : null;
+    rows.push({
+      month: i + 1,
+      imported: bank,
+      computed: ours,
+      difference,
+      matches:
+        !!difference &&
+        FIELDS.every((field) => Math.abs(difference[field]) <= tolerance),
+    });
+  }
+  const mismatched = rows.filter((row) => !row.matches);
+  return {
+    rows,
+    mismatches: mismatched.length,
+    interestGap: totalInterest(imported) - totalInterest(computed),
+    firstMismatch: mismatched.length > 0 ? mismatched[0].month : null,
+  };
+};
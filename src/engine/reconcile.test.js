@@ -0,0 +1,38 @@
+import { calculateEMI, generateFullAmortization } from "./amortization";
+import { reconcileSchedules } from "./reconcile";
+
+const emi = calculateEMI(5000000, 9, 240);
+const computed = generateFullAmortization(5000000, 9, 240, emi);
+
+describe("reconcileSchedules", () => {
+  test("an identical statement matches every month", () => {
+    const result = reconcileSchedules(computed, computed);
+    expect(result.mismatches).toBe(0);
+    expect(result.firstMismatch).toBeNull();
+    expect(result.interestGap).toBe(0);
+  });
+
+  test("flags months off by more than the tolerance", () => {
+    // A bank charging ₹40 more interest in month 3 and repaying less
+    const statement = computed.map((row) =>
+      row.month === 3
+        ? { ...row, interest: row.interest + 40, principal: row.principal - 40 }
+        : row
+    );
+    const result = reconcileSchedules(statement, computed);
+    expect(result.mismatches).toBe(1);
+    expect(result.firstMismatch).toBe(3);
+    expect(result.rows[2].difference.interest).toBeCloseTo(40);
+    expect(result.interestGap).toBeCloseTo(40);
+    expect(
+      reconcileSchedules(statement, computed, { tolerance: 50 }).mismatches
+    ).toBe(0);
+  });
+
+  test("months on one side only never match", () => {
+    const result = reconcileSchedules(computed.slice(0, 238), computed);
+    expect(result.rows).toHaveLength(240);
+    expect(result.mismatches).toBe(2);
+    expect(result.rows[239].imported).toBeNull();
+  });
+});
@@ -0,0 +1,236 @@
+// Moving the loan to another lender at a lower rate (a balance transfer),
+// against staying, prepaying after the move, or investing the extra cash.
+
+import {
+  calculateEMI,
+  calculateNewTenure,
+  generateFullAmortization,
+  monthlyLoanPayments,
+  totalInterest,
+} from "./amortization";
+import { prepaymentCharges } from "./charges";
+import { totalContributed } from "./investment";
+import { investPot, refundFlows } from "./ledger";
+import { calculateYearlyBorrowerTaxBenefits } from "./tax";
+import {
+  analyzeScenario,
+  borrowersOf,
+  chargeRulesOf,
+  mergeInputs,
+} from "./analyzeScenario";
+
+export const REFINANCE_OPTIONS = {
+  stay: "Stay",
+  refinance: "Refinance",
+  refinancePrepay: "Refinance + Prepay",
+  invest: "Stay + Invest",
+};
+
+// First month (from today) by which the interest saved covers `costs`, or
+// null if it never does
+const breakEvenMonth = (staySchedule, schedule, costs) => {
+  let saved = 0;
+  const months = Math.max(staySchedule.length, schedule.length);
+  for (let i = 0; i < months; i++) {
+    saved +=
+      (staySchedule[i] ? staySchedule[i].interest : 0) -
+      (schedule[i] ? schedule[i].interest : 0);
+    if (saved >= costs) return i + 1;
+  }
+  return null;
+};
+
+/**
+ * Compares the REFINANCE_OPTIONS for the loan in `inputs` (see
+ * analyzeScenario, which `today` is passed on to). The loan moves after
+ * `refinanceMonth` EMIs, with its outstanding balance at that point, to
+ * `refinanceRate`% over `refinanceTenureYears`. Switching costs are the
+ * new lender's processing fee (`refinanceFeeRate`% of the balance) plus
+ * `refinanceFlatFees`, and whatever the current lender charges to foreclose
+ * (its prepayment charge rules). "Refinance + Prepay" puts the extra cash
+ * into the new loan when it starts; "Stay + Invest" is analyzeScenario's
+ * investing side.
+ *
+ * Returns `switchMonth`, `outstanding` and `options` [{ key, emi,
+ * tenureMonths (from today), totalInterest, switchingCosts, breakEvenMonth,
+ * netBenefit }]. Like analyzeScenario's (see buildCashFlowLedger), each net
+ * benefit is what the option is worth at the end of the same horizon, less
+ * the cash it puts in: whatever it pays less than staying each month, its
+ * tax refunds and any cash invested grow at the expected return, switching
+ * costs are paid on top, and it is measured against staying with the
+ * loan's own refunds reinvested.
+ */
+export const analyzeRefinance = (inputs = {}, today = new Date()) => {
+  const merged = mergeInputs(inputs, today);
+  const {
+    extraCash,
+    taxRegime,
+    propertyUse,
+    annualRent,
+    startFinancialYear,
+    prepaymentMethod,
+    refinanceRate,
+    refinanceTenureYears,
+    refinanceFeeRate,
+    refinanceFlatFees,
+  } = merged;
+  const results = analyzeScenario(merged, today);
+  const stay = results.originalAmortization;
+  const switchMonth = Math.min(
+    Math.max(0, parseInt(merged.refinanceMonth, 10) || 0),
+    stay.length
+  );
+  // From the schedule in use, which may be the lender's imported one
+  const outstanding =
+    switchMonth === 0
+      ? stay[0].endingBalance + stay[0].principal + stay[0].prepayment
+      : stay[switchMonth - 1].endingBalance;
+  const rate = parseFloat(refinanceRate);
+  const months = Math.round(parseFloat(refinanceTenureYears) * 12);
+  const cash = parseFloat(extraCash);
+
+  const foreclosureCharge = prepaymentCharges(
+    [{ month: switchMonth, amount: outstanding }],
+    chargeRulesOf(merged)
+  )[0].charge;
+  const switchingCosts =
+    (outstanding * parseFloat(refinanceFeeRate)) / 100 +
+    parseFloat(refinanceFlatFees) +
+    foreclosureCharge;
+
+  // The old loan's first `switchMonth` months, then the new loan's
+  const newLoan = (principal, emi, tenure) =>
+    generateFullAmortization(principal, rate, tenure, emi).map((row) => ({
+      ...row,
+      month: row.month + switchMonth,
+    }));
+  const refinanced = (schedule) => stay.slice(0, switchMonth).concat(schedule);
+  const newEmi = calculateEMI(outstanding, rate, months);
+  const prepaidBalance = outstanding - cash;
+  let prepaidEmi = 0;
+  let prepaidTenure = 0;
+  if (prepaidBalance > 0) {
+    prepaidEmi =
+      prepaymentMethod === "reduceEmi"
+        ? calculateEMI(prepaidBalance, rate, months)
+        : newEmi;
+    prepaidTenure =
+      prepaymentMethod === "reduceEmi"
+        ? months
+        : calculateNewTenure(prepaidBalance, newEmi, rate);
+  }
+
+  const refinancedLoan = newLoan(outstanding, newEmi, months);
+  const prepaidLoan = newLoan(
+    Math.max(0, prepaidBalance),
+    prepaidEmi,
+    prepaidTenure
+  );
+
+  // Every option over the same horizon, long enough for the longest loan
+  const horizonMonths = Math.max(
+    results.horizonMonths,
+    switchMonth + refinancedLoan.length,
+    switchMonth + prepaidLoan.length
+  );
+  const taxOptions = {
+    taxRegime,
+    propertyUse,
+    annualRent: parseFloat(annualRent),
+    borrowers: borrowersOf(merged),
+    startFinancialYear,
+    years: Math.ceil(horizonMonths / 12),
+    firstEmiDate: merged.firstEmiDate,
+  };
+  const refunds = (schedule) => {
+    const yearly = calculateYearlyBorrowerTaxBenefits(schedule, taxOptions);
+    return refundFlows(
+      yearly[0].map((_, year) =>
+        yearly.reduce((acc, benefits) => acc + benefits[year], 0)
+      ),
+      horizonMonths
+    );
+  };
+  const potOf = (flows) =>
+    investPot(flows, {
+      annualReturn: parseFloat(merged.investmentReturn),
+      horizonMonths,
+      investmentType: merged.investmentType,
+      taxRegime,
+      annualIncome: parseFloat(merged.annualIncome),
+      startFinancialYear,
+    });
+  const stayRefunds = refunds(stay);
+  const baseline = potOf(stayRefunds);
+  const stayPayments = monthlyLoanPayments(stay);
+  // What a switch pays less than staying each month, from the switch on
+  // (negative once the new loan runs past the old one)
+  const freed = (loan) => {
+    const payments = monthlyLoanPayments(loan);
+    const flows = [];
+    for (let month = switchMonth + 1; month <= horizonMonths; month++)
+      flows.push({
+        month,
+        amount:
+          (stayPayments[month - 1] || 0) -
+          (payments[month - switchMonth - 1] || 0),
+      });
+    return flows;
+  };
+
+  // Switching costs are paid when the loan moves, out of what it has
+  // invested by then
+  const option = (key, schedule, emi, costs, flows, cashIn) => ({
+    key,
+    emi,
+    tenureMonths: schedule.length,
+    totalInterest: totalInterest(schedule),
+    switchingCosts: costs,
+    breakEvenMonth: costs > 0 ? breakEvenMonth(stay, schedule, costs) : null,
+    netBenefit:
+      potOf(
+        costs > 0 ? [...flows, { month: switchMonth, amount: -costs }] : flows
+      ).wealth -
+      cashIn -
+      baseline.wealth,
+  });
+
+  return {
+    switchMonth,
+    outstanding,
+    options: [
+      option("stay", stay, results.originalEmi, 0, stayRefunds, 0),
+      option(
+        "refinance",
+        refinanced(refinancedLoan),
+        newEmi,
+        switchingCosts,
+        [...freed(refinancedLoan), ...refunds(refinanced(refinancedLoan))],
+        0
+      ),
+      // The cash goes into the new loan, what's beyond it is invested
+      option(
+        "refinancePrepay",
+        refinanced(prepaidLoan),
+        prepaidEmi,
+        switchingCosts,
+        [
+          { month: switchMonth, amount: Math.max(0, -prepaidBalance) },
+          ...freed(prepaidLoan),
+          ...refunds(refinanced(prepaidLoan)),
+        ],
+        cash
+      ),
+      // analyzeScenario's investing side: the loan is kept and the cash,
+      // planned prepayments and EMI raises are invested
+      option(
+        "invest",
+        stay,
+        results.originalEmi,
+        0,
+        [...results.investmentOutflows, ...stayRefunds],
+        totalContributed(results.investmentOutflows)
+      ),
+    ],
+  };
+};
@@ -0,0 +1,98 @@
+import { analyzeScenario } from "./analyzeScenario";
+import { analyzeRefinance } from "./refinance";
+
+const byKey = (analysis) =>
+  Object.fromEntries(analysis.options.map((option) => [option.key, option]));
+
+describe("analyzeRefinance", () => {
+  test("a lower rate cuts the EMI and pays back its costs", () => {
+    const { stay, refinance } = byKey(analyzeRefinance());
+    expect(stay.netBenefit).toBe(0);
+    expect(refinance.emi).toBeLessThan(stay.emi);
+    // 0.5% of ₹50L plus ₹10K
+    expect(refinance.switchingCosts).toBeCloseTo(35000);
+    expect(refinance.breakEvenMonth).toBeGreaterThan(0);
+    expect(refinance.netBenefit).toBeGreaterThan(0);
+  });
+
+  test("switches with the balance left after the EMIs already paid", () => {
+    const analysis = analyzeRefinance({ refinanceMonth: 24 });
+    const results = analyzeScenario();
+    expect(analysis.outstanding).toBeCloseTo(
+      results.originalAmortization[23].endingBalance
+    );
+    // A fresh 20-year loan two years in runs 22 years from today
+    expect(byKey(analysis).refinance.tenureMonths).toBe(264);
+  });
+
+  test("adds the current lender's foreclosure charges to the costs", () => {
+    const { refinance } = byKey(analyzeRefinance({ prepaymentChargeRate: 2 }));
+    expect(refinance.switchingCosts).toBeCloseTo(35000 + 100000);
+  });
+
+  test("prepaying the new loan shortens it", () => {
+    const { refinance, refinancePrepay } = byKey(analyzeRefinance());
+    expect(refinancePrepay.tenureMonths).toBeLessThan(refinance.tenureMonths);
+    expect(refinancePrepay.totalInterest).toBeLessThan(refinance.totalInterest);
+  });
+
+  test("a costlier new loan never breaks even", () => {
+    const { refinance } = byKey(analyzeRefinance({ refinanceRate: 9.5 }));
+    expect(refinance.breakEvenMonth).toBeNull();
+    expect(refinance.netBenefit).toBeLessThan(0);
+  });
+
+  test("switches with the balance of an imported schedule", () => {
+    const { originalAmortization } = analyzeScenario({ loanAmount: 4000000 });
+    const analysis = analyzeRefinance({
+      importedSchedule: originalAmortization,
+    });
+    expect(analysis.outstanding).toBeCloseTo(4000000);
+  });
+
+  test("measures every option on the same reinvested basis", () => {
+    // Without returns or tax benefits a switch is worth the interest it
+    // saves less its costs
+    const still = byKey(
+      analyzeRefinance({ investmentReturn: 0, taxRegime: "new" })
+    );
+    [still.refinance, still.refinancePrepay].forEach((option) =>
+      expect(option.netBenefit).toBeCloseTo(
+        still.stay.totalInterest - option.totalInterest - 35000,
+        0
+      )
+    );
+    // With returns, the EMIs a switch frees are reinvested too
+    const growing = byKey(analyzeRefinance({ taxRegime: "new" }));
+    expect(growing.refinance.netBenefit).toBeGreaterThan(
+      still.refinance.netBenefit
+    );
+  });
+
+  test("switching costs lose what they'd have grown to from the switch", () => {
+    const netBenefit = (flatFees) =>
+      byKey(
+        analyzeRefinance({
+          taxRegime: "new",
+          refinanceFlatFees: flatFees,
+        })
+      ).refinance.netBenefit;
+    // ₹1L more paid today costs more than ₹1L by the horizon
+    expect(netBenefit(10000) - netBenefit(110000)).toBeGreaterThan(100000);
+  });
+
+  test("investing keeps the loan and earns the post-tax gain", () => {
+    // EMIs from November, so tax years follow the financial years they
+    // fall in, as in the main analysis
+    const loan = {
+      firstEmiDate: new Date(2026, 10, 1),
+      startFinancialYear: 2026,
+    };
+    const { invest } = byKey(analyzeRefinance(loan));
+    // Beyond what the loan's tax refunds grow to when reinvested anyway
+    const results = analyzeScenario(loan);
+    expect(invest.netBenefit).toBeCloseTo(
+      results.netBenefitInvesting - results.ledger.baseline.wealth
+    );
+  });
+});
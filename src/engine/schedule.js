@@ -0,0 +1,113 @@
+// Views over an amortization schedule: running totals, yearly groups,
+// totals and milestones. Rows are those of generateFullAmortization. Also
+// the EMI dates the views go by: the default first EMI date, reading
+// 'YYYY-MM-DD' dates and the date of each EMI.
+import { financialYearOf, formatFinancialYear } from "./taxRules";
+
+// First EMI date assumed until the loan's real dates are known: the 1st of
+// next month
+export const defaultFirstEmiDate = (today = new Date()) =>
+  new Date(today.getFullYear(), today.getMonth() + 1, 1);
+
+// The day in a 'YYYY-MM-DD' string, or null when it isn't a real date
+export const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// Date of the EMI in `month` (1-based) when the first falls on firstEmiDate
+export const emiDate = (firstEmiDate, month) =>
+  new Date(firstEmiDate.getFullYear(), firstEmiDate.getMonth() + month - 1, 1);
+
+/** Rows with `cumulativeInterest` and `cumulativePrincipal` (incl. prepayments). */
+export const withRunningTotals = (schedule) => {
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  return schedule.map((row) => {
+    cumulativeInterest += row.interest;
+    cumulativePrincipal += row.principal + (row.prepayment || 0);
+    return { ...row, cumulativeInterest, cumulativePrincipal };
+  });
+};
+
+export const scheduleTotals = (schedule) =>
+  schedule.reduce(
+    (acc, row) => ({
+      interest: acc.interest + row.interest,
+      principal: acc.principal + row.principal,
+      prepayment: acc.prepayment + (row.prepayment || 0),
+      payment: acc.payment + row.totalPayment,
+    }),
+    { interest: 0, principal: 0, prepayment: 0, payment: 0 }
+  );
+
+/**
+ * Months at which the loan passes its milestones, or null if it never does:
+ * `halfPrincipalRepaid` once half the starting principal is repaid, and
+ * `principalExceedsInterest` when an EMI first repays more principal than
+ * interest.
+ */
+export const findMilestones = (schedule) => {
+  const milestones = {
+    halfPrincipalRepaid: null,
+    principalExceedsInterest: null,
+  };
+  if (schedule.length === 0) return milestones;
+  const first = schedule[0];
+  const startingPrincipal =
+    first.endingBalance + first.principal + (first.prepayment || 0);
+  withRunningTotals(schedule).forEach((row) => {
+    if (
+      milestones.halfPrincipalRepaid === null &&
+      row.cumulativePrincipal >= startingPrincipal / 2
+    )
+      milestones.halfPrincipalRepaid = row.month;
+    if (
+      milestones.principalExceedsInterest === null &&
+      row.principal > row.interest
+    )
+      milestones.principalExceedsInterest = row.month;
+  });
+  return milestones;
+};
+
+/**
+ * Groups a schedule by 'calendar' (Jan-Dec) or 'financial' (Apr-Mar) year,
+ * dating month 1 at `firstEmiDate`. Each group sums interest, principal,
+ * prepayment and payment, and keeps the closing balance, running totals and
+ * the months it covers.
+ */
+export const groupScheduleByYear = (schedule, { firstEmiDate, basis }) => {
+  const groups = [];
+  withRunningTotals(schedule).forEach((row) => {
+    const date = emiDate(firstEmiDate, row.month);
+    const year =
+      basis === "financial" ? financialYearOf(date) : date.getFullYear();
+    let group = groups[groups.length - 1];
+    if (!group || group.year !== year) {
+      group = {
+        year,
+        label: basis === "financial" ? formatFinancialYear(year) : String(year),
+        firstMonth: row.month,
+        lastMonth: row.month,
+        interest: 0,
+        principal: 0,
+        prepayment: 0,
+        payment: 0,
+      };
+      groups.push(group);
+    }
+    group.lastMonth = row.month;
+    group.interest += row.interest;
+    group.principal += row.principal;
+    group.prepayment += row.prepayment || 0;
+    group.payment += row.totalPayment;
+    group.endingBalance = row.endingBalance;
+    group.cumulativeInterest = row.cumulativeInterest;
+    group.cumulativePrincipal = row.cumulativePrincipal;
+  });
+  return groups;
+};
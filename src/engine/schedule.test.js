@@ -0,0 +1,92 @@
+import { calculateEMI, generateFullAmortization } from "./amortization";
+import {
+  emiDate,
+  findMilestones,
+  groupScheduleByYear,
+  scheduleTotals,
+  withRunningTotals,
+} from "./schedule";
+
+const principal = 5000000;
+const emi = calculateEMI(principal, 9, 240);
+const schedule = generateFullAmortization(principal, 9, 240, emi);
+
+describe("schedule views", () => {
+  test("running totals end at the loan's interest and principal", () => {
+    const rows = withRunningTotals(schedule);
+    const last = rows[rows.length - 1];
+    expect(last.cumulativePrincipal).toBeCloseTo(principal, 0);
+    expect(last.cumulativeInterest).toBeCloseTo(
+      scheduleTotals(schedule).interest,
+      2
+    );
+  });
+
+  test("running principal includes prepayments", () => {
+    const prepaid = generateFullAmortization(principal, 9, 240, emi, {
+      prepayments: { 1: 1000000 },
+    });
+    expect(withRunningTotals(prepaid)[0].cumulativePrincipal).toBeCloseTo(
+      prepaid[0].principal + 1000000,
+      2
+    );
+  });
+
+  test("groups by financial year from April", () => {
+    // First EMI in February 2025: two months fall in FY 2024-25
+    const groups = groupScheduleByYear(schedule, {
+      firstEmiDate: new Date(2025, 1, 1),
+      basis: "financial",
+    });
+    expect(groups[0]).toMatchObject({
+      label: "FY 2024-25",
+      firstMonth: 1,
+      lastMonth: 2,
+    });
+    expect(groups[1]).toMatchObject({ firstMonth: 3, lastMonth: 14 });
+    const summed = groups.reduce((sum, g) => sum + g.interest, 0);
+    expect(summed).toBeCloseTo(scheduleTotals(schedule).interest, 2);
+    expect(groups[groups.length - 1].endingBalance).toBe(0);
+  });
+
+  test("groups by calendar year", () => {
+    const groups = groupScheduleByYear(schedule, {
+      firstEmiDate: new Date(2025, 1, 1),
+      basis: "calendar",
+    });
+    expect(groups[0]).toMatchObject({ label: "2025", lastMonth: 11 });
+    expect(groups).toHaveLength(21);
+  });
+
+  test("dates EMIs month by month", () => {
+    expect(emiDate(new Date(2025, 10, 1), 3)).toEqual(new Date(2026, 0, 1));
+  });
+
+  test("finds the milestones of a level-EMI loan", () => {
+    const { halfPrincipalRepaid, principalExceedsInterest } =
+      findMilestones(schedule);
+    const rows = withRunningTotals(schedule);
+    expect(
+      rows[halfPrincipalRepaid - 1].cumulativePrincipal
+    ).toBeGreaterThanOrEqual(principal / 2);
+    expect(rows[halfPrincipalRepaid - 2].cumulativePrincipal).toBeLessThan(
+      principal / 2
+    );
+    expect(schedule[principalExceedsInterest - 1].principal).toBeGreaterThan(
+      schedule[principalExceedsInterest - 1].interest
+    );
+    expect(
+      schedule[principalExceedsInterest - 2].principal
+    ).toBeLessThanOrEqual(schedule[principalExceedsInterest - 2].interest);
+    // Principal overtakes interest well into the loan, and before half is repaid
+    expect(principalExceedsInterest).toBeGreaterThan(100);
+    expect(principalExceedsInterest).toBeLessThan(halfPrincipalRepaid);
+  });
+
+  test("milestones are null for an empty schedule", () => {
+    expect(findMilestones([])).toEqual({
+      halfPrincipalRepaid: null,
+      principalExceedsInterest: null,
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// How the recommendation holds up as inputs move: two-way grids of
+// "Invest minus Prepay" and a one-at-a-time tornado analysis.
+
+import { analyzeScenario, DEFAULT_INPUTS } from "./analyzeScenario";
+import { INPUT_RULES } from "./validation";
+
+// Net benefit of investing over prepaying; positive means invest
+export const investAdvantage = (inputs) => {
+  const results = analyzeScenario(inputs);
+  return results.netBenefitInvesting - results.netBenefitPrepaying;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// `count` values either side of `center`, `step` apart, above `min`
+const around = (center, step, count, min) => {
+  const values = [];
+  for (let i = -count; i <= count; i++) {
+    const value = round(center + i * step);
+    if (value > min) values.push(value);
+  }
+  return values;
+};
+
+// Grid values for each input the heatmaps can sweep
+const AXES = {
+  interestRate: (inputs) => around(parseFloat(inputs.interestRate), 0.5, 6, 0),
+  investmentReturn: (inputs) =>
+    around(parseFloat(inputs.investmentReturn), 1, 6, -1),
+  tenureYears: () => [5, 10, 15, 20, 25, 30],
+  taxSlab: () => [0, 5, 10, 15, 20, 25, 30],
+};
+
+export const SENSITIVITY_GRIDS = {
+  rateVsReturn: { x: "investmentReturn", y: "interestRate" },
+  tenureVsSlab: { x: "taxSlab", y: "tenureYears" },
+};
+
+// Inputs an imported schedule replaces, so moving them changes nothing
+const SCHEDULE_INPUTS = ["tenureYears", "loanAmount"];
+
+const sweepable = (inputs, key) =>
+  !(inputs.importedSchedule.length > 0 && SCHEDULE_INPUTS.includes(key));
+
+/**
+ * Names of the SENSITIVITY_GRIDS that can move with these inputs: with an
+ * imported schedule, grids over the tenure or loan amount are left out.
+ */
+export const availableGrids = (inputs) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  return Object.keys(SENSITIVITY_GRIDS).filter((name) => {
+    const { x, y } = SENSITIVITY_GRIDS[name];
+    return sweepable(merged, x) && sweepable(merged, y);
+  });
+};
+
+/**
+ * "Invest minus Prepay" across the `x` × `y` inputs of a SENSITIVITY_GRIDS
+ * entry, all else as in `inputs`. Returns { x, y, xValues, yValues, cells }
+ * with cells[row][column] for yValues[row] and xValues[column].
+ */
+export const sensitivityGrid = (inputs, { x, y }) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  const xValues = AXES[x](merged);
+  const yValues = AXES[y](merged);
+  const cells = yValues.map((yValue) =>
+    xValues.map((xValue) =>
+      investAdvantage({ ...merged, [x]: xValue, [y]: yValue })
+    )
+  );
+  return { x, y, xValues, yValues, cells };
+};
+
+// Low and high cases of each input in the tornado chart
+const TORNADO_FACTORS = [
+  { key: "interestRate", low: (v) => v - 1, high: (v) => v + 1 },
+  { key: "investmentReturn", low: (v) => v - 2, high: (v) => v + 2 },
+  {
+    key: "tenureYears",
+    low: (v) => Math.max(1, v - 5),
+    high: (v) => Math.min(INPUT_RULES.tenureYears.max, v + 5),
+  },
+  {
+    key: "taxSlab",
+    low: (v) => Math.max(0, v - 10),
+    high: (v) => Math.min(30, v + 10),
+  },
+  { key: "extraCash", low: (v) => v * 0.5, high: (v) => v * 1.5 },
+  { key: "loanAmount", low: (v) => v * 0.8, high: (v) => v * 1.2 },
+];
+
+/**
+ * Moves each input to a low and a high case on its own. Returns the `base`
+ * advantage and `factors` [{ key, lowValue, highValue, low, high, swing }]
+ * sorted by how far they move "Invest minus Prepay", largest first. Inputs
+ * an imported schedule replaces are left out.
+ */
+export const tornadoAnalysis = (inputs) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  const base = investAdvantage(merged);
+  const factors = TORNADO_FACTORS.filter(({ key }) =>
+    sweepable(merged, key)
+  ).map(({ key, low, high }) => {
+    const value = parseFloat(merged[key]);
+    const lowValue = round(low(value));
+    const highValue = round(high(value));
+    const lowAdvantage = investAdvantage({ ...merged, [key]: lowValue });
+    const highAdvantage = investAdvantage({ ...merged, [key]: highValue });
+    return {
+      key,
+      lowValue,
+      highValue,
+      low: lowAdvantage,
+      high: highAdvantage,
+      swing: Math.abs(highAdvantage - lowAdvantage),
+    };
+  });
+  factors.sort((a, b) => b.swing - a.swing);
+  return { base, factors };
+};
+
+// Both views at once, for the sensitivity worker
+export const runSensitivity = ({ inputs, grid }) => ({
+  grid: sensitivityGrid(inputs, SENSITIVITY_GRIDS[grid]),
+  tornado: tornadoAnalysis(inputs),
+});
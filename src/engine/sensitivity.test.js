@@ -0,0 +1,105 @@
+import { analyzeScenario } from "./analyzeScenario";
+import {
+  availableGrids,
+  investAdvantage,
+  runSensitivity,
+  sensitivityGrid,
+  SENSITIVITY_GRIDS,
+  tornadoAnalysis,
+} from "./sensitivity";
+import { INPUT_RULES } from "./validation";
+
+describe("sensitivity analysis", () => {
+  test("grids centre on the current rate and return", () => {
+    const grid = sensitivityGrid({}, SENSITIVITY_GRIDS.rateVsReturn);
+    expect(grid.xValues).toContain(12);
+    expect(grid.yValues).toContain(9);
+    expect(grid.yValues[0]).toBe(6);
+    expect(grid.cells).toHaveLength(grid.yValues.length);
+    grid.cells.forEach((row) => expect(row).toHaveLength(grid.xValues.length));
+  });
+
+  test("each cell is Invest minus Prepay at that point", () => {
+    const grid = sensitivityGrid({}, SENSITIVITY_GRIDS.rateVsReturn);
+    const row = grid.yValues.indexOf(9);
+    const column = grid.xValues.indexOf(12);
+    const results = analyzeScenario();
+    expect(grid.cells[row][column]).toBeCloseTo(
+      results.netBenefitInvesting - results.netBenefitPrepaying,
+      2
+    );
+  });
+
+  test("higher returns favour investing, costlier loans prepaying", () => {
+    const { cells } = sensitivityGrid({}, SENSITIVITY_GRIDS.rateVsReturn);
+    const middle = Math.floor(cells.length / 2);
+    expect(cells[middle][cells[middle].length - 1]).toBeGreaterThan(
+      cells[middle][0]
+    );
+    expect(cells[cells.length - 1][middle]).toBeLessThan(cells[0][middle]);
+  });
+
+  test("the rate grid skips non-positive rates", () => {
+    const grid = sensitivityGrid(
+      { interestRate: 2 },
+      SENSITIVITY_GRIDS.rateVsReturn
+    );
+    expect(Math.min(...grid.yValues)).toBeGreaterThan(0);
+  });
+
+  test("the tornado sorts inputs by how far they swing the decision", () => {
+    const { base, factors } = tornadoAnalysis({});
+    expect(base).toBeCloseTo(investAdvantage({}), 2);
+    expect(factors).toHaveLength(6);
+    for (let i = 1; i < factors.length; i++)
+      expect(factors[i - 1].swing).toBeGreaterThanOrEqual(factors[i].swing);
+    const rate = factors.find((factor) => factor.key === "interestRate");
+    expect(rate).toMatchObject({ lowValue: 8, highValue: 10 });
+    expect(rate.low).toBeGreaterThan(rate.high);
+  });
+
+  test("the tenure's high case stops at the longest tenure allowed", () => {
+    const { factors } = tornadoAnalysis({ tenureYears: 38 });
+    const tenure = factors.find((factor) => factor.key === "tenureYears");
+    expect(tenure.highValue).toBe(INPUT_RULES.tenureYears.max);
+  });
+
+  test("runSensitivity returns the chosen grid and the tornado", () => {
+    const { grid, tornado } = runSensitivity({
+      inputs: {},
+      grid: "tenureVsSlab",
+    });
+    expect(grid).toMatchObject({ x: "taxSlab", y: "tenureYears" });
+    expect(tornado.factors.length).toBeGreaterThan(0);
+  });
+});
+
+describe("with an imported schedule", () => {
+  const importedSchedule = [
+    {
+      month: 1,
+      principal: 20000,
+      interest: 30000,
+      totalPayment: 50000,
+      endingBalance: 3980000,
+    },
+    {
+      month: 2,
+      principal: 20150,
+      interest: 29850,
+      totalPayment: 50000,
+      endingBalance: 3959850,
+    },
+  ];
+
+  test("leaves out the tenure and loan amount the schedule fixes", () => {
+    expect(availableGrids({})).toEqual(["rateVsReturn", "tenureVsSlab"]);
+    expect(availableGrids({ importedSchedule })).toEqual(["rateVsReturn"]);
+    const keys = tornadoAnalysis({ importedSchedule }).factors.map(
+      (factor) => factor.key
+    );
+    expect(keys).not.toContain("tenureYears");
+    expect(keys).not.toContain("loanAmount");
+    expect(keys).toHaveLength(4);
+  });
+});
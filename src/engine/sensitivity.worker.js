@@ -0,0 +1,8 @@
+// Runs the sensitivity grids off the main thread, answering each `id` like
+// the Monte Carlo worker.
+import { runSensitivity } from "./sensitivity";
+
+globalThis.onmessage = (event) => {
+  const { id, params } = event.data;
+  globalThis.postMessage({ id, result: runSensitivity(params) });
+};
@@ -0,0 +1,80 @@
+import { analyzeScenario } from "./analyzeScenario";
+import { compareEmiStepUp } from "./stepUp";
+
+const loan = {
+  firstEmiDate: new Date(2026, 10, 1),
+  startFinancialYear: 2026,
+};
+const tenPercent = [
+  { id: 1, frequency: "yearly", startMonth: 13, percent: 10, amount: 0 },
+];
+
+describe("compareEmiStepUp", () => {
+  const comparison = compareEmiStepUp({ ...loan, emiStepUps: tenPercent });
+
+  test("ends the loan sooner with less interest", () => {
+    const { baseline, stepped, emiByYear } = comparison;
+    expect(baseline.tenureMonths).toBe(240);
+    expect(stepped.tenureMonths).toBeLessThan(120);
+    expect(comparison.monthsSaved).toBe(240 - stepped.tenureMonths);
+    expect(comparison.interestSaved).toBeCloseTo(
+      baseline.totalInterest - stepped.totalInterest
+    );
+    expect(emiByYear[0].emi).toBeCloseTo(baseline.emi);
+    expect(emiByYear[2].emi).toBeCloseTo(baseline.emi * 1.21);
+  });
+
+  test("leaves out the extra cash and planned prepayments", () => {
+    const withCash = compareEmiStepUp({
+      ...loan,
+      emiStepUps: tenPercent,
+      extraCash: 1000000,
+      prepaymentPlan: [
+        { id: 1, frequency: "once", amount: 100000, startMonth: 6 },
+      ],
+    });
+    expect(withCash.stepped).toEqual(comparison.stepped);
+  });
+
+  test("invests exactly the raises in the SIP", () => {
+    const results = analyzeScenario({
+      ...loan,
+      extraCash: 0,
+      emiStepUps: tenPercent,
+    });
+    expect(results.totalPrepaid).toBe(0);
+    expect(results.totalEmiRaised).toBeCloseTo(comparison.stepped.totalRaised);
+    expect(results.investmentOutflows[1].month).toBe(13);
+    expect(results.investmentOutflows[1].amount).toBeCloseTo(
+      results.originalEmi * 0.1
+    );
+    // The raises aren't prepayments, so they aren't charged
+    expect(
+      analyzeScenario({
+        ...loan,
+        extraCash: 0,
+        emiStepUps: tenPercent,
+        prepaymentChargeRate: 2,
+      }).totalPrepaymentCharges
+    ).toBe(0);
+    expect(comparison.netBenefitRaising).toBeCloseTo(
+      results.netBenefitPrepaying
+    );
+    expect(comparison.betterOption).toBe(
+      comparison.netBenefitInvesting > comparison.netBenefitRaising
+        ? "invest"
+        : "raise"
+    );
+  });
+
+  test("the raising side spends all its budget until the loan is repaid", () => {
+    const { rows } = analyzeScenario({
+      ...loan,
+      extraCash: 0,
+      emiStepUps: tenPercent,
+    }).ledger;
+    expect(rows[30].prepay.invested).toBeCloseTo(0, 2);
+    expect(rows[30].invest.invested).toBeGreaterThan(0);
+    expect(rows[200].prepay.loanPayment).toBe(0);
+  });
+});
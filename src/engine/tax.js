@@ -0,0 +1,220 @@
+// Indian income-tax treatment of home loans and investment gains, applied
+// year by year with the rules of each financial year.
+import { rulesForYear, marginalSlabTax, financialYearOf } from "./taxRules";
+import { emiDate } from "./schedule";
+
+// Sums a monthly schedule into loan years (months 1-12 are year 1, ...), or
+// into April-March financial years when the first EMI's date is known
+export const groupByLoanYear = (schedule, firstEmiDate) => {
+  const yearlyData = [];
+  const firstYear = firstEmiDate && financialYearOf(firstEmiDate);
+  schedule.forEach((monthData, i) => {
+    const index = firstEmiDate
+      ? financialYearOf(emiDate(firstEmiDate, i + 1)) - firstYear
+      : Math.floor(i / 12);
+    if (!yearlyData[index])
+      yearlyData[index] = {
+        year: index + 1,
+        interest: 0,
+        principal: 0,
+      };
+    yearlyData[index].interest += monthData.interest;
+    // Prepayments are principal repayments too (80C)
+    yearlyData[index].principal +=
+      monthData.principal + (monthData.prepayment || 0);
+  });
+  return yearlyData;
+};
+
+/**
+ * Tax each borrower saves in each loan year of a home loan: one array of
+ * yearly amounts per borrower, in the order of `borrowers` ({ share (%),
+ * slab (fraction), used80C }). Each one claims their share of the
+ * principal, interest and rent. Loan year 1 is `startFinancialYear`; with a
+ * `firstEmiDate` each year is the financial year its EMIs fall in. `years`
+ * extends the run past the schedule so losses carried forward can still be
+ * absorbed after the loan closes.
+ *
+ * Old regime: principal under 80C up to what `used80C` leaves. Self-occupied
+ * interest under 24(b) up to its cap. Let-out interest against rent after
+ * the 30% standard deduction, with a net loss set off against other income
+ * up to the yearly limit and the rest carried forward against future rent.
+ *
+ * New regime: only let-out interest counts, against that year's rent.
+ */
+export const calculateYearlyBorrowerTaxBenefits = (
+  schedule,
+  {
+    taxRegime,
+    propertyUse = "selfOccupied",
+    annualRent = 0,
+    borrowers,
+    startFinancialYear,
+    years = 0,
+    firstEmiDate,
+  }
+) => {
+  const yearlyData = groupByLoanYear(schedule, firstEmiDate);
+  const totalYears = Math.max(yearlyData.length, years);
+  return borrowers.map((borrower) => {
+    const share = borrower.share / 100;
+    const benefits = new Array(totalYears).fill(0);
+    let carriedLosses = []; // [{ year, amount }], oldest first
+    for (let y = 0; y < totalYears; y++) {
+      const rules = rulesForYear(startFinancialYear + y);
+      const interest = (yearlyData[y] ? yearlyData[y].interest : 0) * share;
+      const principal = (yearlyData[y] ? yearlyData[y].principal : 0) * share;
+
+      if (taxRegime === "old") {
+        const available80C = Math.max(
+          0,
+          rules.section80CLimit - borrower.used80C
+        );
+        benefits[y] += Math.min(principal, available80C) * borrower.slab;
+      }
+      if (propertyUse === "selfOccupied") {
+        if (taxRegime === "old")
+          benefits[y] +=
+            Math.min(interest, rules.section24bSopLimit) * borrower.slab;
+        continue;
+      }
+
+      // 'letOut'
+      const rentIncome = annualRent * share * (1 - rules.rentStandardDeduction);
+      if (taxRegime !== "old") {
+        benefits[y] += Math.min(interest, rentIncome) * borrower.slab;
+        continue;
+      }
+      carriedLosses = carriedLosses.filter(
+        (loss) => y - loss.year <= rules.houseLossCarryForwardYears
+      );
+      let houseIncome = rentIncome - interest;
+      if (houseIncome >= 0) {
+        carriedLosses.forEach((loss) => {
+          const used = Math.min(loss.amount, houseIncome);
+          loss.amount -= used;
+          houseIncome -= used;
+        });
+        carriedLosses = carriedLosses.filter((loss) => loss.amount > 0);
+      } else {
+        const setOff = Math.min(-houseIncome, rules.houseLossSetOffLimit);
+        if (-houseIncome > setOff)
+          carriedLosses.push({ year: y, amount: -houseIncome - setOff });
+        houseIncome = -setOff;
+      }
+      // Saved against the tax the same rent would attract without the loan
+      benefits[y] += (rentIncome - houseIncome) * borrower.slab;
+    }
+    return benefits;
+  });
+};
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+/**
+ * Tax each borrower saves over the life of a home loan, as an array in the
+ * order of `borrowers` (see calculateYearlyBorrowerTaxBenefits).
+ */
+export const calculateBorrowerTaxBenefits = (schedule, options) =>
+  calculateYearlyBorrowerTaxBenefits(schedule, options).map(sum);
+
+/**
+ * Combined tax saved by all borrowers (see calculateBorrowerTaxBenefits).
+ * Without `borrowers`, a single owner with `slab` and `used80C` is assumed.
+ */
+export const calculateLoanTaxBenefit = (
+  schedule,
+  { slab, used80C, borrowers = [{ share: 100, slab, used80C }], ...options }
+) => sum(calculateBorrowerTaxBenefits(schedule, { ...options, borrowers }));
+
+const lotValue = (lot, annualReturn, month) =>
+  lot.amount * Math.pow(1 + annualReturn / 100, (month - lot.month) / 12);
+
+/**
+ * Tax on the growth of `outflows` ({ month, amount }) at `annualReturn`%
+ * until `horizonMonths`, redeemed in full at the horizon.
+ *
+ * Equity: every year before the horizon, long-term gains up to that FY's
+ * exemption are booked tax-free and reinvested (gain harvesting). At the
+ * horizon, units held for 12 months or more pay LTCG above the exemption and
+ * the rest pay STCG.
+ *
+ * FD: each year's accrued interest is taxed at the regime's slab rates on
+ * top of `annualIncome`.
+ */
+export const calculateInvestmentTax = (
+  outflows,
+  {
+    annualReturn,
+    horizonMonths,
+    investmentType,
+    taxRegime,
+    annualIncome,
+    startFinancialYear,
+  }
+) => {
+  let tax = 0;
+  let lots = outflows.map((flow) => ({
+    ...flow,
+    cost: flow.amount,
+    boughtAt: flow.month,
+  }));
+  const valueAt = (month) =>
+    lots
+      .filter((lot) => lot.month <= month)
+      .reduce((acc, lot) => acc + lotValue(lot, annualReturn, month), 0);
+
+  for (let start = 0, year = 0; start < horizonMonths; start += 12, year++) {
+    const end = Math.min(start + 12, horizonMonths);
+    const rules = rulesForYear(startFinancialYear + year);
+
+    if (investmentType !== "equity") {
+      // 'fd': interest accrued this year, excluding this year's deposits
+      const deposits = lots
+        .filter((lot) => lot.month > start && lot.month <= end)
+        .reduce((acc, lot) => acc + lot.amount, 0);
+      const interest = valueAt(end) - valueAt(start) - deposits;
+      if (interest > 0)
+        tax += marginalSlabTax(annualIncome, interest, rules.slabs[taxRegime]);
+      continue;
+    }
+
+    const held = lots.filter((lot) => lot.month <= end);
+    const isLongTerm = (lot) => end - lot.boughtAt >= 12;
+    if (end === horizonMonths) {
+      let longTermGain = 0;
+      let shortTermGain = 0;
+      held.forEach((lot) => {
+        const gain = lotValue(lot, annualReturn, end) - lot.cost;
+        if (isLongTerm(lot)) longTermGain += gain;
+        else shortTermGain += gain;
+      });
+      tax +=
+        Math.max(0, longTermGain - rules.ltcgExemption) * rules.ltcgRate +
+        Math.max(0, shortTermGain) * rules.stcgRate;
+      break;
+    }
+
+    // Harvest long-term gains up to the exemption: the units sold are
+    // bought back at today's price, resetting their cost and holding period
+    let room = rules.ltcgExemption;
+    const harvested = [];
+    held.forEach((lot) => {
+      const value = lotValue(lot, annualReturn, end);
+      const gain = value - lot.cost;
+      if (room <= 0 || gain <= 0 || !isLongTerm(lot)) return;
+      const fraction = Math.min(1, room / gain);
+      room -= gain * fraction;
+      harvested.push({
+        month: lot.month,
+        amount: lot.amount * fraction,
+        cost: value * fraction,
+        boughtAt: end,
+      });
+      lot.amount *= 1 - fraction;
+      lot.cost *= 1 - fraction;
+    });
+    lots = [...lots.filter((lot) => lot.amount > 0), ...harvested];
+  }
+  return tax;
+};
@@ -0,0 +1,197 @@
+import {
+  groupByLoanYear,
+  calculateBorrowerTaxBenefits,
+  calculateYearlyBorrowerTaxBenefits,
+  calculateLoanTaxBenefit,
+  calculateInvestmentTax,
+} from "./tax";
+
+const month = (interest, principal, prepayment = 0) => ({
+  interest,
+  principal,
+  prepayment,
+});
+
+describe("groupByLoanYear", () => {
+  test("sums months into loan years including prepayments", () => {
+    const schedule = [
+      ...Array.from({ length: 12 }, () => month(1000, 500)),
+      month(900, 600, 10000),
+    ];
+    expect(groupByLoanYear(schedule)).toEqual([
+      { year: 1, interest: 12000, principal: 6000 },
+      { year: 2, interest: 900, principal: 10600 },
+    ]);
+  });
+
+  test("follows April-March financial years from the first EMI's date", () => {
+    // January to March in the first FY, then April onwards in the next
+    const schedule = Array.from({ length: 5 }, () => month(1000, 500));
+    expect(groupByLoanYear(schedule, new Date(2026, 0, 1))).toEqual([
+      { year: 1, interest: 3000, principal: 1500 },
+      { year: 2, interest: 2000, principal: 1000 },
+    ]);
+  });
+});
+
+describe("calculateLoanTaxBenefit", () => {
+  const schedule = Array.from({ length: 12 }, () => month(25000, 15000));
+
+  test("caps 24(b) interest and 80C principal every year", () => {
+    const benefit = calculateLoanTaxBenefit(schedule, {
+      taxRegime: "old",
+      slab: 0.3,
+      used80C: 50000,
+      startFinancialYear: 2025,
+    });
+    // min(3L, 2L) interest + min(1.8L, 1.5L - 50K) principal at 30%
+    expect(benefit).toBeCloseTo(90000);
+  });
+
+  test("is zero under the new regime", () => {
+    expect(
+      calculateLoanTaxBenefit(schedule, {
+        taxRegime: "new",
+        slab: 0.3,
+        used80C: 0,
+        startFinancialYear: 2025,
+      })
+    ).toBe(0);
+  });
+});
+
+describe("calculateBorrowerTaxBenefits", () => {
+  // ₹6L of interest and ₹1.2L of principal a year for two years
+  const schedule = Array.from({ length: 24 }, () => month(50000, 10000));
+  const you = { share: 100, slab: 0.3, used80C: 0 };
+
+  test("gives each co-borrower their own 80C and 24(b) caps", () => {
+    const [first, second] = calculateBorrowerTaxBenefits(schedule, {
+      taxRegime: "old",
+      borrowers: [
+        { share: 50, slab: 0.3, used80C: 0 },
+        { share: 50, slab: 0.2, used80C: 150000 },
+      ],
+      startFinancialYear: 2025,
+    });
+    // ₹3L interest capped at ₹2L plus ₹60K principal, for two years
+    expect(first).toBeCloseTo((200000 + 60000) * 0.3 * 2);
+    // 80C already used up
+    expect(second).toBeCloseTo(200000 * 0.2 * 2);
+  });
+
+  test("sets off a let-out loss up to ₹2L and carries the rest forward", () => {
+    const [benefit] = calculateBorrowerTaxBenefits(schedule, {
+      taxRegime: "old",
+      propertyUse: "letOut",
+      annualRent: 1000000,
+      borrowers: [{ ...you, used80C: 150000 }],
+      startFinancialYear: 2025,
+      years: 4,
+    });
+    // Rent after the 30% deduction is ₹7L: years 1-2 leave ₹1L of taxable
+    // rent each, years 3-4 absorb nothing as there is no carried loss
+    expect(benefit).toBeCloseTo(600000 * 0.3 * 2);
+
+    const [lossMaking] = calculateBorrowerTaxBenefits(schedule, {
+      taxRegime: "old",
+      propertyUse: "letOut",
+      annualRent: 200000,
+      borrowers: [{ ...you, used80C: 150000 }],
+      startFinancialYear: 2025,
+      years: 4,
+    });
+    // ₹1.4L rent - ₹6L interest = ₹4.6L loss: ₹2L set off, ₹2.6L carried.
+    // Years 3-4 use the carried ₹5.2L against ₹1.4L of rent each.
+    expect(lossMaking).toBeCloseTo((340000 * 2 + 140000 * 2) * 0.3);
+  });
+
+  test("limits let-out interest to the rent under the new regime", () => {
+    const [benefit] = calculateBorrowerTaxBenefits(schedule, {
+      taxRegime: "new",
+      propertyUse: "letOut",
+      annualRent: 500000,
+      borrowers: [you],
+      startFinancialYear: 2025,
+    });
+    expect(benefit).toBeCloseTo(350000 * 0.3 * 2);
+  });
+
+  test("splits the benefit by loan year", () => {
+    const [yearly] = calculateYearlyBorrowerTaxBenefits(schedule, {
+      taxRegime: "old",
+      propertyUse: "letOut",
+      annualRent: 200000,
+      borrowers: [{ ...you, used80C: 150000 }],
+      startFinancialYear: 2025,
+      years: 4,
+    });
+    // Loss set off in years 1-2, carried loss absorbed in years 3-4
+    expect(yearly).toHaveLength(4);
+    expect(yearly[0]).toBeCloseTo(340000 * 0.3);
+    expect(yearly[3]).toBeCloseTo(140000 * 0.3);
+  });
+});
+
+describe("calculateInvestmentTax", () => {
+  const equity = {
+    annualReturn: 10,
+    investmentType: "equity",
+    taxRegime: "old",
+    annualIncome: 0,
+  };
+
+  test("uses the LTCG rate and exemption of the redemption year", () => {
+    // ₹20L grows to ₹22L in a year: ₹2L long-term gain
+    const outflows = [{ month: 0, amount: 2000000 }];
+    const before = calculateInvestmentTax(outflows, {
+      ...equity,
+      horizonMonths: 12,
+      startFinancialYear: 2023,
+    });
+    const after = calculateInvestmentTax(outflows, {
+      ...equity,
+      horizonMonths: 12,
+      startFinancialYear: 2024,
+    });
+    expect(before).toBeCloseTo((200000 - 100000) * 0.1);
+    expect(after).toBeCloseTo((200000 - 125000) * 0.125);
+  });
+
+  test("applies the exemption every year rather than once", () => {
+    const outflows = [{ month: 0, amount: 2000000 }];
+    const tax = calculateInvestmentTax(outflows, {
+      ...equity,
+      horizonMonths: 120,
+      startFinancialYear: 2025,
+    });
+    const totalGain = 2000000 * Math.pow(1.1, 10) - 2000000;
+    const exemptOnce = (totalGain - 125000) * 0.125;
+    // Nine harvested years plus the final year's exemption
+    expect(tax).toBeLessThan(exemptOnce);
+    expect(tax).toBeGreaterThan((totalGain - 10 * 125000) * 0.125);
+  });
+
+  test("taxes units held under a year as short-term", () => {
+    const tax = calculateInvestmentTax([{ month: 6, amount: 1000000 }], {
+      ...equity,
+      horizonMonths: 12,
+      startFinancialYear: 2025,
+    });
+    const gain = 1000000 * Math.pow(1.1, 0.5) - 1000000;
+    expect(tax).toBeCloseTo(gain * 0.2);
+  });
+
+  test("taxes FD interest yearly at the marginal slab", () => {
+    const tax = calculateInvestmentTax([{ month: 0, amount: 1000000 }], {
+      annualReturn: 7,
+      horizonMonths: 24,
+      investmentType: "fd",
+      taxRegime: "new",
+      annualIncome: 3000000,
+      startFinancialYear: 2025,
+    });
+    // 70,000 then 74,900 of interest, all in the 30% slab
+    expect(tax).toBeCloseTo((70000 + 74900) * 0.3);
+  });
+});
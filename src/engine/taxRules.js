@@ -0,0 +1,120 @@
+// Indian income-tax rules by financial year. `financialYear` is the calendar
+// year the FY starts in: 2024 is FY 2024-25 (April 2024 to March 2025).
+// Slab rates are before the 87A rebate, surcharge and cess.
+
+const OLD_REGIME_SLABS = [
+  { upTo: 250000, rate: 0 },
+  { upTo: 500000, rate: 0.05 },
+  { upTo: 1000000, rate: 0.2 },
+  { upTo: Infinity, rate: 0.3 },
+];
+
+export const TAX_RULES = [
+  {
+    financialYear: 2023,
+    ltcgRate: 0.1,
+    ltcgExemption: 100000,
+    stcgRate: 0.15,
+    section80CLimit: 150000,
+    section24bSopLimit: 200000,
+    rentStandardDeduction: 0.3, // Section 24(a), on the net annual value
+    houseLossSetOffLimit: 200000, // Against other income, per year
+    houseLossCarryForwardYears: 8,
+    section80EYears: 8, // Education loan interest, from the first repayment year
+    slabs: {
+      old: OLD_REGIME_SLABS,
+      new: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 600000, rate: 0.05 },
+        { upTo: 900000, rate: 0.1 },
+        { upTo: 1200000, rate: 0.15 },
+        { upTo: 1500000, rate: 0.2 },
+        { upTo: Infinity, rate: 0.3 },
+      ],
+    },
+  },
+  {
+    // Finance (No. 2) Act 2024: new equity rates apply from 23 July 2024,
+    // which covers most of the year's redemptions
+    financialYear: 2024,
+    ltcgRate: 0.125,
+    ltcgExemption: 125000,
+    stcgRate: 0.2,
+    section80CLimit: 150000,
+    section24bSopLimit: 200000,
+    rentStandardDeduction: 0.3, // Section 24(a), on the net annual value
+    houseLossSetOffLimit: 200000, // Against other income, per year
+    houseLossCarryForwardYears: 8,
+    section80EYears: 8, // Education loan interest, from the first repayment year
+    slabs: {
+      old: OLD_REGIME_SLABS,
+      new: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 700000, rate: 0.05 },
+        { upTo: 1000000, rate: 0.1 },
+        { upTo: 1200000, rate: 0.15 },
+        { upTo: 1500000, rate: 0.2 },
+        { upTo: Infinity, rate: 0.3 },
+      ],
+    },
+  },
+  {
+    financialYear: 2025,
+    ltcgRate: 0.125,
+    ltcgExemption: 125000,
+    stcgRate: 0.2,
+    section80CLimit: 150000,
+    section24bSopLimit: 200000,
+    rentStandardDeduction: 0.3, // Section 24(a), on the net annual value
+    houseLossSetOffLimit: 200000, // Against other income, per year
+    houseLossCarryForwardYears: 8,
+    section80EYears: 8, // Education loan interest, from the first repayment year
+    slabs: {
+      old: OLD_REGIME_SLABS,
+      new: [
+        { upTo: 400000, rate: 0 },
+        { upTo: 800000, rate: 0.05 },
+        { upTo: 1200000, rate: 0.1 },
+        { upTo: 1600000, rate: 0.15 },
+        { upTo: 2000000, rate: 0.2 },
+        { upTo: 2400000, rate: 0.25 },
+        { upTo: Infinity, rate: 0.3 },
+      ],
+    },
+  },
+];
+
+// FY a date falls in: April to March
+export const financialYearOf = (date = new Date()) =>
+  date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+
+export const formatFinancialYear = (financialYear) =>
+  `FY ${financialYear}-${String((financialYear + 1) % 100).padStart(2, "0")}`;
+
+/**
+ * Rules in force for a financial year. Years before the table use its first
+ * entry; future years keep the latest known rules.
+ */
+export const rulesForYear = (financialYear) => {
+  let rules = TAX_RULES[0];
+  TAX_RULES.forEach((entry) => {
+    if (entry.financialYear <= financialYear) rules = entry;
+  });
+  return rules;
+};
+
+// Tax on `income` under a slab table
+export const slabTax = (income, slabs) => {
+  let tax = 0;
+  let lower = 0;
+  for (const slab of slabs) {
+    if (income <= lower) break;
+    tax += (Math.min(income, slab.upTo) - lower) * slab.rate;
+    lower = slab.upTo;
+  }
+  return tax;
+};
+
+// Extra slab tax caused by adding `extra` on top of `income`
+export const marginalSlabTax = (income, extra, slabs) =>
+  slabTax(income + extra, slabs) - slabTax(income, slabs);
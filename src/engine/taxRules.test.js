@@ -0,0 +1,50 @@
+import {
+  financialYearOf,
+  formatFinancialYear,
+  rulesForYear,
+  slabTax,
+  marginalSlabTax,
+  TAX_RULES,
+} from "./taxRules";
+
+describe("financialYearOf", () => {
+  test("starts the financial year in April", () => {
+    expect(financialYearOf(new Date(2025, 2, 31))).toBe(2024);
+    expect(financialYearOf(new Date(2025, 3, 1))).toBe(2025);
+  });
+
+  test("formats as FY start-end", () => {
+    expect(formatFinancialYear(2024)).toBe("FY 2024-25");
+    expect(formatFinancialYear(2099)).toBe("FY 2099-00");
+  });
+});
+
+describe("rulesForYear", () => {
+  test("switches to 12.5% LTCG with a ₹1.25L exemption from FY 2024-25", () => {
+    expect(rulesForYear(2023).ltcgRate).toBe(0.1);
+    expect(rulesForYear(2023).ltcgExemption).toBe(100000);
+    expect(rulesForYear(2024).ltcgRate).toBe(0.125);
+    expect(rulesForYear(2024).ltcgExemption).toBe(125000);
+  });
+
+  test("clamps to the first and latest known years", () => {
+    expect(rulesForYear(2010)).toBe(TAX_RULES[0]);
+    expect(rulesForYear(2040)).toBe(TAX_RULES[TAX_RULES.length - 1]);
+  });
+});
+
+describe("slabTax", () => {
+  test("adds up each slab's share of the income", () => {
+    // Old regime: 5% of 2.5L + 20% of 5L + 30% of 2L
+    expect(slabTax(1200000, rulesForYear(2025).slabs.old)).toBeCloseTo(172500);
+    expect(slabTax(200000, rulesForYear(2025).slabs.old)).toBe(0);
+  });
+
+  test("charges extra income at the slabs it falls into", () => {
+    const slabs = rulesForYear(2025).slabs.new;
+    // ₹50K on top of ₹7.8L straddles the 5% and 10% slabs
+    expect(marginalSlabTax(780000, 50000, slabs)).toBeCloseTo(
+      20000 * 0.05 + 30000 * 0.1
+    );
+  });
+});
@@ -0,0 +1,409 @@
+// Checks the advisor's inputs before anything is computed, so bad input
+// stops the analysis with a message instead of turning into misleading
+// numbers. Rules give each field's on-screen label and allowed range;
+// `when` limits a rule to the settings that use the field.
+import { calculateNewTenure } from "./amortization";
+import { goalMonth } from "./goals";
+import { DEFAULT_INPUTS } from "./analyzeScenario";
+import { resolveLoan, parseMonth } from "./loanDetails";
+import { rulesForYear } from "./taxRules";
+
+const MAX_RATE = 50; // % p.a., beyond any real loan or return
+const MAX_TENURE_YEARS = 40;
+
+const remainingLoan = (inputs) => inputs.loanDetailsMode !== "sanction";
+const sanctionedLoan = (inputs) => inputs.loanDetailsMode === "sanction";
+const slabUsed = (inputs) =>
+  inputs.taxRegime === "old" || inputs.propertyUse === "letOut";
+
+/**
+ * Rules for the scenario inputs (see DEFAULT_INPUTS): { label, unit, min,
+ * above (exclusive minimum), max, integer, wholeMonths (years that come to
+ * a whole number of EMIs), when }.
+ */
+export const INPUT_RULES = {
+  loanAmount: { label: "Loan amount", above: 0, when: remainingLoan },
+  interestRate: {
+    label: "Interest rate",
+    unit: "%",
+    above: 0,
+    max: MAX_RATE,
+  },
+  tenureYears: {
+    label: "Remaining tenure",
+    unit: " years",
+    above: 0,
+    max: MAX_TENURE_YEARS,
+    wholeMonths: true,
+    when: remainingLoan,
+  },
+  sanctionAmount: {
+    label: "Sanctioned amount",
+    above: 0,
+    when: sanctionedLoan,
+  },
+  originalTenureYears: {
+    label: "Original tenure",
+    unit: " years",
+    above: 0,
+    max: MAX_TENURE_YEARS,
+    wholeMonths: true,
+    when: sanctionedLoan,
+  },
+  emisPaid: {
+    label: "EMIs paid",
+    min: 0,
+    integer: true,
+    when: sanctionedLoan,
+  },
+  statementOutstanding: {
+    label: "Outstanding per statement",
+    min: 0,
+    when: sanctionedLoan,
+  },
+  extraCash: { label: "Extra cash", min: 0 },
+  investmentReturn: {
+    label: "Expected return",
+    unit: "%",
+    min: 0,
+    max: MAX_RATE,
+  },
+  inflationRate: { label: "Inflation rate", unit: "%", min: 0, max: MAX_RATE },
+  discountRate: { label: "Discount rate", unit: "%", min: 0, max: MAX_RATE },
+  returnVolatility: {
+    label: "Return volatility",
+    unit: "%",
+    min: 0,
+    max: 100,
+    when: (inputs) => inputs.simulationMode === "monteCarlo",
+  },
+  taxSlab: { label: "Tax slab", unit: "%", min: 0, max: 100, when: slabUsed },
+  used80C: {
+    label: "Used 80C limit",
+    min: 0,
+    when: (inputs) => inputs.taxRegime === "old",
+  },
+  annualIncome: {
+    label: "Annual taxable income",
+    min: 0,
+    when: (inputs) => inputs.investmentType === "fd",
+  },
+  annualRent: {
+    label: "Annual rent",
+    min: 0,
+    when: (inputs) => inputs.propertyUse === "letOut",
+  },
+  prepaymentChargeRate: {
+    label: "Prepayment charge",
+    unit: "%",
+    min: 0,
+    max: 100,
+  },
+  prepaymentChargeFlat: { label: "Prepayment flat fee", min: 0 },
+  prepaymentFreeAfterMonths: {
+    label: "Free-after month",
+    min: 0,
+    integer: true,
+  },
+  prepaymentFreeAnnualLimit: { label: "Yearly free prepayment", min: 0 },
+  overdraftMonthlyDeposit: { label: "Overdraft deposit", min: 0 },
+  overdraftMonthlyWithdrawal: { label: "Overdraft withdrawal", min: 0 },
+};
+
+/**
+ * Rules for the items of each list input: { label, fields }, where a
+ * field's `when` gets the item and the scenario inputs.
+ */
+export const LIST_RULES = {
+  prepaymentPlan: {
+    label: "Prepayment",
+    fields: {
+      amount: { label: "amount", min: 0 },
+      startMonth: { label: "month", min: 1, integer: true },
+      endMonth: {
+        label: "end month",
+        min: 0,
+        integer: true,
+        when: (item) => item.frequency === "monthly",
+      },
+      stepUp: {
+        label: "step-up",
+        unit: "%",
+        min: 0,
+        max: 100,
+        when: (item) => item.frequency === "yearly",
+      },
+    },
+  },
+  emiStepUps: {
+    label: "EMI step-up",
+    fields: {
+      startMonth: { label: "month", min: 1, integer: true },
+      percent: { label: "raise", unit: "%", min: 0, max: 100 },
+      amount: { label: "amount", min: 0 },
+    },
+  },
+  rateChanges: {
+    label: "Rate reset",
+    fields: {
+      month: { label: "month", min: 1, integer: true },
+      rate: { label: "rate", unit: "%", above: 0, max: MAX_RATE },
+    },
+  },
+  coBorrowers: {
+    label: "Co-borrower",
+    fields: {
+      share: { label: "share", unit: "%", min: 0, max: 100 },
+      taxSlab: {
+        label: "tax slab",
+        unit: "%",
+        min: 0,
+        max: 100,
+        when: (item, inputs) => slabUsed(inputs),
+      },
+      used80C: {
+        label: "used 80C",
+        min: 0,
+        when: (item, inputs) => inputs.taxRegime === "old",
+      },
+    },
+  },
+  portfolioLoans: {
+    label: "Loan",
+    fields: {
+      principal: { label: "balance", above: 0 },
+      interestRate: { label: "rate", unit: "%", above: 0, max: MAX_RATE },
+      tenureYears: {
+        label: "tenure",
+        unit: " years",
+        above: 0,
+        max: MAX_TENURE_YEARS,
+        wholeMonths: true,
+      },
+    },
+  },
+};
+
+/** Rules for the balance-transfer inputs (see analyzeRefinance). */
+export const REFINANCE_RULES = {
+  refinanceRate: { label: "New rate", unit: "%", above: 0, max: MAX_RATE },
+  refinanceTenureYears: {
+    label: "New tenure",
+    unit: " years",
+    above: 0,
+    max: MAX_TENURE_YEARS,
+    wholeMonths: true,
+  },
+  refinanceFeeRate: { label: "Processing fee", unit: "%", min: 0, max: 100 },
+  refinanceFlatFees: { label: "Other costs", min: 0 },
+  refinanceMonth: { label: "Switch month", min: 0, integer: true },
+};
+
+/** Rules for the goal the solver works back from (see solveGoal). */
+export const GOAL_RULES = {
+  goalTotalInterest: {
+    label: "Target interest",
+    min: 0,
+    when: (inputs) => inputs.goalType === "totalInterest",
+  },
+};
+
+const rupees = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+const monthYear = (date) =>
+  date.toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+
+// Numbers, or numeric strings from older saved scenarios; NaN otherwise
+const toNumber = (value) =>
+  typeof value === "number"
+    ? value
+    : typeof value === "string" && value.trim() !== ""
+    ? Number(value)
+    : NaN;
+
+/** Why `value` breaks `rule`, or null when it doesn't. */
+export const checkValue = (value, rule) => {
+  const number = toNumber(value);
+  const unit = rule.unit || "";
+  if (!Number.isFinite(number)) return `${rule.label} must be a number.`;
+  if (rule.integer && !Number.isInteger(number))
+    return `${rule.label} must be a whole number.`;
+  // Within rounding, for years worked out from months (185 / 12)
+  if (
+    rule.wholeMonths &&
+    Math.abs(number * 12 - Math.round(number * 12)) > 1e-9
+  )
+    return `${rule.label} must be a whole number of months (a year is 12).`;
+  if (rule.above !== undefined && number <= rule.above)
+    return `${rule.label} must be more than ${rule.above}${unit}.`;
+  if (rule.min !== undefined && number < rule.min)
+    return rule.min === 0
+      ? `${rule.label} can't be negative.`
+      : `${rule.label} must be at least ${rule.min}${unit}.`;
+  if (rule.max !== undefined && number > rule.max)
+    return `${rule.label} can't be more than ${rule.max}${unit}.`;
+  return null;
+};
+
+// Errors of the rules that apply, keyed by field
+const checkFields = (values, rules, errors) => {
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (rule.when && !rule.when(values)) return;
+    const error = checkValue(values[field], rule);
+    if (error) errors[field] = error;
+  });
+};
+
+// Errors of each list item's fields, keyed 'list.id.field'
+const checkList = (items, list, errors, inputs) => {
+  const { label, fields } = LIST_RULES[list];
+  items.forEach((item, i) => {
+    Object.entries(fields).forEach(([field, rule]) => {
+      if (rule.when && !rule.when(item, inputs)) return;
+      const error = checkValue(item[field], {
+        ...rule,
+        label: `${label} ${i + 1} ${rule.label}`,
+      });
+      if (error) errors[`${list}.${item.id}.${field}`] = error;
+    });
+  });
+};
+
+/**
+ * Validates the scenario inputs (see DEFAULT_INPUTS) field by field, then
+ * across fields once every field is in range: EMIs paid within the original
+ * tenure, an EMI that covers the interest on the statement outstanding,
+ * extra cash no more than the loan, 80C usage within the year's limit and
+ * co-borrower shares within 100%.
+ *
+ * Missing inputs fall back to DEFAULT_INPUTS. Returns { valid, errors },
+ * errors keyed by field, or 'list.id.field' for list items, each a message
+ * to show the user.
+ */
+export const validateInputs = (scenario, today = new Date()) => {
+  const inputs = { ...DEFAULT_INPUTS, ...scenario };
+  const errors = {};
+  checkFields(inputs, INPUT_RULES, errors);
+  ["prepaymentPlan", "emiStepUps", "rateChanges", "coBorrowers"].forEach(
+    (list) => checkList(inputs[list], list, errors, inputs)
+  );
+  if (
+    sanctionedLoan(inputs) &&
+    inputs.disbursementDate &&
+    !parseMonth(inputs.disbursementDate)
+  )
+    errors.disbursementDate = "Enter the disbursement month as YYYY-MM.";
+  if (Object.keys(errors).length > 0) return { valid: false, errors };
+
+  const number = (field) => toNumber(inputs[field]);
+  if (sanctionedLoan(inputs)) {
+    const months = Math.round(number("originalTenureYears") * 12);
+    if (number("emisPaid") >= months)
+      errors.emisPaid = `EMIs paid must be fewer than the ${months} of the original tenure.`;
+    // EMIs start the month after disbursement and this month's is paid, so
+    // fewer paid would put the next EMI in the past
+    const disbursed = parseMonth(inputs.disbursementDate);
+    const due =
+      disbursed &&
+      (today.getFullYear() - disbursed.getFullYear()) * 12 +
+        today.getMonth() -
+        disbursed.getMonth();
+    if (!errors.emisPaid && disbursed && number("emisPaid") < due)
+      errors.emisPaid = `EMIs paid must be at least the ${due} due since the ${monthYear(
+        disbursed
+      )} disbursement.`;
+  }
+  const { inputs: loan, details } = resolveLoan(inputs, today);
+  if (
+    details.fromStatement &&
+    !Number.isFinite(
+      calculateNewTenure(
+        details.outstanding,
+        details.emi,
+        number("interestRate")
+      )
+    )
+  )
+    errors.statementOutstanding = `The EMI of ${rupees(
+      details.emi
+    )} doesn't cover a month's interest on ${rupees(details.outstanding)}.`;
+  // An imported schedule starts from the lender's balance
+  const [first] = inputs.importedSchedule;
+  const outstanding = first
+    ? first.endingBalance + first.principal
+    : details.outstanding;
+  if (number("extraCash") > outstanding)
+    errors.extraCash = `Extra cash can't be more than the ${rupees(
+      outstanding
+    )} outstanding.`;
+
+  if (inputs.taxRegime === "old") {
+    const limit = rulesForYear(loan.startFinancialYear).section80CLimit;
+    if (number("used80C") > limit)
+      errors.used80C = `80C usage can't be more than the ${rupees(
+        limit
+      )} limit.`;
+    inputs.coBorrowers.forEach((coBorrower, i) => {
+      if (toNumber(coBorrower.used80C) > limit)
+        errors[`coBorrowers.${coBorrower.id}.used80C`] = `Co-borrower ${
+          i + 1
+        } used 80C can't be more than the ${rupees(limit)} limit.`;
+    });
+  }
+  const coBorrowerShare = inputs.coBorrowers.reduce(
+    (acc, coBorrower) => acc + toNumber(coBorrower.share),
+    0
+  );
+  if (coBorrowerShare > 100)
+    errors.coBorrowers = `Co-borrowers' shares add up to ${coBorrowerShare}%, more than the whole loan.`;
+  inputs.prepaymentPlan.forEach((item, i) => {
+    if (
+      item.frequency === "monthly" &&
+      item.endMonth > 0 &&
+      item.endMonth < item.startMonth
+    )
+      errors[`prepaymentPlan.${item.id}.endMonth`] = `Prepayment ${
+        i + 1
+      } ends before it starts.`;
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validates the balance-transfer inputs of a resolved loan (see resolveLoan):
+ * the switch has to happen while the loan is still running. Returns
+ * { valid, errors } like validateInputs.
+ */
+export const validateRefinance = (inputs) => {
+  const errors = {};
+  checkFields(inputs, REFINANCE_RULES, errors);
+  const months = Math.round(toNumber(inputs.tenureYears) * 12);
+  if (!errors.refinanceMonth && toNumber(inputs.refinanceMonth) >= months)
+    errors.refinanceMonth = `Switch month must be before the loan ends (month ${months}).`;
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/** Validates the loans of a portfolio. Returns { valid, errors }. */
+export const validatePortfolio = (loans) => {
+  const errors = {};
+  checkList(loans, "portfolioLoans", errors);
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validates the goal of a resolved loan (see resolveLoan): a target
+ * payoff month has to be set and no earlier than the next EMI. Returns
+ * { valid, errors } like validateInputs.
+ */
+export const validateGoal = (inputs) => {
+  const errors = {};
+  checkFields(inputs, GOAL_RULES, errors);
+  if (inputs.goalType === "payoffDate") {
+    const month = goalMonth(inputs.goalPayoffDate, inputs.firstEmiDate);
+    if (month === null)
+      errors.goalPayoffDate = "Pick the month to be debt-free by.";
+    else if (month < 1)
+      errors.goalPayoffDate = "The target month can't be before the next EMI.";
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+};
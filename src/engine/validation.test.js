@@ -0,0 +1,264 @@
+import { DEFAULT_INPUTS } from "./analyzeScenario";
+import {
+  checkValue,
+  validateGoal,
+  validateInputs,
+  validatePortfolio,
+  validateRefinance,
+} from "./validation";
+
+const today = new Date(2026, 9, 18);
+const validate = (inputs) => validateInputs(inputs, today);
+const sanctioned = {
+  loanDetailsMode: "sanction",
+  sanctionAmount: 6000000,
+  interestRate: 9,
+  originalTenureYears: 25,
+  emisPaid: 60,
+};
+
+describe("checkValue", () => {
+  const rule = { label: "Tax slab", unit: "%", min: 0, max: 100 };
+
+  test("accepts numbers and numeric strings in range", () => {
+    expect(checkValue(30, rule)).toBeNull();
+    expect(checkValue("30", rule)).toBeNull();
+  });
+
+  test("rejects blanks, text and values out of range", () => {
+    expect(checkValue("", rule)).toBe("Tax slab must be a number.");
+    expect(checkValue(NaN, rule)).toBe("Tax slab must be a number.");
+    expect(checkValue(Infinity, rule)).toBe("Tax slab must be a number.");
+    expect(checkValue(-5, rule)).toBe("Tax slab can't be negative.");
+    expect(checkValue(120, rule)).toBe("Tax slab can't be more than 100%.");
+    expect(checkValue(0, { label: "Rate", above: 0 })).toBe(
+      "Rate must be more than 0."
+    );
+    expect(checkValue(1.5, { label: "Month", integer: true })).toBe(
+      "Month must be a whole number."
+    );
+  });
+});
+
+describe("validateInputs", () => {
+  test("accepts the defaults", () => {
+    expect(validate(DEFAULT_INPUTS)).toEqual({ valid: true, errors: {} });
+  });
+
+  test("flags a blank loan amount and a zero tenure", () => {
+    const { valid, errors } = validate({ loanAmount: "", tenureYears: 0 });
+    expect(valid).toBe(false);
+    expect(errors).toEqual({
+      loanAmount: "Loan amount must be a number.",
+      tenureYears: "Remaining tenure must be more than 0 years.",
+    });
+  });
+
+  test("flags a tenure that isn't a whole number of months", () => {
+    expect(validate({ tenureYears: 15.3 }).errors).toEqual({
+      tenureYears:
+        "Remaining tenure must be a whole number of months (a year is 12).",
+    });
+    expect(validate({ tenureYears: 15.25 }).valid).toBe(true);
+    expect(validate({ tenureYears: 1.1 }).valid).toBe(false);
+    expect(
+      validate({ ...sanctioned, originalTenureYears: 20.1 }).errors
+        .originalTenureYears
+    ).toBe("Original tenure must be a whole number of months (a year is 12).");
+  });
+
+  test("only checks the fields the settings use", () => {
+    // The slab doesn't count for a self-occupied home in the new regime
+    expect(validate({ taxSlab: 120 }).errors.taxSlab).toBe(
+      "Tax slab can't be more than 100%."
+    );
+    expect(validate({ taxSlab: 120, taxRegime: "new" }).valid).toBe(true);
+    // Nor does the remaining loan once it's derived from the sanction
+    expect(validate({ ...sanctioned, loanAmount: -1 }).valid).toBe(true);
+  });
+
+  test("flags extra cash beyond the outstanding loan", () => {
+    expect(validate({ extraCash: 6000000 }).errors.extraCash).toBe(
+      "Extra cash can't be more than the ₹50,00,000 outstanding."
+    );
+    // Paying the loan off in full is allowed
+    expect(validate({ extraCash: 5000000 }).valid).toBe(true);
+  });
+
+  test("flags 80C usage above the year's limit", () => {
+    expect(validate({ used80C: 200000 }).errors.used80C).toBe(
+      "80C usage can't be more than the ₹1,50,000 limit."
+    );
+    expect(validate({ used80C: 200000, taxRegime: "new" }).valid).toBe(true);
+  });
+
+  test("flags an EMI that doesn't cover the statement's interest", () => {
+    // ₹50,352 a month against ₹60,000 of interest on ₹80 lakh
+    const { errors } = validate({
+      ...sanctioned,
+      statementOutstanding: 8000000,
+    });
+    expect(errors.statementOutstanding).toMatch(
+      /^The EMI of ₹50,352 doesn't cover a month's interest on ₹80,00,000/
+    );
+    expect(
+      validate({ ...sanctioned, statementOutstanding: 5500000 }).valid
+    ).toBe(true);
+  });
+
+  test("flags EMIs paid beyond the original tenure", () => {
+    expect(validate({ ...sanctioned, emisPaid: 300 }).errors.emisPaid).toBe(
+      "EMIs paid must be fewer than the 300 of the original tenure."
+    );
+    expect(validate({ ...sanctioned, emisPaid: 12.5 }).errors.emisPaid).toBe(
+      "EMIs paid must be a whole number."
+    );
+  });
+
+  test("flags fewer EMIs paid than have fallen due since disbursement", () => {
+    const disbursed = { ...sanctioned, disbursementDate: "2021-03" };
+    expect(validate(disbursed).errors.emisPaid).toBe(
+      "EMIs paid must be at least the 67 due since the Mar 2021 disbursement."
+    );
+    expect(validate({ ...disbursed, emisPaid: 67 }).valid).toBe(true);
+  });
+
+  test("checks list items and keys their errors by id", () => {
+    const { errors } = validate({
+      prepaymentPlan: [
+        { id: 4, frequency: "once", amount: -1, startMonth: 0 },
+        {
+          id: 7,
+          frequency: "monthly",
+          amount: 1000,
+          startMonth: 24,
+          endMonth: 12,
+        },
+      ],
+      rateChanges: [{ id: 1, month: 13, rate: 0 }],
+    });
+    expect(errors).toEqual({
+      "prepaymentPlan.4.amount": "Prepayment 1 amount can't be negative.",
+      "prepaymentPlan.4.startMonth": "Prepayment 1 month must be at least 1.",
+      "rateChanges.1.rate": "Rate reset 1 rate must be more than 0%.",
+    });
+    // Checked once every field is in range
+    expect(
+      validate({
+        prepaymentPlan: [
+          {
+            id: 7,
+            frequency: "monthly",
+            amount: 1000,
+            startMonth: 24,
+            endMonth: 12,
+          },
+        ],
+      }).errors
+    ).toEqual({
+      "prepaymentPlan.7.endMonth": "Prepayment 1 ends before it starts.",
+    });
+  });
+
+  test("checks EMI step-ups", () => {
+    expect(
+      validate({
+        emiStepUps: [
+          {
+            id: 2,
+            frequency: "yearly",
+            startMonth: 0,
+            percent: 150,
+            amount: 0,
+          },
+        ],
+      }).errors
+    ).toEqual({
+      "emiStepUps.2.startMonth": "EMI step-up 1 month must be at least 1.",
+      "emiStepUps.2.percent": "EMI step-up 1 raise can't be more than 100%.",
+    });
+  });
+
+  test("flags co-borrower shares over the whole loan", () => {
+    const { errors } = validate({
+      coBorrowers: [
+        { id: 1, share: 60, taxSlab: 30, used80C: 0 },
+        { id: 2, share: 50, taxSlab: 130, used80C: 0 },
+      ],
+    });
+    expect(errors).toEqual({
+      "coBorrowers.2.taxSlab":
+        "Co-borrower 2 tax slab can't be more than 100%.",
+    });
+    expect(
+      validate({
+        coBorrowers: [
+          { id: 1, share: 60, taxSlab: 30, used80C: 0 },
+          { id: 2, share: 50, taxSlab: 30, used80C: 0 },
+        ],
+      }).errors
+    ).toEqual({
+      coBorrowers:
+        "Co-borrowers' shares add up to 110%, more than the whole loan.",
+    });
+  });
+});
+
+describe("validateRefinance", () => {
+  test("flags a switch after the loan ends", () => {
+    expect(validateRefinance(DEFAULT_INPUTS).valid).toBe(true);
+    expect(
+      validateRefinance({ ...DEFAULT_INPUTS, refinanceMonth: 240 }).errors
+    ).toEqual({
+      refinanceMonth: "Switch month must be before the loan ends (month 240).",
+    });
+  });
+});
+
+describe("validatePortfolio", () => {
+  test("checks every loan", () => {
+    const { valid, errors } = validatePortfolio([
+      { id: 1, type: "home", principal: 0, interestRate: 9, tenureYears: 20 },
+      {
+        id: 2,
+        type: "car",
+        principal: 800000,
+        interestRate: 60,
+        tenureYears: 5,
+      },
+    ]);
+    expect(valid).toBe(false);
+    expect(errors).toEqual({
+      "portfolioLoans.1.principal": "Loan 1 balance must be more than 0.",
+      "portfolioLoans.2.interestRate": "Loan 2 rate can't be more than 50%.",
+    });
+  });
+});
+
+describe("validateGoal", () => {
+  const loan = { ...DEFAULT_INPUTS, firstEmiDate: new Date(2026, 10, 1) };
+
+  test("needs a payoff month from the next EMI on", () => {
+    expect(validateGoal({ ...loan, goalPayoffDate: "2036-10" }).valid).toBe(
+      true
+    );
+    expect(validateGoal(loan).errors).toEqual({
+      goalPayoffDate: "Pick the month to be debt-free by.",
+    });
+    expect(validateGoal({ ...loan, goalPayoffDate: "2026-10" }).errors).toEqual(
+      {
+        goalPayoffDate: "The target month can't be before the next EMI.",
+      }
+    );
+  });
+
+  test("checks the interest budget only for that goal", () => {
+    expect(
+      validateGoal({
+        ...loan,
+        goalType: "totalInterest",
+        goalTotalInterest: -1,
+      }).errors
+    ).toEqual({ goalTotalInterest: "Target interest can't be negative." });
+  });
+});
@@ -0,0 +1,76 @@
+// Time value of both strategies: the net benefits of analyzeScenario add up
+// rupees from different years, these discount them back to today.
+
+/**
+ * Monthly cash flows ({ month, amount }) behind each net benefit of an
+ * analyzeScenario result; each list sums to netBenefitInvesting or
+ * netBenefitPrepaying. The extra cash and planned prepayments go out when
+ * they are spent, and what the strategy's ledger is worth after tax (its
+ * prepayment charges paid out of it) comes back at the end of the horizon
+ * (see buildCashFlowLedger).
+ */
+export const strategyCashFlows = (results) => {
+  const { investmentOutflows, horizonMonths, ledger } = results;
+  const spent = investmentOutflows.map((flow) => ({
+    month: flow.month,
+    amount: -flow.amount,
+  }));
+  const invest = [
+    ...spent,
+    { month: horizonMonths, amount: ledger.invest.wealth },
+  ];
+  const prepay = [
+    ...spent,
+    { month: horizonMonths, amount: ledger.prepay.wealth },
+  ];
+  return { invest, prepay };
+};
+
+/** Value today of cash flows discounted at `annualRate`% p.a. */
+export const presentValue = (flows, annualRate) =>
+  flows.reduce(
+    (acc, flow) =>
+      acc + flow.amount / Math.pow(1 + annualRate / 100, flow.month / 12),
+    0
+  );
+
+/**
+ * Annual rate (%) at which cash flows are worth nothing today, by bisection
+ * between -99% and 1000%. Returns null when the flows never change sign.
+ */
+export const internalRateOfReturn = (flows, tolerance = 0.0001) => {
+  let low = -99;
+  let high = 1000;
+  const lowValue = presentValue(flows, low);
+  if (lowValue * presentValue(flows, high) > 0) return null;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (presentValue(flows, mid) * lowValue > 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Both net benefits in `nominal` rupees, `real` rupees of today (deflated at
+ * `inflationRate`), as a `presentValue` at `discountRate`, and the `irr` of
+ * the extra cash.
+ *
+ * The IRR leaves out what the loan's own tax refunds grow to anyway:
+ * investing earns none of its own, prepaying earns the change in the
+ * loan's benefits.
+ */
+export const valueStrategies = (results, { inflationRate, discountRate }) => {
+  const flows = strategyCashFlows(results);
+  const sum = (list) => list.reduce((acc, flow) => acc + flow.amount, 0);
+  const baseline = [
+    { month: results.horizonMonths, amount: -results.ledger.baseline.wealth },
+  ];
+  const value = (list) => ({
+    nominal: sum(list),
+    real: presentValue(list, inflationRate),
+    presentValue: presentValue(list, discountRate),
+    irr: internalRateOfReturn([...list, ...baseline]),
+  });
+  return { invest: value(flows.invest), prepay: value(flows.prepay) };
+};
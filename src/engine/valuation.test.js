@@ -0,0 +1,78 @@
+import { analyzeScenario } from "./analyzeScenario";
+import {
+  internalRateOfReturn,
+  presentValue,
+  strategyCashFlows,
+  valueStrategies,
+} from "./valuation";
+
+const sum = (flows) => flows.reduce((acc, flow) => acc + flow.amount, 0);
+
+describe("valuation", () => {
+  test("cash flows add up to the nominal net benefits", () => {
+    [
+      {},
+      { prepaymentMethod: "reduceEmi" },
+      {
+        prepaymentPlan: [
+          { frequency: "yearly", amount: 100000, startMonth: 12 },
+        ],
+      },
+      { rateChanges: [{ month: 24, rate: 11 }] },
+      {
+        prepaymentPlan: [
+          { frequency: "yearly", amount: 100000, startMonth: 12 },
+        ],
+        prepaymentChargeRate: 2,
+        prepaymentFreeAfterMonths: 36,
+      },
+    ].forEach((inputs) => {
+      const results = analyzeScenario(inputs);
+      const { invest, prepay } = strategyCashFlows(results);
+      expect(sum(invest)).toBeCloseTo(results.netBenefitInvesting, 2);
+      expect(sum(prepay)).toBeCloseTo(results.netBenefitPrepaying, 2);
+    });
+  });
+
+  test("discounts a year-end flow by a year's rate", () => {
+    expect(presentValue([{ month: 12, amount: 110 }], 10)).toBeCloseTo(100, 6);
+    expect(presentValue([{ month: 0, amount: 50 }], 10)).toBe(50);
+  });
+
+  test("the IRR of a deposit is its rate", () => {
+    const flows = [
+      { month: 0, amount: -100000 },
+      { month: 36, amount: 100000 * Math.pow(1.08, 3) },
+    ];
+    expect(internalRateOfReturn(flows)).toBeCloseTo(8, 3);
+    expect(internalRateOfReturn([{ month: 0, amount: 100 }])).toBeNull();
+  });
+
+  test("real and present values are below nominal for positive rates", () => {
+    const { invest, prepay } = valueStrategies(analyzeScenario(), {
+      inflationRate: 6,
+      discountRate: 8,
+    });
+    [invest, prepay].forEach((value) => {
+      expect(value.real).toBeLessThan(value.nominal);
+      expect(value.presentValue).toBeLessThan(value.real);
+    });
+    expect(
+      valueStrategies(analyzeScenario(), { inflationRate: 0, discountRate: 0 })
+        .invest.real
+    ).toBeCloseTo(invest.nominal, 2);
+  });
+
+  test("the IRR of each strategy tracks its return", () => {
+    // Equity at 12% nets a little less after tax; prepaying earns the loan
+    // rate less the tax benefits it gives up
+    const { invest, prepay } = valueStrategies(analyzeScenario(), {
+      inflationRate: 6,
+      discountRate: 8,
+    });
+    expect(invest.irr).toBeGreaterThan(11);
+    expect(invest.irr).toBeLessThan(12);
+    expect(prepay.irr).toBeGreaterThan(6.3);
+    expect(prepay.irr).toBeLessThan(9);
+  });
+});
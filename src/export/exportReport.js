@@ -0,0 +1,156 @@
+// Client-side downloads of the analysis. The Excel and PDF libraries are
+// loaded on demand so they stay out of the main bundle.
+import {
+  summaryRows,
+  scheduleRows,
+  ledgerRows,
+  buildReportCsv,
+  SCHEDULE_HEADER,
+} from "./reportData";
+import { formatCurrency } from "../format";
+
+const FILE_NAME = "loan-prepayment-analysis";
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const exportCsv = (inputs, results) =>
+  downloadBlob(
+    // The BOM makes Excel read the ₹ signs as UTF-8
+    new Blob(["\uFEFF", buildReportCsv(inputs, results)], {
+      type: "text/csv;charset=utf-8",
+    }),
+    `${FILE_NAME}.csv`
+  );
+
+const toSheetData = (rows) =>
+  rows.map((row) =>
+    row.map((value) => ({
+      type: typeof value === "number" ? Number : String,
+      value,
+    }))
+  );
+
+// Workbook with a summary sheet, one sheet per schedule and the ledger
+export const exportXlsx = async (inputs, results) => {
+  const { default: writeXlsxFile } = await import("write-excel-file");
+  await writeXlsxFile(
+    [
+      toSheetData(summaryRows(inputs, results)),
+      toSheetData(scheduleRows(results.originalAmortization)),
+      toSheetData(scheduleRows(results.prepaidAmortization)),
+      toSheetData(ledgerRows(results.ledger)),
+    ],
+    {
+      sheets: [
+        "Summary",
+        "Original Schedule",
+        "Prepaid Schedule",
+        "Cash-Flow Ledger",
+      ],
+      fileName: `${FILE_NAME}.xlsx`,
+    }
+  );
+};
+
+// Rasterizes a rendered chart's SVG onto the app's dark background
+const svgToPng = (svg) =>
+  new Promise((resolve, reject) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const source = new XMLSerializer().serializeToString(svg);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#1f2937";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ dataUrl: canvas.toDataURL("image/png"), width, height });
+    };
+    image.onerror = reject;
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+      source
+    )}`;
+  });
+
+// jsPDF's built-in fonts have no ₹ glyph, so amounts print as "Rs."
+const pdfText = (value) =>
+  typeof value === "number"
+    ? formatCurrency(value)
+    : String(value).replace(/₹/g, "Rs.");
+
+/**
+ * PDF report: inputs and results, the Financial Trajectory chart (if
+ * `chartSvg` is given) and both amortization schedules.
+ */
+export const exportPdf = async (inputs, results, chartSvg) => {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+    import("jspdf"),
+    import("jspdf-autotable"),
+  ]);
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 40;
+
+  doc.setFontSize(18);
+  doc.text("Loan Prepayment Advisor Report", margin, 50);
+  doc.setFontSize(10);
+  doc.text(`Generated ${new Date().toLocaleDateString("en-IN")}`, margin, 66);
+
+  autoTable(doc, {
+    startY: 80,
+    body: summaryRows(inputs, results).map(([label, value]) => [
+      pdfText(label),
+      pdfText(value),
+    ]),
+    theme: "plain",
+    styles: { fontSize: 9, cellPadding: 2 },
+    columnStyles: { 0: { fontStyle: "bold", cellWidth: 220 } },
+  });
+
+  if (chartSvg) {
+    const chart = await svgToPng(chartSvg);
+    const width = pageWidth - margin * 2;
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.text("Financial Trajectory", margin, 50);
+    doc.addImage(
+      chart.dataUrl,
+      "PNG",
+      margin,
+      64,
+      width,
+      (width * chart.height) / chart.width
+    );
+  }
+
+  [
+    ["Original Loan Schedule", results.originalAmortization],
+    ["Prepaid Loan Schedule", results.prepaidAmortization],
+  ].forEach(([title, schedule]) => {
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.text(title, margin, 50);
+    autoTable(doc, {
+      startY: 64,
+      head: [SCHEDULE_HEADER.map(pdfText)],
+      body: scheduleRows(schedule)
+        .slice(1)
+        .map((row) => row.map(pdfText)),
+      styles: { fontSize: 7, cellPadding: 2 },
+      headStyles: { fillColor: [31, 41, 55], textColor: [250, 204, 21] },
+    });
+  });
+
+  doc.save(`${FILE_NAME}.pdf`);
+};
@@ -0,0 +1,140 @@
+// Rows shared by the CSV, Excel and PDF exports: the scenario summary and
+// the amortization schedules, as plain arrays of cells.
+import { valueStrategies, DAY_COUNT_CONVENTIONS } from "../engine";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const LABELS = {
+  reduceTenure: "Reduce Tenure",
+  reduceEmi: "Reduce EMI",
+  equity: "Equity (Stocks/MF)",
+  fd: "Fixed Deposit",
+  old: "Old Regime",
+  new: "New Regime",
+  selfOccupied: "Self-Occupied",
+  letOut: "Let-Out",
+};
+
+/** [label, value] rows describing the inputs and the analysis results. */
+export const summaryRows = (inputs, results) => {
+  const { invest, prepay } = valueStrategies(results, {
+    inflationRate: parseFloat(inputs.inflationRate),
+    discountRate: parseFloat(inputs.discountRate),
+  });
+  return [
+    ["Inputs", ""],
+    ["Loan Amount (₹)", round(inputs.loanAmount)],
+    ["Interest Rate (%)", inputs.interestRate],
+    ["Interest Calculation", DAY_COUNT_CONVENTIONS[inputs.dayCount]],
+    ["Remaining Tenure (Yrs)", round(inputs.tenureYears)],
+    ["Extra Cash to Deploy (₹)", inputs.extraCash],
+    ["Expected Return (%)", inputs.investmentReturn],
+    ["Investment Type", LABELS[inputs.investmentType]],
+    ["Tax Regime", LABELS[inputs.taxRegime]],
+    ["Tax Slab (%)", inputs.taxSlab],
+    ["Used 80C Limit (₹)", inputs.used80C],
+    ["Property Use", LABELS[inputs.propertyUse]],
+    ["Prepayment Method", LABELS[inputs.prepaymentMethod]],
+    ["Inflation Rate (%)", inputs.inflationRate],
+    ["Discount Rate (%)", inputs.discountRate],
+    ["Planned Prepayments (₹)", round(results.totalPrepaid)],
+    ["EMI Step-ups (₹)", round(results.totalEmiRaised)],
+    ["", ""],
+    ["Results", ""],
+    ["Recommendation", results.betterOption],
+    ["Net Benefit of Investing (₹)", round(results.netBenefitInvesting)],
+    ["Net Benefit of Prepaying (₹)", round(results.netBenefitPrepaying)],
+    ["Real Net Benefit of Investing (₹)", round(invest.real)],
+    ["Real Net Benefit of Prepaying (₹)", round(prepay.real)],
+    ["Present Value of Investing (₹)", round(invest.presentValue)],
+    ["Present Value of Prepaying (₹)", round(prepay.presentValue)],
+    ["Post-Tax Investment Gain (₹)", round(results.postTaxInvestmentGain)],
+    ["Investment Tax (₹)", round(results.investmentTax)],
+    ["Net Interest Saved (₹)", round(results.interestSaved)],
+    ["Reinvested Savings Gain (₹)", round(results.reinvestedSavingsGain)],
+    ["Prepayment Charges (₹)", round(results.totalPrepaymentCharges)],
+    ["Tax Benefit, Continue Loan (₹)", round(results.originalLoanTaxBenefit)],
+    ["Tax Benefit, Prepaid Loan (₹)", round(results.prepaidLoanTaxBenefit)],
+    ["Original EMI (₹)", round(results.originalEmi)],
+    ["Original Tenure (Months)", results.originalTenureMonths],
+    ["EMI After Prepayment (₹)", round(results.newEmi)],
+    ["Tenure After Prepayment (Months)", results.newTenureMonths],
+  ];
+};
+
+export const SCHEDULE_HEADER = [
+  "Month",
+  "Rate (%)",
+  "EMI (₹)",
+  "Interest (₹)",
+  "Principal (₹)",
+  "Prepayment (₹)",
+  "Balance (₹)",
+];
+
+/** Header plus one row per month of an amortization schedule. */
+export const scheduleRows = (schedule) => [
+  SCHEDULE_HEADER,
+  ...schedule.map((row) => [
+    row.month,
+    row.rate,
+    round(row.totalPayment - row.prepayment),
+    round(row.interest),
+    round(row.principal),
+    round(row.prepayment),
+    round(row.endingBalance),
+  ]),
+];
+
+export const LEDGER_HEADER = [
+  "Month",
+  "Invest: Loan Paid (₹)",
+  "Invest: Invested (₹)",
+  "Invest: Tax Refund (₹)",
+  "Invest: Value (₹)",
+  "Prepay: Loan Paid (₹)",
+  "Prepay: Invested (₹)",
+  "Prepay: Tax Refund (₹)",
+  "Prepay: Charges (₹)",
+  "Prepay: Value (₹)",
+];
+
+/** Header plus one row per month of the cash-flow ledger of both strategies. */
+export const ledgerRows = (ledger) => [
+  LEDGER_HEADER,
+  ...ledger.rows.map(({ month, invest, prepay }) => [
+    month,
+    round(invest.loanPayment),
+    round(invest.invested),
+    round(invest.taxRefund),
+    round(invest.value),
+    round(prepay.loanPayment),
+    round(prepay.invested),
+    round(prepay.taxRefund),
+    round(prepay.charges),
+    round(prepay.value),
+  ]),
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+/** One CSV holding the summary, both schedules and the cash-flow ledger. */
+export const buildReportCsv = (inputs, results) =>
+  toCsv([
+    ...summaryRows(inputs, results),
+    [],
+    ["Original Loan Schedule"],
+    ...scheduleRows(results.originalAmortization),
+    [],
+    ["Prepaid Loan Schedule"],
+    ...scheduleRows(results.prepaidAmortization),
+    [],
+    ["Cash-Flow Ledger"],
+    ...ledgerRows(results.ledger),
+  ]);
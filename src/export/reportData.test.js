@@ -0,0 +1,66 @@
+import {
+  summaryRows,
+  scheduleRows,
+  ledgerRows,
+  toCsv,
+  buildReportCsv,
+} from "./reportData";
+import { analyzeScenario, DEFAULT_INPUTS } from "../engine";
+
+const results = analyzeScenario(DEFAULT_INPUTS);
+
+test("summarizes the inputs and the recommendation", () => {
+  const rows = Object.fromEntries(summaryRows(DEFAULT_INPUTS, results));
+  expect(rows["Loan Amount (₹)"]).toBe(5000000);
+  expect(rows["Prepayment Method"]).toBe("Reduce Tenure");
+  expect(rows["Recommendation"]).toBe(results.betterOption);
+  expect(rows["Original Tenure (Months)"]).toBe(240);
+  expect(rows["Real Net Benefit of Investing (₹)"]).toBeLessThan(
+    rows["Net Benefit of Investing (₹)"]
+  );
+});
+
+test("lists every month of a schedule under a header", () => {
+  const rows = scheduleRows(results.originalAmortization);
+  expect(rows).toHaveLength(241);
+  expect(rows[0][0]).toBe("Month");
+  expect(rows[1][0]).toBe(1);
+  expect(rows[1][2]).toBeCloseTo(44986.3, 1);
+  expect(rows[240][6]).toBe(0);
+});
+
+test("lists the ledger of both strategies from month 0", () => {
+  const rows = ledgerRows(results.ledger);
+  expect(rows).toHaveLength(results.horizonMonths + 2);
+  expect(rows[1][0]).toBe(0);
+  // The day-one cash is invested on one side and prepaid on the other
+  expect(rows[1][2]).toBe(500000);
+  expect(rows[1][5]).toBe(500000);
+});
+
+test("quotes CSV cells that need it", () => {
+  expect(toCsv([["a,b", 'say "hi"', 3], ["x"]])).toBe(
+    '"a,b","say ""hi""",3\r\nx'
+  );
+});
+
+test("puts the summary, both schedules and the ledger in one CSV", () => {
+  const csv = buildReportCsv(DEFAULT_INPUTS, results);
+  expect(csv).toContain("Original Loan Schedule");
+  expect(csv).toContain("Prepaid Loan Schedule");
+  expect(csv).toContain("Cash-Flow Ledger");
+  expect(csv.split("\r\n").length).toBe(
+    summaryRows(DEFAULT_INPUTS, results).length +
+      1 +
+      1 +
+      241 +
+      1 +
+      1 +
+      results.prepaidAmortization.length +
+      1 +
+      1 +
+      1 +
+      results.horizonMonths +
+      2
+  );
+});
@@ -0,0 +1,12 @@
+// Display and input helpers shared by the advisor's components
+
+export const formatCurrency = (value) =>
+  value.toLocaleString("en-IN", { maximumFractionDigits: 0 });
+
+// "Apr 2026"
+export const formatMonthYear = (date) =>
+  date.toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+
+// A number input's value. Blank (or text the browser can't read as a
+// number) stays "", for validation to flag rather than it becoming 0.
+export const readNumber = (text) => (text === "" ? "" : Number(text));
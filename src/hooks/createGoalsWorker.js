@@ -0,0 +1,7 @@
+// See createMonteCarloWorker: tests mock this module too
+const createGoalsWorker = () =>
+  typeof Worker === "undefined"
+    ? null
+    : new Worker(new URL("../engine/goals.worker.js", import.meta.url));
+
+export default createGoalsWorker;
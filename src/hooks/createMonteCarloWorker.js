@@ -0,0 +1,8 @@
+// Kept in its own module: Jest cannot parse `import.meta`, so tests mock
+// this file and the simulation falls back to the main thread.
+const createMonteCarloWorker = () =>
+  typeof Worker === "undefined"
+    ? null
+    : new Worker(new URL("../engine/monteCarlo.worker.js", import.meta.url));
+
+export default createMonteCarloWorker;
@@ -0,0 +1,7 @@
+// See createMonteCarloWorker: tests mock this module too
+const createOptimizerWorker = () =>
+  typeof Worker === "undefined"
+    ? null
+    : new Worker(new URL("../engine/optimizer.worker.js", import.meta.url));
+
+export default createOptimizerWorker;
@@ -0,0 +1,7 @@
+// See createMonteCarloWorker: tests mock this module too
+const createSensitivityWorker = () =>
+  typeof Worker === "undefined"
+    ? null
+    : new Worker(new URL("../engine/sensitivity.worker.js", import.meta.url));
+
+export default createSensitivityWorker;
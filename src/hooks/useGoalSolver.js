@@ -0,0 +1,16 @@
+import { solveGoal } from "../engine";
+import createGoalsWorker from "./createGoalsWorker";
+import { useWorkerTask } from "./useWorkerTask";
+
+/**
+ * Runs `solveGoal(inputs)` in a Web Worker whenever `inputs` change.
+ * Returns { goal, running, error }; `inputs` of null skip the search.
+ */
+export const useGoalSolver = (inputs) => {
+  const { result, running, error } = useWorkerTask(
+    createGoalsWorker,
+    solveGoal,
+    inputs
+  );
+  return { goal: result, running, error };
+};
@@ -0,0 +1,17 @@
+import { runMonteCarlo } from "../engine";
+import createMonteCarloWorker from "./createMonteCarloWorker";
+import { useWorkerTask } from "./useWorkerTask";
+
+/**
+ * Runs `runMonteCarlo(params)` in a Web Worker whenever `params` changes.
+ * Returns { simulation, running, error }; `params` of null skip the
+ * simulation.
+ */
+export const useMonteCarlo = (params) => {
+  const { result, running, error } = useWorkerTask(
+    createMonteCarloWorker,
+    runMonteCarlo,
+    params
+  );
+  return { simulation: result, running, error };
+};
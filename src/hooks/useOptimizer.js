@@ -0,0 +1,16 @@
+import { runOptimizer } from "../engine";
+import createOptimizerWorker from "./createOptimizerWorker";
+import { useWorkerTask } from "./useWorkerTask";
+
+/**
+ * Runs `runOptimizer(params)` in a Web Worker whenever `params` changes.
+ * Returns { optimizer, running, error }.
+ */
+export const useOptimizer = (params) => {
+  const { result, running, error } = useWorkerTask(
+    createOptimizerWorker,
+    runOptimizer,
+    params
+  );
+  return { optimizer: result, running, error };
+};
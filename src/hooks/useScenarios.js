@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+
+export const SCENARIOS_STORAGE_KEY = "loanAdvisor.scenarios";
+export const MAX_COMPARED_SCENARIOS = 4;
+
+// Saved scenarios, or an empty list if storage is unavailable or corrupt
+export const loadScenarios = () => {
+  try {
+    const parsed = JSON.parse(
+      window.localStorage.getItem(SCENARIOS_STORAGE_KEY) || "[]"
+    );
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Named scenarios ({ id, name, inputs, updatedAt }) persisted in
+ * localStorage. `inputs` is a full input object like DEFAULT_INPUTS.
+ */
+export const useScenarios = () => {
+  const [scenarios, setScenarios] = useState(loadScenarios);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(
+        SCENARIOS_STORAGE_KEY,
+        JSON.stringify(scenarios)
+      );
+    } catch {
+      // Private mode or full storage: scenarios last for this session only
+    }
+  }, [scenarios]);
+
+  const nextId = () =>
+    scenarios.reduce((max, scenario) => Math.max(max, scenario.id), 0) + 1;
+
+  const saveScenario = (name, inputs) => {
+    const id = nextId();
+    setScenarios((prev) => [
+      ...prev,
+      { id, name, inputs, updatedAt: new Date().toISOString() },
+    ]);
+    return id;
+  };
+
+  const updateScenario = (id, changes) =>
+    setScenarios((prev) =>
+      prev.map((scenario) =>
+        scenario.id === id
+          ? { ...scenario, ...changes, updatedAt: new Date().toISOString() }
+          : scenario
+      )
+    );
+
+  const duplicateScenario = (id) => {
+    const original = scenarios.find((scenario) => scenario.id === id);
+    if (!original) return null;
+    return saveScenario(`${original.name} (copy)`, original.inputs);
+  };
+
+  const deleteScenario = (id) =>
+    setScenarios((prev) => prev.filter((scenario) => scenario.id !== id));
+
+  return {
+    scenarios,
+    saveScenario,
+    updateScenario,
+    duplicateScenario,
+    deleteScenario,
+  };
+};
@@ -0,0 +1,45 @@
+import { renderHook, act } from "@testing-library/react";
+import {
+  useScenarios,
+  loadScenarios,
+  SCENARIOS_STORAGE_KEY,
+} from "./useScenarios";
+
+beforeEach(() => window.localStorage.clear());
+
+test("persists saved, updated, duplicated and deleted scenarios", () => {
+  const { result } = renderHook(() => useScenarios());
+  let id;
+  act(() => {
+    id = result.current.saveScenario("20 yrs at 9%", { interestRate: 9 });
+  });
+  act(() =>
+    result.current.updateScenario(id, { inputs: { interestRate: 8.6 } })
+  );
+  act(() => {
+    result.current.duplicateScenario(id);
+  });
+
+  expect(loadScenarios().map((scenario) => scenario.name)).toEqual([
+    "20 yrs at 9%",
+    "20 yrs at 9% (copy)",
+  ]);
+  expect(loadScenarios()[1].inputs).toEqual({ interestRate: 8.6 });
+
+  act(() => result.current.deleteScenario(id));
+  expect(loadScenarios()).toHaveLength(1);
+});
+
+test("restores scenarios from a previous session", () => {
+  window.localStorage.setItem(
+    SCENARIOS_STORAGE_KEY,
+    JSON.stringify([{ id: 3, name: "Saved", inputs: {} }])
+  );
+  const { result } = renderHook(() => useScenarios());
+  expect(result.current.scenarios[0].name).toBe("Saved");
+});
+
+test("ignores corrupt storage", () => {
+  window.localStorage.setItem(SCENARIOS_STORAGE_KEY, "{not json");
+  expect(loadScenarios()).toEqual([]);
+});
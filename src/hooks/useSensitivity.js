@@ -0,0 +1,16 @@
+import { runSensitivity } from "../engine";
+import createSensitivityWorker from "./createSensitivityWorker";
+import { useWorkerTask } from "./useWorkerTask";
+
+/**
+ * Runs `runSensitivity(params)` in a Web Worker whenever `params` changes.
+ * Returns { sensitivity, running, error }.
+ */
+export const useSensitivity = (params) => {
+  const { result, running, error } = useWorkerTask(
+    createSensitivityWorker,
+    runSensitivity,
+    params
+  );
+  return { sensitivity: result, running, error };
+};
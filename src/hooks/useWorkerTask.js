@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Runs `run(params)` in the worker made by `createWorker` whenever `params`
+ * changes, keeping the inputs responsive. Returns { result, running, error
+ * }; the last result stays visible while a new one runs, and `error` is the
+ * message of a run that failed. `params` of null skip the task, and without
+ * Web Workers it runs on the main thread.
+ */
+export const useWorkerTask = (createWorker, run, params) => {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    setError(null);
+    if (!params) {
+      setResult(null);
+      setRunning(false);
+      return;
+    }
+    if (!workerRef.current) workerRef.current = createWorker();
+    const worker = workerRef.current;
+    if (!worker) {
+      try {
+        setResult(run(params));
+      } catch (err) {
+        setResult(null);
+        setError(err.message);
+      }
+      return;
+    }
+    const id = ++requestRef.current;
+    setRunning(true);
+    worker.onmessage = (event) => {
+      if (event.data.id !== requestRef.current) return;
+      setResult(event.data.result);
+      setRunning(false);
+    };
+    // Thrown in the worker: no result is coming for the latest request
+    worker.onerror = (event) => {
+      event.preventDefault();
+      setResult(null);
+      setRunning(false);
+      setError(event.message || "The calculation failed.");
+    };
+    worker.postMessage({ id, params });
+  }, [createWorker, run, params]);
+
+  useEffect(
+    () => () => {
+      if (workerRef.current) workerRef.current.terminate();
+    },
+    []
+  );
+
+  return { result, running, error };
+};
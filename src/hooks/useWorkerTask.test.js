@@ -0,0 +1,56 @@
+import { renderHook, act } from "@testing-library/react";
+import { useWorkerTask } from "./useWorkerTask";
+
+// Stands in for a Web Worker; the test answers its messages by hand
+class FakeWorker {
+  postMessage(message) {
+    this.lastMessage = message;
+  }
+
+  terminate() {}
+}
+
+const double = (params) => params.value * 2;
+// Kept the same across renders, like a memoized params object
+const params = { value: 2 };
+
+test("shows a worker's result for the latest request", () => {
+  const worker = new FakeWorker();
+  const createWorker = () => worker;
+  const { result } = renderHook(() =>
+    useWorkerTask(createWorker, double, params)
+  );
+  expect(result.current.running).toBe(true);
+  act(() =>
+    worker.onmessage({ data: { id: worker.lastMessage.id, result: 4 } })
+  );
+  expect(result.current).toEqual({ result: 4, running: false, error: null });
+});
+
+test("stops running and reports a worker that throws", () => {
+  const worker = new FakeWorker();
+  const createWorker = () => worker;
+  const { result } = renderHook(() =>
+    useWorkerTask(createWorker, double, params)
+  );
+  act(() =>
+    worker.onerror({ message: "Uncaught Error: bad", preventDefault() {} })
+  );
+  expect(result.current).toEqual({
+    result: null,
+    running: false,
+    error: "Uncaught Error: bad",
+  });
+});
+
+test("reports a failed run on the main thread", () => {
+  const createWorker = () => null;
+  const fail = () => {
+    throw new Error("bad inputs");
+  };
+  const { result } = renderHook(() =>
+    useWorkerTask(createWorker, fail, params)
+  );
+  expect(result.current.error).toBe("bad inputs");
+  expect(result.current.running).toBe(false);
+});
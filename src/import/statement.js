@@ -0,0 +1,198 @@
+// Reads a lender's amortization statement (CSV or Excel) into schedule rows
+// shaped like generateFullAmortization's. The Excel reader is loaded on
+// demand so it stays out of the main bundle.
+import { parseMonth } from "../engine";
+
+// Columns a statement can be mapped to. Interest, principal and the closing
+// balance are needed to rebuild the schedule; the rest are optional.
+export const STATEMENT_COLUMNS = [
+  { key: "date", label: "Due Date", pattern: /date|month|period/i },
+  {
+    key: "payment",
+    label: "EMI",
+    pattern: /\bemi\b|instal?ment amount|^(?!pre).*payment|amount due/i,
+  },
+  { key: "interest", label: "Interest", pattern: /interest/i, required: true },
+  {
+    key: "principal",
+    label: "Principal",
+    pattern: /principal/i,
+    required: true,
+  },
+  {
+    key: "balance",
+    label: "Closing Balance",
+    pattern: /balance|outstanding/i,
+    required: true,
+  },
+];
+
+/** Rows of cells from CSV text, honouring quoted cells and "" escapes. */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += char;
+  }
+  if (cell !== "" || row.length > 0) rows.push([...row, cell]);
+  // Excel's UTF-8 BOM sticks to the first header
+  if (rows.length > 0) rows[0][0] = rows[0][0].replace(/^\uFEFF/, "");
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+/** Rows of cells from a .csv or .xlsx file. */
+export const readStatementFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    const { default: readXlsxFile } = await import("read-excel-file");
+    return readXlsxFile(file);
+  }
+  if (/\.csv$/i.test(file.name)) return parseCsv(await file.text());
+  throw new Error("Choose a .csv or .xlsx file.");
+};
+
+/**
+ * Best guess of the column index for each STATEMENT_COLUMNS key from the
+ * header row, each header used at most once; -1 where none fits.
+ */
+export const guessColumnMapping = (header) => {
+  const used = new Set();
+  const mapping = {};
+  // Specific columns first, so "Principal" isn't taken as a balance
+  // and "Interest" isn't taken as the EMI
+  ["interest", "principal", "balance", "payment", "date"].forEach((key) => {
+    const { pattern } = STATEMENT_COLUMNS.find((column) => column.key === key);
+    const index = header.findIndex(
+      (name, i) => !used.has(i) && pattern.test(String(name))
+    );
+    mapping[key] = index;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+};
+
+// ₹1,23,456.78, "Rs. 500", (1,200) and the like; NaN when it isn't an amount
+export const parseAmount = (value) => {
+  if (typeof value === "number") return value;
+  if (value === null || value === undefined) return NaN;
+  const text = String(value).trim();
+  const negative = /^\(.*\)$|^-/.test(text);
+  const digits = text.replace(/^-|rs\.?|inr|₹|[,\s()]/gi, "");
+  if (!/^\d+(\.\d+)?$/.test(digits)) return NaN;
+  return negative ? -parseFloat(digits) : parseFloat(digits);
+};
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * 1st of the month a statement date falls in, or null. Reads Excel dates,
+ * ISO dates, day-first dates (05/04/2026) and month names (Apr 2026,
+ * 05-Apr-26).
+ */
+export const parseStatementDate = (value) => {
+  if (value instanceof Date)
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(value.getFullYear(), value.getMonth(), 1);
+  const text = String(value || "").trim();
+  const fullYear = (year) =>
+    year.length === 2 ? 2000 + Number(year) : Number(year);
+  let match = /^(\d{4})-(\d{1,2})(-\d{1,2})?$/.exec(text);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+  if (match) return new Date(fullYear(match[3]), Number(match[2]) - 1, 1);
+  match = /^(?:\d{1,2}[\s/-])?([a-z]{3})[a-z]*[\s/,-]+(\d{2}|\d{4})$/i.exec(
+    text
+  );
+  if (match && MONTHS.includes(match[1].toLowerCase()))
+    return new Date(
+      fullYear(match[2]),
+      MONTHS.indexOf(match[1].toLowerCase()),
+      1
+    );
+  return null;
+};
+
+// 'YYYY-MM', as parseMonth reads it back
+const monthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+/**
+ * Schedule rows from a statement's cells, skipping the header and any row
+ * whose interest, principal or balance isn't an amount (opening lines,
+ * totals). `mapping` gives the column index of each STATEMENT_COLUMNS key.
+ *
+ * Returns { schedule, skipped }: rows { month, date ('YYYY-MM' or null),
+ * rate, interest, principal, prepayment, totalPayment, endingBalance },
+ * numbered from 1.
+ */
+export const buildImportedSchedule = (rows, mapping) => {
+  const schedule = [];
+  let skipped = 0;
+  const cell = (row, key) => (mapping[key] >= 0 ? row[mapping[key]] : null);
+  rows.slice(1).forEach((row) => {
+    const interest = parseAmount(cell(row, "interest"));
+    const principal = parseAmount(cell(row, "principal"));
+    const endingBalance = parseAmount(cell(row, "balance"));
+    if ([interest, principal, endingBalance].some(Number.isNaN)) {
+      skipped++;
+      return;
+    }
+    const payment = parseAmount(cell(row, "payment"));
+    const date = parseStatementDate(cell(row, "date"));
+    schedule.push({
+      month: schedule.length + 1,
+      date: date && monthKey(date),
+      rate: null,
+      interest,
+      principal,
+      prepayment: 0,
+      totalPayment: Number.isNaN(payment) ? interest + principal : payment,
+      endingBalance,
+    });
+  });
+  return { schedule, skipped };
+};
+
+/**
+ * The part of a dated statement still to be paid: rows due before
+ * `nextEmiDate` are dropped and the rest renumbered from month 1. Undated
+ * statements are taken as starting at the next EMI.
+ */
+export const remainingSchedule = (schedule, nextEmiDate) => {
+  const remaining = schedule.filter(
+    (row) => !row.date || parseMonth(row.date) >= nextEmiDate
+  );
+  return remaining.map((row, i) => ({ ...row, month: i + 1 }));
+};
@@ -0,0 +1,110 @@
+import {
+  parseCsv,
+  guessColumnMapping,
+  parseAmount,
+  parseStatementDate,
+  buildImportedSchedule,
+  remainingSchedule,
+} from "./statement";
+
+const csv = [
+  "Inst No,Due Date,EMI Amount,Principal,Interest,Outstanding Balance",
+  '1,05/04/2026,"44,986","7,486","37,500","49,92,514"',
+  '2,05/05/2026,"44,986","7,542","37,444","49,84,972"',
+  'Total,,"89,972","15,028","74,944",',
+].join("\r\n");
+
+describe("parseCsv", () => {
+  test("splits quoted cells and CRLF rows", () => {
+    const rows = parseCsv(`\uFEFF${csv}`);
+    expect(rows).toHaveLength(4);
+    expect(rows[0][0]).toBe("Inst No");
+    expect(rows[1][3]).toBe("7,486");
+    expect(parseCsv('a,"say ""hi"""\n\n')).toEqual([["a", 'say "hi"']]);
+  });
+});
+
+describe("guessColumnMapping", () => {
+  test("maps typical bank headers", () => {
+    expect(guessColumnMapping(parseCsv(csv)[0])).toEqual({
+      interest: 4,
+      principal: 3,
+      balance: 5,
+      payment: 2,
+      date: 1,
+    });
+  });
+
+  test("doesn't take the prepayment column for the EMI", () => {
+    const mapping = guessColumnMapping([
+      "Month",
+      "Prepayment (₹)",
+      "EMI (₹)",
+      "Interest (₹)",
+      "Principal (₹)",
+      "Balance (₹)",
+    ]);
+    expect(mapping.payment).toBe(2);
+  });
+});
+
+describe("parseAmount", () => {
+  test("reads Indian-formatted and signed amounts", () => {
+    expect(parseAmount("₹1,23,456.78")).toBeCloseTo(123456.78);
+    expect(parseAmount("Rs. 500")).toBe(500);
+    expect(parseAmount("(1,200)")).toBe(-1200);
+    expect(parseAmount(42)).toBe(42);
+    expect(parseAmount("Total")).toBeNaN();
+    expect(parseAmount("")).toBeNaN();
+  });
+});
+
+describe("parseStatementDate", () => {
+  test("reads common statement date formats as the 1st of the month", () => {
+    const april = new Date(2026, 3, 1);
+    expect(parseStatementDate("05/04/2026")).toEqual(april);
+    expect(parseStatementDate("2026-04-05")).toEqual(april);
+    expect(parseStatementDate("Apr 2026")).toEqual(april);
+    expect(parseStatementDate("05-Apr-26")).toEqual(april);
+    expect(parseStatementDate(new Date(2026, 3, 5))).toEqual(april);
+    expect(parseStatementDate("1")).toBeNull();
+  });
+});
+
+describe("buildImportedSchedule", () => {
+  const rows = parseCsv(csv);
+  const { schedule, skipped } = buildImportedSchedule(
+    rows,
+    guessColumnMapping(rows[0])
+  );
+
+  test("builds schedule rows and skips totals", () => {
+    expect(skipped).toBe(1);
+    expect(schedule).toHaveLength(2);
+    expect(schedule[0]).toEqual({
+      month: 1,
+      date: "2026-04",
+      rate: null,
+      interest: 37500,
+      principal: 7486,
+      prepayment: 0,
+      totalPayment: 44986,
+      endingBalance: 4992514,
+    });
+  });
+
+  test("falls back to interest plus principal without an EMI column", () => {
+    const { schedule: unpaid } = buildImportedSchedule(rows, {
+      ...guessColumnMapping(rows[0]),
+      payment: -1,
+    });
+    expect(unpaid[1].totalPayment).toBe(7542 + 37444);
+  });
+
+  test("keeps the months from the next EMI on", () => {
+    const remaining = remainingSchedule(schedule, new Date(2026, 4, 1));
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0].month).toBe(1);
+    expect(remaining[0].date).toBe("2026-05");
+  });
+});
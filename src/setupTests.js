@@ -3,3 +3,16 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// recharts' ResponsiveContainer needs ResizeObserver, which jsdom lacks
+global.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// jsdom has no Web Workers: run simulations on the main thread instead
+jest.mock("./hooks/createMonteCarloWorker", () => () => null);
+jest.mock("./hooks/createSensitivityWorker", () => () => null);
+jest.mock("./hooks/createGoalsWorker", () => () => null);
+jest.mock("./hooks/createOptimizerWorker", () => () => null);
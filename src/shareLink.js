@@ -0,0 +1,184 @@
+// Encodes the advisor's inputs into a URL query string and back, so a
+// scenario can be shared as a link. Only values that differ from
+// DEFAULT_INPUTS are written, keeping links short. An imported schedule is
+// too long for a link and is left out.
+import {
+  DEFAULT_INPUTS,
+  LOAN_TYPES,
+  DAY_COUNT_CONVENTIONS,
+  GOAL_TYPES,
+  parseMonth,
+  parseDate,
+  checkValue,
+  INPUT_RULES,
+  REFINANCE_RULES,
+  GOAL_RULES,
+} from "./engine";
+
+const NUMBER_FIELDS = [
+  "loanAmount",
+  "interestRate",
+  "tenureYears",
+  "extraCash",
+  "investmentReturn",
+  "returnVolatility",
+  "inflationRate",
+  "discountRate",
+  "taxSlab",
+  "used80C",
+  "annualIncome",
+  "annualRent",
+  "prepaymentChargeRate",
+  "prepaymentChargeFlat",
+  "prepaymentFreeAfterMonths",
+  "prepaymentFreeAnnualLimit",
+  "refinanceRate",
+  "refinanceTenureYears",
+  "refinanceFeeRate",
+  "refinanceFlatFees",
+  "refinanceMonth",
+  "sanctionAmount",
+  "originalTenureYears",
+  "emisPaid",
+  "statementOutstanding",
+  "overdraftMonthlyDeposit",
+  "overdraftMonthlyWithdrawal",
+  "goalTotalInterest",
+];
+
+// 'YYYY-MM' months; blank is the default
+const MONTH_FIELDS = ["disbursementDate", "goalPayoffDate"];
+
+const CHOICE_FIELDS = {
+  investmentType: ["equity", "fd"],
+  simulationMode: ["fixed", "monteCarlo"],
+  taxRegime: ["old", "new"],
+  propertyUse: ["selfOccupied", "letOut"],
+  prepaymentMethod: ["reduceTenure", "reduceEmi"],
+  rateResetMode: ["keepEmi", "recalculateEmi"],
+  loanDetailsMode: ["remaining", "sanction"],
+  dayCount: Object.keys(DAY_COUNT_CONVENTIONS),
+  goalType: Object.keys(GOAL_TYPES),
+};
+
+// List inputs travel as JSON; items get fresh ids when read back. Optional
+// 'YYYY-MM-DD' dates are kept only when set.
+const LIST_FIELDS = {
+  prepaymentPlan: {
+    numbers: ["amount", "startMonth", "endMonth", "stepUp"],
+    choices: { frequency: ["once", "monthly", "yearly"] },
+    dates: ["date"],
+  },
+  emiStepUps: {
+    numbers: ["startMonth", "percent", "amount"],
+    choices: { frequency: ["once", "yearly"] },
+  },
+  rateChanges: { numbers: ["month", "rate"], choices: {} },
+  coBorrowers: { numbers: ["share", "taxSlab", "used80C"], choices: {} },
+  portfolioLoans: {
+    numbers: ["principal", "interestRate", "tenureYears"],
+    choices: { type: Object.keys(LOAN_TYPES) },
+  },
+};
+
+const isValidNumber = (value) => Number.isFinite(value) && value >= 0;
+
+// Each number field's own range, whether or not its setting is on
+const NUMBER_RULES = { ...INPUT_RULES, ...REFINANCE_RULES, ...GOAL_RULES };
+
+const readList = (raw, { numbers, choices, dates = [] }) => {
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) throw new Error("not a list");
+  return parsed.map((item, i) => {
+    const entry = { id: i + 1 };
+    numbers.forEach((field) => {
+      if (!isValidNumber(item[field])) throw new Error(field);
+      entry[field] = item[field];
+    });
+    Object.entries(choices).forEach(([field, options]) => {
+      if (!options.includes(item[field])) throw new Error(field);
+      entry[field] = item[field];
+    });
+    dates.forEach((field) => {
+      if (item[field] === undefined || item[field] === "") return;
+      if (!parseDate(item[field])) throw new Error(field);
+      entry[field] = item[field];
+    });
+    return entry;
+  });
+};
+
+/** Query string (without "?") for the inputs that differ from the defaults. */
+export const encodeInputs = (inputs) => {
+  const params = new URLSearchParams();
+  NUMBER_FIELDS.forEach((field) => {
+    if (inputs[field] !== DEFAULT_INPUTS[field])
+      params.set(field, String(inputs[field]));
+  });
+  [...Object.keys(CHOICE_FIELDS), ...MONTH_FIELDS].forEach((field) => {
+    if (inputs[field] !== DEFAULT_INPUTS[field])
+      params.set(field, inputs[field]);
+  });
+  Object.entries(LIST_FIELDS).forEach(([field, list]) => {
+    if (!inputs[field] || inputs[field].length === 0) return;
+    const keys = [
+      ...Object.keys(list.choices),
+      ...list.numbers,
+      ...(list.dates || []),
+    ];
+    params.set(
+      field,
+      JSON.stringify(
+        inputs[field].map((item) =>
+          Object.fromEntries(keys.map((key) => [key, item[key]]))
+        )
+      )
+    );
+  });
+  return params.toString();
+};
+
+/**
+ * Reads inputs from a query string. Returns { inputs, warnings }: unknown
+ * parameters are ignored and invalid values fall back to their default,
+ * each with a warning to show the user.
+ */
+export const decodeInputs = (search) => {
+  const params = new URLSearchParams(search);
+  const inputs = { ...DEFAULT_INPUTS };
+  const warnings = [];
+  params.forEach((raw, field) => {
+    if (NUMBER_FIELDS.includes(field)) {
+      const value = Number(raw);
+      if (raw.trim() !== "" && !checkValue(value, NUMBER_RULES[field]))
+        inputs[field] = value;
+      else
+        warnings.push(`"${raw}" is not a valid ${field}; using the default.`);
+    } else if (CHOICE_FIELDS[field]) {
+      if (CHOICE_FIELDS[field].includes(raw)) inputs[field] = raw;
+      else
+        warnings.push(`"${raw}" is not a valid ${field}; using the default.`);
+    } else if (MONTH_FIELDS.includes(field)) {
+      if (parseMonth(raw)) inputs[field] = raw;
+      else
+        warnings.push(`"${raw}" is not a valid ${field}; using the default.`);
+    } else if (LIST_FIELDS[field]) {
+      try {
+        inputs[field] = readList(raw, LIST_FIELDS[field]);
+      } catch {
+        warnings.push(
+          `The ${field} in the link is invalid; using the default.`
+        );
+      }
+    } else {
+      warnings.push(`Ignored unknown parameter "${field}".`);
+    }
+  });
+  return { inputs, warnings };
+};
+
+/** Full shareable URL for the inputs, based on the current page. */
+export const buildShareUrl = (inputs, location = window.location) => {
+  const query = encodeInputs(inputs);
+  return `${location.origin}${location.pathname}${query ? `?${query}` : ""}`;
+};
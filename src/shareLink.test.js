@@ -0,0 +1,111 @@
+import { encodeInputs, decodeInputs, buildShareUrl } from "./shareLink";
+import { DEFAULT_INPUTS } from "./engine";
+
+test("writes only the inputs that differ from the defaults", () => {
+  expect(encodeInputs(DEFAULT_INPUTS)).toBe("");
+  expect(
+    encodeInputs({ ...DEFAULT_INPUTS, interestRate: 8.6, taxRegime: "new" })
+  ).toBe("interestRate=8.6&taxRegime=new");
+});
+
+test("round-trips every input including the lists", () => {
+  const inputs = {
+    ...DEFAULT_INPUTS,
+    loanAmount: 3500000,
+    tenureYears: 15,
+    investmentType: "fd",
+    prepaymentMethod: "reduceEmi",
+    loanDetailsMode: "sanction",
+    dayCount: "actual/365",
+    disbursementDate: "2021-03",
+    emisPaid: 60,
+    prepaymentPlan: [
+      {
+        id: 7,
+        frequency: "yearly",
+        amount: 100000,
+        startMonth: 12,
+        endMonth: 0,
+        stepUp: 5,
+      },
+      {
+        id: 8,
+        frequency: "once",
+        amount: 200000,
+        startMonth: 1,
+        endMonth: 0,
+        stepUp: 0,
+        date: "2027-03-15",
+      },
+    ],
+    emiStepUps: [
+      { id: 1, frequency: "yearly", startMonth: 13, percent: 5, amount: 0 },
+    ],
+    rateChanges: [{ id: 2, month: 13, rate: 8.5 }],
+    coBorrowers: [{ id: 1, share: 50, taxSlab: 20, used80C: 0 }],
+    portfolioLoans: [
+      {
+        id: 1,
+        type: "car",
+        principal: 800000,
+        interestRate: 9.5,
+        tenureYears: 5,
+      },
+    ],
+  };
+  const { inputs: decoded, warnings } = decodeInputs(encodeInputs(inputs));
+  expect(warnings).toEqual([]);
+  expect(decoded).toEqual({
+    ...inputs,
+    prepaymentPlan: [
+      { ...inputs.prepaymentPlan[0], id: 1 },
+      { ...inputs.prepaymentPlan[1], id: 2 },
+    ],
+    rateChanges: [{ ...inputs.rateChanges[0], id: 1 }],
+  });
+});
+
+test("falls back to defaults with a warning for bad parameters", () => {
+  const { inputs, warnings } = decodeInputs(
+    "?loanAmount=abc&taxRegime=flat&interestRate=-2&rateChanges=[{}]&utm_source=chat&tenureYears=15&disbursementDate=March"
+  );
+  expect(inputs).toEqual({ ...DEFAULT_INPUTS, tenureYears: 15 });
+  expect(warnings).toHaveLength(6);
+  expect(warnings[4]).toMatch(/unknown parameter "utm_source"/);
+  expect(warnings[5]).toMatch(/not a valid disbursementDate/);
+});
+
+test("holds each number to its own range", () => {
+  const { inputs, warnings } = decodeInputs(
+    "?interestRate=0&loanAmount=0&tenureYears=0&tenureYears=45&emisPaid=2.5&extraCash=0"
+  );
+  expect(inputs).toEqual({ ...DEFAULT_INPUTS, extraCash: 0 });
+  expect(warnings).toEqual([
+    '"0" is not a valid interestRate; using the default.',
+    '"0" is not a valid loanAmount; using the default.',
+    '"0" is not a valid tenureYears; using the default.',
+    '"45" is not a valid tenureYears; using the default.',
+    '"2.5" is not a valid emisPaid; using the default.',
+  ]);
+});
+
+test("leaves the financial year and imported schedule out of links", () => {
+  const query = encodeInputs({
+    ...DEFAULT_INPUTS,
+    startFinancialYear: 2026,
+    importedSchedule: [{ month: 1, endingBalance: 0 }],
+  });
+  expect(query).toBe("");
+  expect(decodeInputs("?startFinancialYear=2026").warnings).toEqual([
+    'Ignored unknown parameter "startFinancialYear".',
+  ]);
+});
+
+test("builds a link on the current page", () => {
+  expect(
+    buildShareUrl(
+      { ...DEFAULT_INPUTS, extraCash: 1000000 },
+      { origin: "https://example.com", pathname: "/advisor" }
+    )
+  ).toBe("https://example.com/advisor?extraCash=1000000");
+});